@@ -0,0 +1,100 @@
+/**
+ * api-keys.js — Integration API Key Management
+ *
+ * Collection: api_keys (shape in utils/apikeys.js)
+ *
+ * Every request needs `X-Admin-Token: <ADMIN_API_TOKEN>`.
+ *
+ * GET    /api-keys                          — list keys (prefix only, never the key)
+ * POST   /api-keys {name, sources?, scopes?, createdBy?}
+ *                                           — issue a key; the full key is returned once
+ * DELETE /api-keys?id=xxx&by=name           — revoke
+ *
+ * Environment Variables:
+ *   ADMIN_API_TOKEN — shared admin token; key management is off when unset
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { ObjectId } = require('mongodb');
+const { API_KEY_SCOPES, generateApiKey, isAdmin } = require('./utils/apikeys');
+const { ORDER_SOURCES } = require('./utils/delivery');
+
+function publicKey(k) {
+  const { keyHash, ...rest } = k;
+  return { ...rest, keyHint: `rr_${k.keyPrefix}_…` };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+  if (!process.env.ADMIN_API_TOKEN) {
+    return { statusCode: 503, headers, body: JSON.stringify({ error: 'ADMIN_API_TOKEN is not configured' }) };
+  }
+  if (!isAdmin(event)) {
+    return { statusCode: 401, headers, body: JSON.stringify({ error: 'Admin token required' }) };
+  }
+
+  try {
+    const { db } = await connectToDatabase();
+    const keysCol = db.collection('api_keys');
+
+    // ─── GET ──────────────────────────────────────────────────
+    if (event.httpMethod === 'GET') {
+      const keys = await keysCol.find({}).sort({ createdAt: -1 }).toArray();
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, keys: keys.map(publicKey), scopes: API_KEY_SCOPES }) };
+    }
+
+    // ─── POST — Issue key ─────────────────────────────────────
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+      if (!body.name || !String(body.name).trim()) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'name required (the integration, e.g. "TGR storefront")' }) };
+      }
+      const sources = Array.isArray(body.sources) ? body.sources : [];
+      const badSources = sources.filter(s => !ORDER_SOURCES.includes(s));
+      if (badSources.length) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `Unknown sources: ${badSources.join(', ')}`, sources: ORDER_SOURCES }) };
+      }
+      const scopes = Array.isArray(body.scopes) && body.scopes.length ? body.scopes : ['intake'];
+      const badScopes = scopes.filter(s => !API_KEY_SCOPES.includes(s));
+      if (badScopes.length) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `Unknown scopes: ${badScopes.join(', ')}` }) };
+      }
+
+      const { key, keyPrefix, keyHash } = generateApiKey();
+      const doc = {
+        name: String(body.name).trim(),
+        keyPrefix,
+        keyHash,
+        scopes,
+        sources,
+        active: true,
+        lastUsedAt: null,
+        createdAt: new Date(),
+        createdBy: body.createdBy || 'admin',
+        revokedAt: null,
+        revokedBy: null
+      };
+      const result = await keysCol.insertOne(doc);
+      return { statusCode: 201, headers, body: JSON.stringify({ success: true, id: result.insertedId, key, name: doc.name, scopes, sources }) };
+    }
+
+    // ─── DELETE — Revoke ──────────────────────────────────────
+    if (event.httpMethod === 'DELETE') {
+      const p = event.queryStringParameters || {};
+      if (!p.id || !ObjectId.isValid(p.id)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
+      }
+      const result = await keysCol.updateOne(
+        { _id: new ObjectId(p.id), active: true },
+        { $set: { active: false, revokedAt: new Date(), revokedBy: p.by || 'admin' } }
+      );
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, revoked: result.modifiedCount }) };
+    }
+
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  } catch (err) {
+    console.error('API keys error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};
@@ -0,0 +1,210 @@
+/**
+ * ar-aging.js — Accounts Receivable Aging
+ *
+ * GET /ar-aging                  — who owes us and for how long (JSON)
+ *   asOf       — YYYY-MM-DD (default today, America/Chicago)
+ *   split      — brand (default) | source — second key next to the customer
+ *   brand, source, customerId — filters
+ *   since      — ignore balances billed before this date (legacy clean-up)
+ *   detail     — true: include the invoices / loads behind each customer row
+ *   format     — json (default) | csv (one row per customer + split key)
+ *
+ * What is owed:
+ *   - open / partially paid invoices — their balance, aged from issueDate
+ *   - DELIVERED loads not on an invoice with `paid` false or unrecorded —
+ *     pricing total minus any amountPaid (utils/payments.js), aged from
+ *     deliveryDate. Loads without a price are counted in `unpriced`.
+ *
+ * Buckets by age in days: current (0–29), days30 (30–59), days60 (60–89),
+ * days90plus (90+). Read-only.
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { toMoney } = require('./utils/invoices');
+const { brandKeyOf } = require('./utils/payments');
+const { toCsv } = require('./utils/spreadsheet');
+const { getChiDate, daysBetween, isValidDateStr } = require('./utils/dates');
+const { BRANDS } = require('./utils/brands');
+
+const BUCKETS = [
+  { key: 'current', label: 'Current (0–29)', minDays: 0 },
+  { key: 'days30', label: '30–59 days', minDays: 30 },
+  { key: 'days60', label: '60–89 days', minDays: 60 },
+  { key: 'days90plus', label: '90+ days', minDays: 90 }
+];
+
+function bucketFor(ageDays) {
+  let key = BUCKETS[0].key;
+  BUCKETS.forEach(b => { if (ageDays >= b.minDays) key = b.key; });
+  return key;
+}
+
+function emptyTotals() {
+  return { ...Object.fromEntries(BUCKETS.map(b => [b.key, 0])), total: 0, count: 0 };
+}
+
+function addTo(totals, item) {
+  totals[item.bucket] = toMoney(totals[item.bucket] + item.balance);
+  totals.total = toMoney(totals.total + item.balance);
+  totals.count++;
+}
+
+function customerKey(item) {
+  return item.customerId || `name:${String(item.customerName || '').trim().toLowerCase()}`;
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'GET only' }) };
+  }
+
+  try {
+    const p = event.queryStringParameters || {};
+    const asOf = p.asOf || getChiDate();
+    if (!isValidDateStr(asOf) || (p.since && !isValidDateStr(p.since))) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'asOf / since must be YYYY-MM-DD' }) };
+    }
+    const split = p.split || 'brand';
+    if (!['brand', 'source'].includes(split)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'split must be brand or source' }) };
+    }
+
+    const { db } = await connectToDatabase();
+
+    // ─── Collect open items ───────────────────────────────────
+    const invoiceQuery = { status: { $in: ['open', 'partially_paid'] }, balance: { $gt: 0 }, issueDate: { $lte: asOf } };
+    if (p.since) invoiceQuery.issueDate.$gte = p.since;
+    if (p.customerId) invoiceQuery.customerId = p.customerId;
+    if (p.brand) invoiceQuery['brand.key'] = p.brand;
+    if (p.source) invoiceQuery.source = p.source;
+
+    const loadQuery = { status: 'DELIVERED', invoiceId: null, paid: { $ne: true }, deliveryDate: { $lte: asOf } };
+    if (p.since) loadQuery.deliveryDate.$gte = p.since;
+    if (p.customerId) loadQuery.customerId = p.customerId;
+    if (p.source) loadQuery.source = p.source;
+
+    const [invoices, loads] = await Promise.all([
+      db.collection('invoices').find(invoiceQuery, { projection: { lines: 0, payments: 0, emailLog: 0 } }).toArray(),
+      db.collection('delivery_schedule').find(loadQuery, {
+        projection: { customerId: 1, customerName: 1, customerPhone: 1, source: 1, deliveryDate: 1, orderId: 1, poNumber: 1, pricing: 1, amountPaid: 1, paid: 1 }
+      }).toArray()
+    ]);
+
+    const items = [];
+    invoices.forEach(inv => {
+      const ageDays = daysBetween(inv.issueDate, asOf);
+      items.push({
+        type: 'invoice',
+        id: inv._id.toString(),
+        ref: inv.invoiceNumber,
+        customerId: inv.customerId || null,
+        customerName: inv.customerName,
+        customerPhone: inv.customerPhone || '',
+        brand: inv.brand.key,
+        source: inv.source || null,
+        date: inv.issueDate,
+        dueDate: inv.dueDate,
+        ageDays,
+        bucket: bucketFor(ageDays),
+        balance: toMoney(inv.balance)
+      });
+    });
+
+    let unpriced = 0;
+    loads.forEach(d => {
+      const brand = brandKeyOf(d);
+      if (p.brand && brand !== p.brand) return;
+      if (!d.pricing?.total) { unpriced++; return; }
+      const balance = toMoney(d.pricing.total - (d.amountPaid || 0));
+      if (balance <= 0) return;
+      const ageDays = daysBetween(d.deliveryDate, asOf);
+      items.push({
+        type: 'delivery',
+        id: d._id.toString(),
+        ref: d.orderId || d.poNumber || null,
+        customerId: d.customerId || null,
+        customerName: d.customerName || '',
+        customerPhone: d.customerPhone || '',
+        brand,
+        source: d.source || null,
+        date: d.deliveryDate,
+        dueDate: null,
+        paid: d.paid ?? null,
+        ageDays,
+        bucket: bucketFor(ageDays),
+        balance
+      });
+    });
+
+    // ─── Roll up ──────────────────────────────────────────────
+    const totals = emptyTotals();
+    const groups = new Map();
+    const rows = new Map();
+    items.forEach(item => {
+      const group = item[split] || 'Other';
+      addTo(totals, item);
+      if (!groups.has(group)) groups.set(group, { key: group, label: split === 'brand' ? (BRANDS[group]?.name || group) : group, ...emptyTotals() });
+      addTo(groups.get(group), item);
+
+      const rowKey = `${customerKey(item)}|${group}`;
+      if (!rows.has(rowKey)) {
+        rows.set(rowKey, {
+          customerId: item.customerId,
+          customerName: item.customerName,
+          customerPhone: item.customerPhone,
+          [split]: group,
+          ...emptyTotals(),
+          oldestDate: item.date,
+          maxAgeDays: item.ageDays,
+          items: []
+        });
+      }
+      const row = rows.get(rowKey);
+      addTo(row, item);
+      if (item.date < row.oldestDate) row.oldestDate = item.date;
+      row.maxAgeDays = Math.max(row.maxAgeDays, item.ageDays);
+      row.items.push(item);
+    });
+
+    const customers = [...rows.values()].sort((a, b) => b.total - a.total || a.customerName.localeCompare(b.customerName));
+
+    if (p.format === 'csv') {
+      const columns = [
+        { key: 'customerName', header: 'Customer' },
+        { key: 'customerPhone', header: 'Phone' },
+        { key: split, header: split === 'brand' ? 'Brand' : 'Source' },
+        ...BUCKETS.map(b => ({ key: b.key, header: b.label })),
+        { key: 'total', header: 'Total' },
+        { key: 'count', header: 'Open Items' },
+        { key: 'oldestDate', header: 'Oldest' }
+      ];
+      const csvRows = customers.map(r => ({ ...r, brand: BRANDS[r.brand]?.name || r.brand }));
+      return {
+        statusCode: 200,
+        headers: { ...headers, 'Content-Type': 'text/csv; charset=utf-8', 'Content-Disposition': `attachment; filename="ar-aging-${asOf}.csv"` },
+        body: toCsv(columns, csvRows)
+      };
+    }
+
+    const detail = p.detail === 'true';
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        asOf,
+        split,
+        buckets: BUCKETS.map(({ key, label }) => ({ key, label })),
+        totals,
+        groups: [...groups.values()].sort((a, b) => b.total - a.total),
+        customers: customers.map(({ items: list, ...r }) => (detail ? { ...r, items: list } : r)),
+        unpriced
+      })
+    };
+
+  } catch (err) {
+    console.error('AR aging error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};
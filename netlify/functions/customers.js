@@ -0,0 +1,257 @@
+/**
+ * customers.js — Customer Records & Order History
+ *
+ * Collection: customers (shape + matching rules in utils/customers.js)
+ *
+ * GET    /customers                       — list active customers (?all=true for inactive too)
+ * GET    /customers?q=smith               — search name / phone / email / saved site address
+ * GET    /customers?id=xxx                — single customer
+ * GET    /customers?id=xxx&history=true   — customer + deliveries, tons and payment status
+ * POST   /customers                       — create (409 if the phone or email is already on file)
+ * PUT    /customers                       — update name / phone / email / company / notes / active
+ * PUT    /customers {id, action:"add_site", site}            — save a delivery site
+ * PUT    /customers {id, action:"update_site", siteId, site} — edit a saved site
+ * PUT    /customers {id, action:"remove_site", siteId}       — forget a saved site
+ * DELETE /customers?id=xxx                — deactivate
+ *
+ * POST /dispatch links new deliveries automatically (match by phone, then
+ * email, else create) — see matchOrCreateCustomer().
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { ObjectId } = require('mongodb');
+const {
+  SITE_FIELDS, normalizePhone, normalizeEmail, escapeRegex,
+  ensureCustomerIndexes, buildSite, historyQuery
+} = require('./utils/customers');
+const { deliveredTons } = require('./utils/inventory');
+
+const SEARCH_LIMIT = 50;
+const HISTORY_LIMIT = 500;
+
+const round = n => Math.round(n * 100) / 100;
+
+// Payment status of one delivery from its `paid` flag (+ partial payments)
+function paymentStatus(d) {
+  if (d.paid === true) return 'paid';
+  if (d.amountPaid > 0) return 'partial';
+  if (d.paid === false) return 'unpaid';
+  return 'unknown';
+}
+
+function summarizeHistory(deliveries) {
+  const live = deliveries.filter(d => d.status !== 'CANCELLED');
+  const delivered = live.filter(d => d.status === 'DELIVERED');
+  const total = list => round(list.reduce((s, d) => s + (d.pricing?.total || 0), 0));
+  return {
+    totalDeliveries: live.length,
+    deliveredCount: delivered.length,
+    openCount: live.filter(d => !['DELIVERED', 'FAILED'].includes(d.status)).length,
+    cancelledCount: deliveries.length - live.length,
+    orderedTons: round(live.reduce((s, d) => s + (parseFloat(d.quantity) || 0), 0)),
+    deliveredTons: round(delivered.reduce((s, d) => s + deliveredTons(d), 0)),
+    billedTotal: total(delivered),
+    paidTotal: total(live.filter(d => d.paid === true)),
+    unpaidTotal: total(live.filter(d => d.paid === false)),
+    unpaidCount: live.filter(d => d.paid === false).length,
+    firstDeliveryDate: live.length ? live[live.length - 1].deliveryDate : null,
+    lastDeliveryDate: live.length ? live[0].deliveryDate : null
+  };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+
+  try {
+    const { db } = await connectToDatabase();
+    const customersCol = db.collection('customers');
+
+    // ─── GET ──────────────────────────────────────────────────
+    if (event.httpMethod === 'GET') {
+      const p = event.queryStringParameters || {};
+
+      if (p.id) {
+        if (!ObjectId.isValid(p.id)) return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid id' }) };
+        const customer = await customersCol.findOne({ _id: new ObjectId(p.id) });
+        if (!customer) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+        if (p.history !== 'true') return { statusCode: 200, headers, body: JSON.stringify(customer) };
+
+        const deliveries = await db.collection('delivery_schedule')
+          .find(historyQuery(customer))
+          .sort({ deliveryDate: -1, loadNumber: 1 })
+          .limit(HISTORY_LIMIT)
+          .toArray();
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            success: true,
+            customer,
+            summary: summarizeHistory(deliveries),
+            deliveries: deliveries.map(d => ({
+              _id: d._id,
+              deliveryDate: d.deliveryDate,
+              status: d.status,
+              source: d.source,
+              orderId: d.orderId || null,
+              poNumber: d.poNumber || null,
+              materialName: d.materialName,
+              quantity: d.quantity,
+              actualTons: d.actualTons || null,
+              deliveryAddress: d.deliveryAddress,
+              deliveryCity: d.deliveryCity,
+              fulfillmentGroupId: d.fulfillmentGroupId || null,
+              loadNumber: d.loadNumber,
+              totalLoads: d.totalLoads,
+              total: d.pricing?.total ?? null,
+              paid: d.paid ?? null,
+              paymentStatus: paymentStatus(d),
+              linked: d.customerId === customer._id.toString()
+            }))
+          })
+        };
+      }
+
+      const query = p.all === 'true' ? {} : { active: { $ne: false } };
+      if (p.q && p.q.trim()) {
+        const q = p.q.trim();
+        const rx = { $regex: escapeRegex(q), $options: 'i' };
+        const or = [{ name: rx }, { email: rx }, { company: rx }, { 'sites.deliveryAddress': rx }];
+        const digits = q.replace(/\D/g, '');
+        if (digits.length >= 3) or.push({ phoneNormalized: { $regex: escapeRegex(digits) } });
+        query.$or = or;
+      }
+
+      const customers = await customersCol.find(query)
+        .sort(p.q ? { lastOrderAt: -1 } : { name: 1 })
+        .limit(p.q ? SEARCH_LIMIT : 0)
+        .toArray();
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, customers }) };
+    }
+
+    // ─── POST — Create customer ───────────────────────────────
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body);
+      if (!body.name || !String(body.name).trim()) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'name required' }) };
+      }
+
+      const phoneNormalized = normalizePhone(body.phone);
+      const emailNormalized = normalizeEmail(body.email);
+      if (body.phone && !phoneNormalized) return { statusCode: 400, headers, body: JSON.stringify({ error: 'phone must have 10 digits' }) };
+      if (body.email && !emailNormalized) return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid email' }) };
+
+      const contact = [];
+      if (phoneNormalized) contact.push({ phoneNormalized });
+      if (emailNormalized) contact.push({ emailNormalized });
+      const dupe = contact.length ? await customersCol.findOne({ $or: contact }) : null;
+      if (dupe) {
+        return { statusCode: 409, headers, body: JSON.stringify({ error: 'A customer with this phone or email already exists', customerId: dupe._id }) };
+      }
+
+      await ensureCustomerIndexes(db);
+      const customer = {
+        name: String(body.name).trim(),
+        phone: body.phone || '',
+        email: body.email || '',
+        phoneNormalized,
+        emailNormalized,
+        company: body.company || '',
+        notes: body.notes || '',
+        sites: Array.isArray(body.sites) ? body.sites.filter(s => s && s.deliveryAddress).map(s => buildSite(s)) : [],
+        active: true,
+        lastOrderAt: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        createdBy: body.createdBy || 'system'
+      };
+
+      const result = await customersCol.insertOne(customer);
+      return { statusCode: 201, headers, body: JSON.stringify({ success: true, customerId: result.insertedId }) };
+    }
+
+    // ─── PUT — Update customer / saved sites ──────────────────
+    if (event.httpMethod === 'PUT') {
+      const body = JSON.parse(event.body);
+      const id = body.id || body._id;
+      if (!id || !ObjectId.isValid(String(id))) return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
+      const _id = new ObjectId(String(id));
+
+      if (body.action === 'add_site') {
+        if (!body.site?.deliveryAddress) return { statusCode: 400, headers, body: JSON.stringify({ error: 'site.deliveryAddress required' }) };
+        const site = buildSite(body.site);
+        const result = await customersCol.updateOne({ _id }, { $push: { sites: site }, $set: { updatedAt: new Date() } });
+        if (!result.matchedCount) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, site }) };
+      }
+
+      if (body.action === 'update_site') {
+        if (!body.siteId || !body.site) return { statusCode: 400, headers, body: JSON.stringify({ error: 'siteId and site required' }) };
+        const set = { updatedAt: new Date() };
+        [...SITE_FIELDS, 'label', 'notes'].forEach(f => {
+          if (body.site[f] !== undefined) set[`sites.$.${f}`] = body.site[f];
+        });
+        const result = await customersCol.updateOne({ _id, 'sites.siteId': body.siteId }, { $set: set });
+        if (!result.matchedCount) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Site not found' }) };
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+      }
+
+      if (body.action === 'remove_site') {
+        if (!body.siteId) return { statusCode: 400, headers, body: JSON.stringify({ error: 'siteId required' }) };
+        const result = await customersCol.updateOne({ _id }, { $pull: { sites: { siteId: body.siteId } }, $set: { updatedAt: new Date() } });
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, removed: result.modifiedCount }) };
+      }
+
+      if (body.action) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `Unknown action: ${body.action}` }) };
+      }
+
+      const update = { updatedAt: new Date() };
+      if (body.name !== undefined) {
+        if (!String(body.name).trim()) return { statusCode: 400, headers, body: JSON.stringify({ error: 'name cannot be empty' }) };
+        update.name = String(body.name).trim();
+      }
+      if (body.phone !== undefined) {
+        update.phoneNormalized = normalizePhone(body.phone);
+        if (body.phone && !update.phoneNormalized) return { statusCode: 400, headers, body: JSON.stringify({ error: 'phone must have 10 digits' }) };
+        update.phone = body.phone || '';
+      }
+      if (body.email !== undefined) {
+        update.emailNormalized = normalizeEmail(body.email);
+        if (body.email && !update.emailNormalized) return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid email' }) };
+        update.email = body.email || '';
+      }
+      if (body.company !== undefined) update.company = body.company;
+      if (body.notes !== undefined) update.notes = body.notes;
+      if (body.active !== undefined) update.active = body.active;
+
+      try {
+        const result = await customersCol.updateOne({ _id }, { $set: update });
+        if (!result.matchedCount) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, modified: result.modifiedCount }) };
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        return { statusCode: 409, headers, body: JSON.stringify({ error: 'Another customer already has this phone or email' }) };
+      }
+    }
+
+    // ─── DELETE — Deactivate customer ─────────────────────────
+    if (event.httpMethod === 'DELETE') {
+      const p = event.queryStringParameters || {};
+      if (!p.id || !ObjectId.isValid(p.id)) return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
+
+      const result = await customersCol.updateOne(
+        { _id: new ObjectId(p.id) },
+        { $set: { active: false, updatedAt: new Date() } }
+      );
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, deactivated: result.modifiedCount }) };
+    }
+
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  } catch (err) {
+    console.error('Customers API error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * delivery-audit.js — Delivery Change Timeline
+ *
+ * Collections: delivery_audit (shape in utils/audit.js), delivery_schedule
+ *
+ * GET /delivery-audit?id=xxx          — one delivery's full timeline, oldest first:
+ *                                       status moves (statusHistory) merged with
+ *                                       field changes (before → after, actor, app)
+ * GET /delivery-audit                 — recent field changes across deliveries, newest first
+ *   actor, app, field — filters (field matches any change in the row)
+ *   since             — ISO date / datetime lower bound
+ *   limit             — default 100, max 500
+ *
+ * Read-only.
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { ObjectId } = require('mongodb');
+const { AUDIT_APPS } = require('./utils/audit');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+function statusItem(h) {
+  return {
+    type: 'status',
+    at: h.timestamp,
+    status: h.status,
+    notes: h.notes || null,
+    actor: h.updatedBy || null,
+    app: null
+  };
+}
+
+function changeItem(row) {
+  return {
+    type: row.action === 'create' ? 'created' : 'change',
+    at: row.at,
+    action: row.action,
+    revision: row.revision,
+    changes: row.changes,
+    actor: row.actor,
+    app: row.app
+  };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'GET only' }) };
+  }
+
+  try {
+    const { db } = await connectToDatabase();
+    const auditCol = db.collection('delivery_audit');
+    const p = event.queryStringParameters || {};
+
+    // ─── Single delivery timeline ─────────────────────────────
+    if (p.id) {
+      if (!ObjectId.isValid(p.id)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid id' }) };
+      }
+      const delivery = await db.collection('delivery_schedule').findOne(
+        { _id: new ObjectId(p.id) },
+        { projection: { statusHistory: 1, status: 1, customerName: 1, deliveryDate: 1, revision: 1, createdAt: 1 } }
+      );
+      if (!delivery) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+
+      const rows = await auditCol.find({ deliveryId: p.id }).sort({ at: 1 }).toArray();
+      const timeline = [
+        ...(delivery.statusHistory || []).map(statusItem),
+        ...rows.map(changeItem)
+      ].sort((a, b) => new Date(a.at) - new Date(b.at));
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          delivery: {
+            id: p.id,
+            customerName: delivery.customerName,
+            deliveryDate: delivery.deliveryDate,
+            status: delivery.status,
+            revision: delivery.revision ?? 0
+          },
+          timeline
+        })
+      };
+    }
+
+    // ─── Recent changes ───────────────────────────────────────
+    const query = {};
+    if (p.actor) query.actor = p.actor;
+    if (p.app) {
+      if (!AUDIT_APPS.includes(p.app)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `app must be one of: ${AUDIT_APPS.join(', ')}` }) };
+      }
+      query.app = p.app;
+    }
+    if (p.field) query['changes.field'] = p.field;
+    if (p.since) {
+      const since = new Date(p.since);
+      if (isNaN(since)) return { statusCode: 400, headers, body: JSON.stringify({ error: 'since must be a date' }) };
+      query.at = { $gte: since };
+    }
+    const limit = Math.min(parseInt(p.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const rows = await auditCol.find(query).sort({ at: -1 }).limit(limit).toArray();
+    return { statusCode: 200, headers, body: JSON.stringify({ success: true, changes: rows }) };
+
+  } catch (err) {
+    console.error('Delivery audit API error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};
@@ -0,0 +1,178 @@
+/**
+ * dispatch-export.js — Delivery export for accounting (CSV / XLSX)
+ *
+ * GET /dispatch-export?startDate=2026-03-01&endDate=2026-03-31
+ *   format   — csv (default) | xlsx
+ *   status   — DELIVERED (default) | comma list | all
+ *   source, truckId, driverId, customerId — exact filters
+ *   paid     — true | false | unknown
+ *   q        — same partial-match search as GET /dispatch?q= (utils/search.js)
+ *   columns  — comma list of column keys (default: DEFAULT_COLUMNS)
+ *   split    — "source": one worksheet per order source (xlsx) or a .zip
+ *              with one CSV per source (csv)
+ *
+ * GET /dispatch-export?listColumns=true — available column keys + headers (JSON)
+ *
+ * Ordered tons are the order quantity; delivered tons are scale-ticket tons
+ * when the driver captured them (utils/inventory.js deliveredTons) and are
+ * blank until the load is DELIVERED. Timestamps are America/Chicago.
+ * Read-only.
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { deliveredTons } = require('./utils/inventory');
+const { searchFilter } = require('./utils/search');
+const { toCsv, buildXlsx, buildZip } = require('./utils/spreadsheet');
+const { isValidDateStr, formatChiDateTime } = require('./utils/dates');
+const { ORDER_SOURCES } = require('./utils/delivery');
+
+const money = v => (typeof v === 'number' && isFinite(v) ? v : null);
+
+// key → header + value getter
+const COLUMNS = {
+  deliveryId:        { header: 'Delivery ID',      value: d => d._id.toString() },
+  deliveryDate:      { header: 'Delivery Date',    value: d => d.deliveryDate || '' },
+  status:            { header: 'Status',           value: d => d.status },
+  source:            { header: 'Source',           value: d => d.source || '' },
+  orderId:           { header: 'Order ID',         value: d => d.orderId || '' },
+  poNumber:          { header: 'PO Number',        value: d => d.poNumber || '' },
+  customerName:      { header: 'Customer',         value: d => d.customerName || '' },
+  customerPhone:     { header: 'Phone',            value: d => d.customerPhone || '' },
+  customerEmail:     { header: 'Email',            value: d => d.customerEmail || '' },
+  deliveryAddress:   { header: 'Address',          value: d => d.deliveryAddress || '' },
+  deliveryCity:      { header: 'City',             value: d => d.deliveryCity || '' },
+  deliveryZip:       { header: 'ZIP',              value: d => d.deliveryZip || '' },
+  materialName:      { header: 'Material',         value: d => d.materialName || '' },
+  load:              { header: 'Load',             value: d => (d.totalLoads > 1 ? `${d.loadNumber} of ${d.totalLoads}` : '') },
+  orderedTons:       { header: 'Ordered Tons',     value: d => parseFloat(d.quantity) || 0 },
+  deliveredTons:     { header: 'Delivered Tons',   value: d => (d.status === 'DELIVERED' ? deliveredTons(d) : null) },
+  scaleTicketNumber: { header: 'Scale Ticket',     value: d => d.scaleTicketNumber || '' },
+  truckNumber:       { header: 'Truck',            value: d => d.truckNumber || '' },
+  driverName:        { header: 'Driver',           value: d => d.driverName || '' },
+  paid:              { header: 'Paid',             value: d => (d.paid === true ? 'Paid' : d.paid === false ? 'Not paid' : '') },
+  materialUnitPrice: { header: 'Material Price',   value: d => money(d.pricing?.materialUnitPrice) },
+  materialSubtotal:  { header: 'Material Total',   value: d => money(d.pricing?.materialSubtotal) },
+  deliveryCharge:    { header: 'Delivery Charge',  value: d => money(d.pricing?.deliveryCharge) },
+  subtotal:          { header: 'Subtotal',         value: d => money(d.pricing?.subtotal) },
+  taxAmount:         { header: 'Tax',              value: d => money(d.pricing?.taxAmount) },
+  total:             { header: 'Total',            value: d => money(d.pricing?.total) },
+  deliveredAt:       { header: 'Delivered At',     value: d => formatChiDateTime(d.deliveredAt) }
+};
+
+const DEFAULT_COLUMNS = [
+  'deliveryDate', 'source', 'orderId', 'poNumber', 'customerName', 'deliveryAddress', 'deliveryCity',
+  'materialName', 'orderedTons', 'deliveredTons', 'truckNumber', 'driverName', 'paid',
+  'materialSubtotal', 'deliveryCharge', 'taxAmount', 'total', 'deliveredAt'
+];
+
+function slug(s) {
+  return String(s).toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'other';
+}
+
+function bySource(docs) {
+  const groups = new Map();
+  docs.forEach(d => {
+    const key = d.source || 'Other';
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(d);
+  });
+  // Known sources in reconciliation order; anything else sorts after
+  const rank = s => (ORDER_SOURCES.includes(s) ? ORDER_SOURCES.indexOf(s) : ORDER_SOURCES.length);
+  return [...groups.entries()].sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+function fileResponse(buffer, contentType, filename) {
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`
+    },
+    body: buffer.toString('base64'),
+    isBase64Encoded: true
+  };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'GET only' }) };
+  }
+
+  try {
+    const p = event.queryStringParameters || {};
+
+    if (p.listColumns === 'true') {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          columns: Object.entries(COLUMNS).map(([key, c]) => ({ key, header: c.header })),
+          defaultColumns: DEFAULT_COLUMNS
+        })
+      };
+    }
+
+    if (!isValidDateStr(p.startDate) || !isValidDateStr(p.endDate) || p.startDate > p.endDate) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'startDate and endDate (YYYY-MM-DD, start ≤ end) required' }) };
+    }
+    const format = (p.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'format must be csv or xlsx' }) };
+    }
+    if (p.split && p.split !== 'source') {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'split must be "source"' }) };
+    }
+
+    const keys = p.columns ? p.columns.split(',').map(k => k.trim()).filter(Boolean) : DEFAULT_COLUMNS;
+    const unknown = keys.filter(k => !COLUMNS[k]);
+    if (unknown.length || !keys.length) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: `Unknown columns: ${unknown.join(', ') || '(none given)'}`, available: Object.keys(COLUMNS) }) };
+    }
+    const columns = keys.map(key => ({ key, header: COLUMNS[key].header }));
+
+    const query = { deliveryDate: { $gte: p.startDate, $lte: p.endDate } };
+    if (!p.status) query.status = 'DELIVERED';
+    else if (p.status !== 'all') {
+      const statuses = p.status.split(',');
+      query.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+    }
+    if (p.source) query.source = p.source;
+    if (p.truckId) query.truckId = p.truckId;
+    if (p.driverId) query.driverId = p.driverId;
+    if (p.customerId) query.customerId = p.customerId;
+    if (p.paid === 'true') query.paid = true;
+    else if (p.paid === 'false') query.paid = false;
+    else if (p.paid === 'unknown') query.paid = null;
+    if (p.q) Object.assign(query, searchFilter(p.q));
+
+    const { db } = await connectToDatabase();
+    const docs = await db.collection('delivery_schedule')
+      .find(query)
+      .sort({ deliveryDate: 1, source: 1, customerName: 1, loadNumber: 1 })
+      .toArray();
+
+    const toRows = list => list.map(d => Object.fromEntries(keys.map(k => [k, COLUMNS[k].value(d)])));
+    const base = `deliveries-${p.startDate}-to-${p.endDate}`;
+    const groups = p.split === 'source' ? bySource(docs) : [['Deliveries', docs]];
+
+    if (format === 'xlsx') {
+      // An empty range still gets a sheet with the header row
+      const sheets = (groups.length ? groups : [['Deliveries', []]]).map(([name, list]) => ({ name, columns, rows: toRows(list) }));
+      return fileResponse(buildXlsx(sheets), 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', `${base}.xlsx`);
+    }
+
+    if (p.split === 'source') {
+      const files = groups.map(([name, list]) => ({ name: `${base}-${slug(name)}.csv`, data: toCsv(columns, toRows(list)) }));
+      return fileResponse(buildZip(files), 'application/zip', `${base}-by-source.zip`);
+    }
+
+    return fileResponse(Buffer.from(toCsv(columns, toRows(docs)), 'utf8'), 'text/csv; charset=utf-8', `${base}.csv`);
+
+  } catch (err) {
+    console.error('Dispatch export error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};
@@ -0,0 +1,334 @@
+/**
+ * dispatch-import.js — Bulk order import from CSV
+ *
+ * POST /dispatch-import
+ *   { csv,                    — CSV text, header row first
+ *     mapping?,               — { "CSV header": "postField" } — overrides the auto-mapping
+ *     defaults?,              — { source, deliveryDate, deliveryState, ... } for blank cells
+ *     truckCapacity?,         — tons per load for splitting (default: largest active truck)
+ *     commit?,                — false (default) = dry run, true = create deliveries
+ *     skipInvalid?,           — commit the valid rows even when others have errors
+ *     importId?,              — caller's id for the batch; a repeat commit returns 409
+ *     allowOversell?, createdBy? }
+ *
+ * Columns map onto the POST /dispatch fields (IMPORT_FIELDS). Each row is
+ * validated: customer name, delivery date (YYYY-MM-DD or M/D/YYYY), material
+ * against `products` (by id or name), quantity > 0, a street address or a
+ * lat/lng pin, source. The dry run returns per-row errors / warnings and the
+ * load breakdown; commit creates the deliveries (UNASSIGNED, linked to
+ * customer records like POST /dispatch) in one insert. Rows over the truck
+ * capacity become multi-load groups via calculateLoads().
+ *
+ * Every created delivery carries importId + importRow (the CSV line number)
+ * and raises a "created" webhook event.
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { randomUUID } = require('crypto');
+const { parseCsv } = require('./utils/spreadsheet');
+const { ORDER_SOURCES, buildDelivery } = require('./utils/delivery');
+const { matchOrCreateCustomer } = require('./utils/customers');
+const { oversellPolicy, checkReservation, shortfallMessage } = require('./utils/inventory');
+const { productIndex } = require('./utils/products');
+const { calculateLoads } = require('./calculate-loads');
+const { emitWebhookEvent } = require('./utils/webhooks');
+const { getChiDate, isValidDateStr } = require('./utils/dates');
+
+const MAX_IMPORT_ROWS = 1000;
+const DEFAULT_TRUCK_CAPACITY = 24;
+
+// POST /dispatch fields an import column can fill
+const IMPORT_FIELDS = [
+  'source', 'orderId', 'poNumber', 'customerName', 'customerPhone', 'customerEmail',
+  'deliveryAddress', 'deliveryCity', 'deliveryState', 'deliveryZip', 'deliveryLat', 'deliveryLng',
+  'productId', 'materialName', 'quantity', 'deliveryDate', 'timeWindow', 'deliveryNotes',
+  'sourceName', 'sourceAddress', 'paid', 'taxExempt'
+];
+
+// Normalized header → field, for spreadsheets that don't use our field names
+const HEADER_ALIASES = {
+  customer: 'customerName', name: 'customerName', customername: 'customerName',
+  phone: 'customerPhone', phonenumber: 'customerPhone', customerphone: 'customerPhone',
+  email: 'customerEmail', customeremail: 'customerEmail',
+  address: 'deliveryAddress', street: 'deliveryAddress', deliveryaddress: 'deliveryAddress', jobsite: 'deliveryAddress',
+  city: 'deliveryCity', deliverycity: 'deliveryCity',
+  state: 'deliveryState', deliverystate: 'deliveryState',
+  zip: 'deliveryZip', zipcode: 'deliveryZip', postalcode: 'deliveryZip', deliveryzip: 'deliveryZip',
+  lat: 'deliveryLat', latitude: 'deliveryLat', lng: 'deliveryLng', lon: 'deliveryLng', longitude: 'deliveryLng',
+  material: 'materialName', product: 'materialName', materialname: 'materialName',
+  productid: 'productId', sku: 'productId',
+  tons: 'quantity', qty: 'quantity', quantity: 'quantity', quantitytons: 'quantity',
+  date: 'deliveryDate', deliverydate: 'deliveryDate',
+  po: 'poNumber', ponumber: 'poNumber', purchaseorder: 'poNumber',
+  order: 'orderId', orderid: 'orderId', ordernumber: 'orderId',
+  timewindow: 'timeWindow', window: 'timeWindow',
+  notes: 'deliveryNotes', deliverynotes: 'deliveryNotes', instructions: 'deliveryNotes',
+  source: 'source', pickup: 'sourceName', pickupsource: 'sourceName', sourcename: 'sourceName',
+  pickupaddress: 'sourceAddress', sourceaddress: 'sourceAddress',
+  paid: 'paid', taxexempt: 'taxExempt'
+};
+
+const normHeader = h => String(h || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+function buildMapping(headerRow, explicit) {
+  const byField = Object.fromEntries(IMPORT_FIELDS.map(f => [normHeader(f), f]));
+  const explicitNorm = Object.fromEntries(Object.entries(explicit || {}).map(([h, f]) => [normHeader(h), f]));
+  const mapping = {};
+  const unmapped = [];
+  headerRow.forEach((h, i) => {
+    const key = normHeader(h);
+    const field = key in explicitNorm ? explicitNorm[key] : (byField[key] || HEADER_ALIASES[key]);
+    if (field && IMPORT_FIELDS.includes(field)) mapping[i] = field;
+    else if (h.trim()) unmapped.push(h);
+  });
+  return { mapping, unmapped };
+}
+
+// "2026-03-04", "3/4/2026", "3/4/26" → "2026-03-04"
+function parseDate(value) {
+  const v = String(value || '').trim();
+  if (isValidDateStr(v)) return v;
+  const m = v.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+  if (!m) return null;
+  const year = m[3].length === 2 ? `20${m[3]}` : m[3];
+  const date = `${year}-${m[1].padStart(2, '0')}-${m[2].padStart(2, '0')}`;
+  // Reject roll-overs like 2/30
+  return isValidDateStr(date) && new Date(date + 'T12:00:00Z').toISOString().slice(0, 10) === date ? date : null;
+}
+
+function parseBool(value) {
+  const v = String(value ?? '').trim().toLowerCase();
+  if (['y', 'yes', 'true', '1', 'paid', 'x'].includes(v)) return true;
+  if (['n', 'no', 'false', '0', 'unpaid', 'not paid'].includes(v)) return false;
+  return undefined;
+}
+
+/**
+ * Turn one CSV row into a POST /dispatch body + its load breakdown.
+ * Returns { line, body, loads, errors, warnings }.
+ */
+function validateRow(cells, line, mapping, defaults, products, capacity, today) {
+  const errors = [];
+  const warnings = [];
+  const raw = {};
+  Object.entries(mapping).forEach(([i, field]) => {
+    const v = (cells[i] ?? '').trim();
+    if (v !== '') raw[field] = v;
+  });
+  const body = { ...defaults, ...raw };
+
+  if (!body.customerName) errors.push('Customer name is required');
+
+  const date = parseDate(body.deliveryDate);
+  if (!body.deliveryDate) errors.push('Delivery date is required');
+  else if (!date) errors.push(`Invalid delivery date "${body.deliveryDate}" (use YYYY-MM-DD or M/D/YYYY)`);
+  else {
+    body.deliveryDate = date;
+    if (date < today) warnings.push(`Delivery date ${date} is in the past`);
+    if (new Date(date + 'T12:00:00Z').getUTCDay() === 0) warnings.push(`${date} is a Sunday`);
+  }
+
+  const product = products.get(String(body.productId || body.materialName || '').trim().toLowerCase());
+  if (!body.productId && !body.materialName) errors.push('Material is required');
+  else if (!product) errors.push(`Unknown material "${body.productId || body.materialName}"`);
+  else {
+    body.productId = product.id;
+    body.materialName = product.name;
+  }
+
+  const qty = parseFloat(String(body.quantity || '').replace(/[^0-9.\-]/g, ''));
+  if (!body.quantity) errors.push('Quantity is required');
+  else if (!(qty > 0)) errors.push(`Invalid quantity "${body.quantity}"`);
+  else body.quantity = qty;
+
+  if (body.deliveryLat != null || body.deliveryLng != null) {
+    const lat = parseFloat(body.deliveryLat);
+    const lng = parseFloat(body.deliveryLng);
+    if (!(lat >= -90 && lat <= 90) || !(lng >= -180 && lng <= 180)) errors.push('Invalid lat/lng');
+    else Object.assign(body, { deliveryLat: lat, deliveryLng: lng });
+  }
+  if (!body.deliveryAddress && body.deliveryLat == null) errors.push('Delivery address (or lat/lng) is required');
+  if (body.deliveryZip && !/^\d{5}(-\d{4})?$/.test(body.deliveryZip)) errors.push(`Invalid ZIP "${body.deliveryZip}"`);
+  if (body.deliveryAddress && !body.deliveryCity && !body.deliveryZip) warnings.push('No city or ZIP — the driver may not find the site');
+
+  body.source = body.source || 'Yard Sale';
+  if (!ORDER_SOURCES.includes(body.source)) errors.push(`Unknown source "${body.source}" (${ORDER_SOURCES.join(', ')})`);
+
+  ['paid', 'taxExempt'].forEach(f => {
+    if (raw[f] === undefined) return;
+    const b = parseBool(raw[f]);
+    if (b === undefined) errors.push(`Invalid ${f} value "${raw[f]}"`);
+    else body[f] = b;
+  });
+
+  const loads = errors.length ? [] : calculateLoads(body.quantity, capacity).loads;
+  if (loads.length > 1) warnings.push(`${body.quantity} tons split into ${loads.length} loads of up to ${capacity} tons`);
+
+  return { line, body, loads, errors, warnings };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'POST only' }) };
+  }
+
+  try {
+    const body = JSON.parse(event.body);
+    const rows = parseCsv(body.csv);
+    if (rows.length < 2) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: 'csv must have a header row and at least one data row' }) };
+    }
+    if (rows.length - 1 > MAX_IMPORT_ROWS) {
+      return { statusCode: 400, headers, body: JSON.stringify({ error: `Too many rows (max ${MAX_IMPORT_ROWS} per import)` }) };
+    }
+
+    const defaults = {};
+    IMPORT_FIELDS.forEach(f => { if (body.defaults?.[f] != null && body.defaults[f] !== '') defaults[f] = body.defaults[f]; });
+
+    // Every required field needs a column or a default
+    const { mapping, unmapped } = buildMapping(rows[0], body.mapping);
+    const mappedFields = Object.values(mapping);
+    const supplied = f => mappedFields.includes(f) || defaults[f] !== undefined;
+    const missing = ['customerName', 'deliveryDate', 'quantity'].filter(f => !supplied(f));
+    if (!supplied('materialName') && !supplied('productId')) missing.push('materialName');
+    if (missing.length) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `No column mapped to: ${missing.join(', ')}`, headers: rows[0], fields: IMPORT_FIELDS })
+      };
+    }
+
+    const { db } = await connectToDatabase();
+    const deliveries = db.collection('delivery_schedule');
+
+    const [products, trucks] = await Promise.all([
+      db.collection('products').find({ active: { $ne: false } }).toArray(),
+      db.collection('trucks').find({ active: { $ne: false } }).toArray()
+    ]);
+    const capacity = parseFloat(body.truckCapacity) ||
+      Math.max(0, ...trucks.map(t => parseFloat(t.capacity) || 0)) || DEFAULT_TRUCK_CAPACITY;
+
+    const index = productIndex(products);
+    const today = getChiDate();
+
+    // CSV line numbers count the header as line 1
+    const results = rows.slice(1).map((cells, i) => validateRow(cells, i + 2, mapping, defaults, index, capacity, today));
+    const valid = results.filter(r => !r.errors.length);
+    const invalid = results.filter(r => r.errors.length);
+
+    const report = {
+      totalRows: results.length,
+      validRows: valid.length,
+      errorRows: invalid.length,
+      totalLoads: valid.reduce((s, r) => s + r.loads.length, 0),
+      truckCapacity: capacity,
+      mapping: Object.fromEntries(Object.entries(mapping).map(([i, f]) => [rows[0][i], f])),
+      unmappedColumns: unmapped,
+      rows: results.map(r => ({
+        line: r.line,
+        ok: !r.errors.length,
+        errors: r.errors,
+        warnings: r.warnings,
+        customerName: r.body.customerName || null,
+        deliveryDate: r.body.deliveryDate || null,
+        materialName: r.body.materialName || null,
+        quantity: r.body.quantity || null,
+        loads: r.loads.map(l => l.quantity)
+      }))
+    };
+
+    if (body.commit !== true) {
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, dryRun: true, ...report }) };
+    }
+
+    if (invalid.length && body.skipInvalid !== true) {
+      return { statusCode: 422, headers, body: JSON.stringify({ error: `${invalid.length} row(s) have errors — fix them or send skipInvalid:true`, ...report }) };
+    }
+    if (!valid.length) {
+      return { statusCode: 422, headers, body: JSON.stringify({ error: 'No valid rows to import', ...report }) };
+    }
+
+    const importId = body.importId || randomUUID();
+    if (body.importId && await deliveries.findOne({ importId })) {
+      return { statusCode: 409, headers, body: JSON.stringify({ error: `Import ${importId} was already committed` }) };
+    }
+
+    const createdBy = body.createdBy || 'import';
+    const docs = [];
+    const docsByRow = new Map();
+    for (const r of valid) {
+      const orderBody = { ...r.body, createdBy };
+      docsByRow.set(r, []);
+      const multi = r.loads.length > 1;
+      const fulfillmentGroupId = multi ? randomUUID() : null;
+      for (const load of r.loads) {
+        const doc = await buildDelivery(db, {
+          ...orderBody,
+          quantity: load.quantity,
+          fulfillmentGroupId,
+          loadNumber: load.loadNumber,
+          totalLoads: r.loads.length,
+          totalTons: orderBody.quantity
+        }, {
+          historyNote: multi ? `Imported (line ${r.line}) — Load ${load.loadNumber} of ${r.loads.length}` : `Imported (line ${r.line})`
+        });
+        doc.importId = importId;
+        doc.importRow = r.line;
+        docs.push(doc);
+        docsByRow.get(r).push(doc);
+      }
+    }
+
+    // Combined stock check per product across the whole import
+    const perProduct = {};
+    docs.forEach(d => {
+      const h = d.inventoryReservation;
+      if (!h) return;
+      perProduct[h.productId] = perProduct[h.productId] || { ...h, quantity: 0 };
+      perProduct[h.productId].quantity += h.quantity;
+    });
+    const inventoryWarnings = [];
+    for (const hold of Object.values(perProduct)) {
+      const check = await checkReservation(db, hold);
+      if (check.shortfall > 0) inventoryWarnings.push({ message: shortfallMessage(check), ...check });
+    }
+    if (inventoryWarnings.length && oversellPolicy() === 'reject' && body.allowOversell !== true) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ error: inventoryWarnings.map(w => w.message).join('; '), conflict: 'inventory', inventory: inventoryWarnings })
+      };
+    }
+
+    // Link customer records (match by phone / email, else create) as POST /dispatch does
+    for (const [r, rowDocs] of docsByRow) {
+      const orderBody = { ...r.body, createdBy };
+      await matchOrCreateCustomer(db, orderBody);
+      rowDocs.forEach(doc => { doc.customerId = orderBody.customerId || null; });
+    }
+
+    const result = await deliveries.insertMany(docs);
+    await emitWebhookEvent(db, 'created', docs, { importId });
+
+    return {
+      statusCode: 201,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        dryRun: false,
+        importId,
+        ...report,
+        insertedCount: result.insertedCount,
+        skippedLines: invalid.map(r => r.line),
+        ids: Object.values(result.insertedIds).map(id => id.toString()),
+        inventoryWarnings
+      })
+    };
+
+  } catch (err) {
+    console.error('Dispatch import error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};
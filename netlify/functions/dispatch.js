@@ -5,35 +5,289 @@
  *   delivery_schedule  — all delivery records (any status)
  *   trucks             — fleet roster
  *   products           — material catalog (shared with TGR)
- *   inventory          — stock levels (depleted on DELIVERED)
+ *   inventory          — stock levels (held by open loads, depleted once on DELIVERED,
+ *                        restored on revert — utils/inventory.js)
+ *   delivery_rates     — standard per-load delivery rates (pricing — utils/pricing.js)
+ *   customers          — customer records + saved sites (utils/customers.js)
+ *   webhook_outbox     — lifecycle events queued for webhook subscribers (utils/webhooks.js)
+ *   delivery_audit     — field-level change log (utils/audit.js)
  * 
- * Statuses:
+ * Statuses (legal transitions enforced by utils/status.js — illegal changes return 409):
  *   UNASSIGNED  — order placed, no truck yet
  *   SCHEDULED   — truck assigned, customer notified (night before)
+ *   LOADED      — material loaded at pickup source (loadedAt, loadedFrom, scaleTicketNumber,
+ *                 actualTons, ticketPhoto — actual tons drive inventory + delivered messages)
  *   EN_ROUTE    — driver tapped "En Route" (real-time SMS fired)
  *   DELIVERED   — driver confirmed + photo uploaded
- *   CANCELLED   — order cancelled before delivery
+ *   FAILED      — driver could not drop the load
+ *   CANCELLED   — order cancelled before delivery (restorable for CANCEL_RESTORE_HOURS)
  * 
  * Endpoints:
  *   GET    /dispatch                       — list deliveries (filter by date, status, truck, driver)
  *   GET    /dispatch?id=xxx                — single delivery by ID
- *   POST   /dispatch                       — create new delivery (from TGR checkout or yard sale)
+ *   GET    /dispatch?q=magnolia&startDate=&endDate=&sort=&limit=&cursor=
+ *                                          — search mode: partial match on customer name, phone,
+ *                                            email, address, PO / order number or material (every
+ *                                            word must match), optional open-ended date range, any
+ *                                            of the filters above; sort date_desc (default) |
+ *                                            date_asc | created_desc | customer_asc; returns
+ *                                            nextCursor for the following page
+ *   GET    /dispatch?windowCheck=YYYY-MM-DD&truckId=
+ *                                          — time-window feasibility per truck for the day: each
+ *                                            stop's depart / arrive / back times and conflicts
+ *   POST   /dispatch                       — create new delivery (from TGR checkout or yard sale);
+ *                                            linked to a customers record by phone / email
+ *                                            (created if new) — customerId, siteId accepted
+ *   POST   /dispatch  {action:"clone_day", fromDate, toDate, deliveryIds?, keepAssignments?, keepStopOrder?, commit?}
+ *                                          — copy a day's board (or the listed loads) to another date;
+ *                                            returns a preview unless commit is true
  *   PUT    /dispatch                       — update delivery (assign truck, change status, etc.)
  *   PUT    /dispatch  {action:"finalize"}  — batch finalize tomorrow's schedule (triggers SMS)
+ *   PUT    /dispatch  {action:"resequence", truckId, date, deliveryIds:[...]}
+ *                                          — rewrite a truck's stopOrder for the day in one bulk write
+ *   PUT    /dispatch  {action:"rain_day", fromDate, toDate?, keepTrucks?, notifyCustomers?, reason?}
+ *                                          — move every UNASSIGNED / SCHEDULED load off a date (toDate
+ *                                            omitted → next date with capacity per capacity.js; must be
+ *                                            after fromDate); LOADED / EN_ROUTE loads come back in skipped
+ *   PUT    /dispatch  {action:"fail", id, reasonCode, notes?, photos?, disposition?, redirectToId?, rescheduleDate?}
+ *                                          — driver could not drop the load: FAILED with reason code,
+ *                                            material returned to yard or redirected to another open
+ *                                            delivery, office alerted, optional follow-up created
+ *   PUT    /dispatch  {action:"reschedule_failed", id, deliveryDate, keepTruck?}
+ *                                          — create the follow-up delivery for a FAILED load
+ *   PUT    /dispatch  {action:"restore", id, unassign?, expectedRevision?}
+ *                                          — undo a cancellation within CANCEL_RESTORE_HOURS (default
+ *                                            72): back on its old truck if that truck is free that
+ *                                            day (driver re-notified), else UNASSIGNED
  *   DELETE /dispatch?id=xxx                — cancel a delivery
+ *
+ * Pricing: material / delivery-rate / specialty inputs are stored on each
+ * delivery and `pricing` (material + delivery + tax = total) is recomputed
+ * server-side whenever one of them, quantity, product or source changes.
+ *
+ * Inventory holds: every open load carries `inventoryReservation`. POST / PUT
+ * that would push a product's free stock (on hand − reserved) negative return
+ * `inventoryWarning`, or 409 {conflict:"inventory"} when
+ * INVENTORY_OVERSELL_POLICY=reject (send allowOversell:true to override).
+ *
+ * Webhooks: creates, moves into SCHEDULED / EN_ROUTE / DELIVERED / CANCELLED,
+ * restores and date changes are queued for subscribers (utils/webhooks.js, webhooks.js).
+ *
+ * Time windows: windowStart / windowEnd ("HH:MM", America/Chicago) are set
+ * from either those fields or a timeWindow label and validated on POST / PUT
+ * (400 on a malformed or inverted windowStart / windowEnd; a label that
+ * isn't a time range is kept as text and returned as `windowWarning`). A PUT
+ * touching a scheduled load's truck, date, stop order, start time or window
+ * returns `windowConflicts` for that truck's day (utils/timewindows.js) — a
+ * warning, not a rejection.
+ *
+ * Truck capacity: a PUT that assigns an open load to a truck (or changes the
+ * quantity of one on a truck) is weighed against the truck's capacity
+ * (utils/trucks.js). Over capacity returns `capacityWarning`, or 422
+ * {conflict:"capacity"} when TRUCK_CAPACITY_POLICY=reject (send
+ * allowOverCapacity:true to override). splitToCapacity:true instead splits
+ * an UNASSIGNED / SCHEDULED load into truck-sized loads of a group on that
+ * truck and returns them as `split`.
+ *
+ * Invoiced loads: while a delivery carries `invoiceId`, a PUT changing its
+ * status, quantity, actualTons, material, pricing inputs or `paid`, a fail,
+ * a DELETE or a rain-day move returns 409 {conflict:"invoiced"} — void the
+ * invoice first (utils/invoices.js).
+ *
+ * Audit: every delivery write — creates, edits and the board actions
+ * (multi-load, finalize, resequence, rain day, fail, cancel) — records
+ * per-field before / after, acting user and app in delivery_audit
+ * (utils/audit.js); read the merged timeline from delivery-audit.js.
+ *
+ * Concurrency: every document carries a `revision` (bumped on each edit).
+ * PUT / DELETE accept `expectedRevision`; a stale value returns 409 with the
+ * current document so the board can show what changed, one that isn't a
+ * whole number returns 400.
  */
 
 const { connectToDatabase, headers, handleOptions } = require('./utils/db');
 const { ObjectId } = require('mongodb');
+const { FAILURE_REASONS, FAILURE_DISPOSITIONS, restoreWindowHours, validateTransition, statusGuard } = require('./utils/status');
+const { INVALID_REVISION, currentRevision, parseExpectedRevision, revisionFilter, staleRevision } = require('./utils/revision');
+const {
+  RESERVING_STATUSES,
+  deductionQuantity,
+  depleteForDelivery,
+  restoreForDelivery,
+  adjustForDelivery,
+  oversellPolicy,
+  reservationFor,
+  checkReservation,
+  shortfallMessage
+} = require('./utils/inventory');
+const { PRICING_INPUT_FIELDS, pickPricingInputs, computePricing } = require('./utils/pricing');
+const { invoicedConflict } = require('./utils/invoices');
+const { computeCapacity, DELIVERIES_PER_TRUCK } = require('./utils/capacity');
+const { buildDelivery } = require('./utils/delivery');
+const { matchOrCreateCustomer } = require('./utils/customers');
+const {
+  SEARCH_FIELDS,
+  SEARCH_SORTS,
+  SEARCH_DEFAULT_LIMIT,
+  SEARCH_MAX_LIMIT,
+  searchKeysFor,
+  searchFilter,
+  ensureSearchIndexes,
+  backfillSearchKeys,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter
+} = require('./utils/search');
+const { fireDriverNotify, fireCustomerNotify, fireDispatcherAlert } = require('./utils/notifications');
+const { STATUS_EVENTS, emitWebhookEvent } = require('./utils/webhooks');
+const { getChiDate, shiftDate, daysBetween, isValidDateStr } = require('./utils/dates');
+const { windowFieldsFrom, checkTruckDay } = require('./utils/timewindows');
+const { resolveActor, diffChanges, recordAudit, recordAudits } = require('./utils/audit');
+const { capacityPolicy, findTruck, overCapacity, capacityMessage } = require('./utils/trucks');
+const { splitToCapacity } = require('./utils/groups');
+
+// Loads a rain day moves — delivered, failed and cancelled ones stay put
+const RAIN_DAY_STATUSES = ['UNASSIGNED', 'SCHEDULED'];
+// Already picked up / on the road — reported as skipped, never moved
+const RAIN_DAY_IN_FLIGHT_STATUSES = ['LOADED', 'EN_ROUTE'];
+const RAIN_DAY_SEARCH_DAYS = 14;
+
+// Loads a day clone leaves behind unless explicitly listed
+const CLONE_SKIP_STATUSES = ['CANCELLED'];
+
+// Loads that still have a trip to make — the ones a window check walks
+const WINDOW_CHECK_STATUSES = ['SCHEDULED', 'LOADED', 'EN_ROUTE'];
+
+// Pre-cancel statuses a restore recognizes; any with a truck goes back as SCHEDULED
+const RESTORE_FROM_STATUSES = ['UNASSIGNED', 'SCHEDULED', 'LOADED', 'EN_ROUTE', 'DELIVERED', 'FAILED'];
+const RESTORE_TO_TRUCK_STATUSES = ['SCHEDULED', 'LOADED', 'EN_ROUTE', 'DELIVERED'];
+
+// Loads that can still be split into truck-sized loads (nothing picked up yet)
+const SPLITTABLE_STATUSES = ['UNASSIGNED', 'SCHEDULED'];
+
+// Check a stock hold against free inventory. Returns { warning } (null when
+// there's enough) or { reject } with the 409 body under the reject policy.
+async function checkStock(db, reservation, excludeDeliveryId, allowOversell) {
+  if (!reservation) return { warning: null };
+  const check = await checkReservation(db, reservation, excludeDeliveryId);
+  if (check.shortfall <= 0) return { warning: null };
+  const message = shortfallMessage(check);
+  if (oversellPolicy() === 'reject' && allowOversell !== true) {
+    return { reject: { error: message, conflict: 'inventory', inventory: check } };
+  }
+  return { warning: { message, ...check } };
+}
+
+// Time-window feasibility of one truck's day (utils/timewindows.js)
+async function truckDayWindows(db, truckId, date) {
+  const loads = await db.collection('delivery_schedule')
+    .find({ truckId, deliveryDate: date, status: { $in: WINDOW_CHECK_STATUSES } })
+    .toArray();
+  return checkTruckDay(loads);
+}
 
-// ─── Fire-and-forget driver notification ─────────────────────
-function fireDriverNotify(truckId, deliveryId, customerName, deliveryDate, type, extraDetail = null) {
-  if (!truckId || !process.env.URL) return;
-  fetch(`${process.env.URL}/.netlify/functions/driver-notify`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ truckId, deliveryId, customerName, deliveryDate, type, extraDetail })
-  }).catch(err => console.error('[dispatch] Notify error:', err));
+// Status a cancelled delivery had just before it was cancelled (statusHistory)
+function statusBeforeCancel(d) {
+  const history = d.statusHistory || [];
+  let i = history.length - 1;
+  while (i >= 0 && history[i].status !== 'CANCELLED') i--;
+  for (i--; i >= 0; i--) {
+    if (RESTORE_FROM_STATUSES.includes(history[i].status)) return history[i].status;
+  }
+  return null;
+}
+
+// Can the load's old truck take it back on its date? Returns { free, reason, stopOrder }.
+async function truckFreeFor(db, d) {
+  let truck = null;
+  if (ObjectId.isValid(String(d.truckId))) {
+    truck = await db.collection('trucks').findOne({ _id: new ObjectId(String(d.truckId)) });
+  }
+  if (!truck || truck.active === false) {
+    return { free: false, reason: `Truck ${d.truckNumber || d.truckId} is no longer active` };
+  }
+  const dayLoads = await db.collection('delivery_schedule').find(
+    { truckId: d.truckId, deliveryDate: d.deliveryDate, status: { $nin: ['CANCELLED', 'FAILED'] }, _id: { $ne: d._id } },
+    { projection: { stopOrder: 1 } }
+  ).toArray();
+  if (dayLoads.length >= DELIVERIES_PER_TRUCK) {
+    return { free: false, reason: `Truck ${d.truckNumber || d.truckId} already has ${dayLoads.length} loads on ${d.deliveryDate}` };
+  }
+  const lastStop = dayLoads.reduce((max, l) => Math.max(max, l.stopOrder || 0), 0);
+  return { free: true, reason: null, stopOrder: lastStop + 1 };
+}
+
+// Create-body for a copy of an existing delivery on another date. Status,
+// timestamps, notification flags and proof photos come fresh from buildDelivery.
+function cloneBody(d, toDate, keepAssignments, keepStopOrder, createdBy) {
+  const body = {
+    source: d.source, orderId: d.orderId,
+    customerId: d.customerId || null,
+    customerName: d.customerName, customerPhone: d.customerPhone, customerEmail: d.customerEmail,
+    deliveryAddress: d.deliveryAddress, deliveryCity: d.deliveryCity, deliveryState: d.deliveryState,
+    deliveryZip: d.deliveryZip, deliveryLat: d.deliveryLat, deliveryLng: d.deliveryLng,
+    productId: d.productId, materialName: d.materialName, quantity: d.quantity, unit: d.unit,
+    deliveryDate: toDate, timeWindow: d.timeWindow, hour: d.hour,
+    windowStart: d.windowStart, windowEnd: d.windowEnd,
+    sourceName: d.sourceName, sourceAddress: d.sourceAddress,
+    estimatedRoundTripMin: d.estimatedRoundTripMin,
+    deliveryNotes: d.deliveryNotes,
+    createdBy
+  };
+  PRICING_INPUT_FIELDS.forEach(f => { if (d[f] !== undefined) body[f] = d[f]; });
+  if (keepAssignments && d.truckId) {
+    Object.assign(body, { truckId: d.truckId, truckNumber: d.truckNumber, driverId: d.driverId, driverName: d.driverName });
+    if (keepStopOrder) body.stopOrder = d.stopOrder;
+  }
+  return body;
+}
+
+// Create the follow-up delivery for a FAILED load. The claim on
+// failure.followUpDeliveryId makes it one follow-up per failure.
+// Returns the inserted document, or null if one already exists.
+async function createFollowUp(db, failed, deliveryDate, keepTruck, createdBy) {
+  const deliveries = db.collection('delivery_schedule');
+  const body = cloneBody(failed, deliveryDate, keepTruck, false, createdBy);
+  if (failed.fulfillmentGroupId) {
+    Object.assign(body, {
+      fulfillmentGroupId: failed.fulfillmentGroupId,
+      loadNumber: failed.loadNumber,
+      totalLoads: failed.totalLoads,
+      totalTons: failed.totalTons
+    });
+  }
+  const doc = await buildDelivery(db, body, {
+    historyNote: `Follow-up to failed delivery on ${failed.deliveryDate} (${failed.failure?.reason || 'failed'})`
+  });
+  doc._id = new ObjectId();
+  doc.followUpOfId = failed._id.toString();
+
+  const claim = await deliveries.updateOne(
+    { _id: failed._id, status: 'FAILED', 'failure.followUpDeliveryId': null },
+    { $set: { 'failure.followUpDeliveryId': doc._id.toString(), updatedAt: new Date() }, $inc: { revision: 1 } }
+  );
+  if (claim.modifiedCount === 0) return null;
+
+  await deliveries.insertOne(doc);
+  await emitWebhookEvent(db, 'created', doc, { followUpOfId: doc.followUpOfId });
+  if (doc.truckId) {
+    fireDriverNotify(doc.truckId, doc._id.toString(), doc.customerName, deliveryDate, 'LOAD_ADDED');
+  }
+  return doc;
+}
+
+// Audit rows for createFollowUp(): the new load, and the failed one pointing at it
+function followUpAudits(failed, failedRevision, followUp, actor) {
+  return [
+    { deliveryId: followUp._id, action: 'create', revision: followUp.revision, ...actor },
+    {
+      deliveryId: failed._id,
+      action: 'reschedule_failed',
+      revision: failedRevision,
+      changes: [{ field: 'failure.followUpDeliveryId', before: null, after: followUp._id.toString() }],
+      ...actor
+    }
+  ];
 }
 
 exports.handler = async (event) => {
@@ -47,10 +301,101 @@ exports.handler = async (event) => {
     if (event.httpMethod === 'GET') {
       const p = event.queryStringParameters || {};
 
+      // Time-window check — every truck's day (or one truck) walked in stop order
+      if (p.windowCheck) {
+        if (!isValidDateStr(p.windowCheck)) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'windowCheck must be a date (YYYY-MM-DD)' }) };
+        }
+        const query = { deliveryDate: p.windowCheck, status: { $in: WINDOW_CHECK_STATUSES }, truckId: p.truckId || { $ne: null } };
+        const loads = await deliveries.find(query).toArray();
+        const byTruck = {};
+        loads.forEach(d => { (byTruck[d.truckId] = byTruck[d.truckId] || []).push(d); });
+        const trucksOut = Object.entries(byTruck).map(([truckId, list]) => ({
+          truckId,
+          truckNumber: list[0].truckNumber || null,
+          ...checkTruckDay(list)
+        }));
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            success: true,
+            date: p.windowCheck,
+            conflictCount: trucksOut.reduce((n, t) => n + t.conflicts.length, 0),
+            trucks: trucksOut
+          })
+        };
+      }
+
       // Single delivery by ID
       if (p.id) {
         const doc = await deliveries.findOne({ _id: new ObjectId(p.id) });
-        return { statusCode: doc ? 200 : 404, headers, body: JSON.stringify(doc || { error: 'Not found' }) };
+        if (!doc) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+        return { statusCode: 200, headers, body: JSON.stringify({ ...doc, revision: currentRevision(doc) }) };
+      }
+
+      // Search mode — any of q / sort / limit / cursor
+      if (p.q !== undefined || p.sort || p.limit || p.cursor) {
+        const [sortField, sortDir] = SEARCH_SORTS[p.sort || 'date_desc'] || [];
+        if (!sortField) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: `sort must be one of: ${Object.keys(SEARCH_SORTS).join(', ')}` }) };
+        }
+        const limit = Math.min(Math.max(parseInt(p.limit, 10) || SEARCH_DEFAULT_LIMIT, 1), SEARCH_MAX_LIMIT);
+        const cursor = p.cursor ? decodeCursor(p.cursor) : null;
+        if (p.cursor && !cursor) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid cursor' }) };
+        }
+        for (const d of [p.date, p.startDate, p.endDate]) {
+          if (d && !isValidDateStr(d)) {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: `Invalid date: ${d}` }) };
+          }
+        }
+
+        await ensureSearchIndexes(db);
+        await backfillSearchKeys(db);
+
+        const clauses = [];
+        if (p.q) clauses.push(searchFilter(p.q));
+        if (p.date) clauses.push({ deliveryDate: p.date });
+        else if (p.startDate || p.endDate) {
+          const range = {};
+          if (p.startDate) range.$gte = p.startDate;
+          if (p.endDate) range.$lte = p.endDate;
+          clauses.push({ deliveryDate: range });
+        }
+        if (p.status) {
+          const statuses = p.status.split(',');
+          clauses.push({ status: statuses.length === 1 ? statuses[0] : { $in: statuses } });
+        } else if (p.includeCancelled !== 'true') {
+          clauses.push({ status: { $ne: 'CANCELLED' } });
+        }
+        if (p.truckId) clauses.push({ truckId: p.truckId });
+        if (p.driverId) clauses.push({ driverId: p.driverId });
+        if (p.source) clauses.push({ source: p.source });
+        if (p.customerId) clauses.push({ customerId: p.customerId });
+        if (p.fulfillmentGroupId) clauses.push({ fulfillmentGroupId: p.fulfillmentGroupId });
+        if (cursor) clauses.push(cursorFilter(cursor, sortField, sortDir));
+
+        const page = await deliveries
+          .find(clauses.length ? { $and: clauses } : {})
+          .sort({ [sortField]: sortDir, _id: sortDir })
+          .limit(limit + 1)
+          .toArray();
+        const hasMore = page.length > limit;
+        const results = hasMore ? page.slice(0, limit) : page;
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            success: true,
+            deliveries: results.map(({ searchKeys, ...d }) => ({ ...d, revision: currentRevision(d) })),
+            count: results.length,
+            sort: p.sort || 'date_desc',
+            hasMore,
+            nextCursor: hasMore ? encodeCursor(results[results.length - 1], sortField) : null
+          })
+        };
       }
 
       const query = {};
@@ -91,7 +436,11 @@ exports.handler = async (event) => {
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({ success: true, deliveries: results, count: results.length })
+        body: JSON.stringify({
+          success: true,
+          deliveries: results.map(d => ({ ...d, revision: currentRevision(d) })),
+          count: results.length
+        })
       };
     }
 
@@ -99,6 +448,11 @@ exports.handler = async (event) => {
     if (event.httpMethod === 'POST') {
       const body = JSON.parse(event.body);
 
+      const window = windowFieldsFrom(body);
+      if (window.error) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: window.error }) };
+      }
+
       // ── Multi-load batch creation (3E) ──────────────────────
       // Creates N linked delivery documents for a single customer order
       // that exceeds truck capacity. The caller supplies the load breakdown.
@@ -108,13 +462,17 @@ exports.handler = async (event) => {
         const loads = body.loads || [];
         const totalLoads = loads.length;
         const totalTons = parseFloat(body.totalTons) || parseFloat(body.quantity) || 0;
+        const pricingInputs = pickPricingInputs(body);
+        const customerLink = await matchOrCreateCustomer(db, body);
 
         const docs = loads.map(load => ({
           source: body.source || 'Yard Sale',
           orderId: body.orderId || null,
+          poNumber: body.poNumber || null,
           customerName: body.customerName,
           customerPhone: body.customerPhone || '',
           customerEmail: body.customerEmail || '',
+          customerId: body.customerId || null,
           deliveryAddress: body.deliveryAddress || '',
           deliveryCity: body.deliveryCity || '',
           deliveryState: body.deliveryState || 'TX',
@@ -125,9 +483,13 @@ exports.handler = async (event) => {
           materialName: body.materialName,
           quantity: load.quantity,
           unit: body.unit || 'tons',
+          ...pricingInputs,
           deliveryDate: body.deliveryDate,
           timeWindow: body.timeWindow || null,
           hour: body.hour || null,
+          windowStart: null,
+          windowEnd: null,
+          ...window.fields,
           truckId: body.truckId || null,
           truckNumber: body.truckNumber || null,
           driverId: body.driverId || null,
@@ -142,6 +504,11 @@ exports.handler = async (event) => {
           cancelledAt: null,
           sourceName: body.sourceName || null,
           sourceAddress: body.sourceAddress || null,
+          loadedAt: null,
+          loadedFrom: null,
+          scaleTicketNumber: null,
+          actualTons: null,
+          ticketPhoto: null,
           deliveryPhoto: null,
           proofPhotos: [],
           deliveryNotes: body.deliveryNotes || '',
@@ -163,10 +530,29 @@ exports.handler = async (event) => {
             updatedBy: body.createdBy || 'system',
             notes: `Multi-load order — Load ${load.loadNumber} of ${totalLoads}`
           }],
+          revision: 1,
           createdBy: body.createdBy || 'system'
         }));
 
+        // Each load carries its own delivery charge and stock hold
+        for (const doc of docs) {
+          doc.pricing = await computePricing(db, doc);
+          doc.inventoryReservation = await reservationFor(db, doc);
+          doc.searchKeys = searchKeysFor(doc);
+        }
+
+        const held = docs.filter(doc => doc.inventoryReservation);
+        const stock = held.length
+          ? await checkStock(db, { ...held[0].inventoryReservation, quantity: held.reduce((sum, doc) => sum + doc.inventoryReservation.quantity, 0) }, null, body.allowOversell)
+          : { warning: null };
+        if (stock.reject) {
+          return { statusCode: 409, headers, body: JSON.stringify(stock.reject) };
+        }
+
         const result = await deliveries.insertMany(docs);
+        const actor = resolveActor(event, body.createdBy);
+        await recordAudits(db, docs.map(doc => ({ deliveryId: doc._id, action: 'create', revision: doc.revision, at: doc.createdAt, ...actor })));
+        await emitWebhookEvent(db, 'created', docs);
 
         // Notify driver once per load if truck assigned at creation
         if (body.truckId) {
@@ -182,95 +568,152 @@ exports.handler = async (event) => {
             success: true,
             fulfillmentGroupId,
             insertedCount: result.insertedCount,
-            ids: Object.values(result.insertedIds).map(id => id.toString())
+            ids: Object.values(result.insertedIds).map(id => id.toString()),
+            customerId: customerLink?.customerId || null,
+            customerCreated: customerLink?.created || false,
+            inventoryWarning: stock.warning,
+            windowWarning: window.warning || null
           })
         };
       }
 
-      const newDelivery = {
-        // Order info
-        source: body.source || 'Yard Sale',         // "Texas Got Rocks", "Yard Sale", "T&C Materials"
-        orderId: body.orderId || null,               // TGR order ID or null for yard sales
-        
-        // Customer
-        customerName: body.customerName,
-        customerPhone: body.customerPhone || '',
-        customerEmail: body.customerEmail || '',
-        
-        // Delivery address
-        deliveryAddress: body.deliveryAddress || '',
-        deliveryCity: body.deliveryCity || '',
-        deliveryState: body.deliveryState || 'TX',
-        deliveryZip: body.deliveryZip || '',
-        deliveryLat: body.deliveryLat || null,
-        deliveryLng: body.deliveryLng || null,
-        
-        // Material
-        productId: body.productId || null,
-        materialName: body.materialName,
-        quantity: parseFloat(body.quantity) || 0,     // tons
-        unit: body.unit || 'tons',
-        
-        // Scheduling
-        deliveryDate: body.deliveryDate,              // "2026-02-13" (requested or selected)
-        timeWindow: body.timeWindow || null,          // "10:00 AM - 12:00 PM" (set by dispatcher)
-        hour: body.hour || null,                      // 10 (numeric hour, for calendar slot)
-        
-        // Assignment (set by dispatcher)
-        truckId: body.truckId || null,
-        truckNumber: body.truckNumber || null,
-        driverId: body.driverId || null,
-        driverName: body.driverName || null,
-        stopOrder: body.stopOrder || null,            // 1, 2, 3... (position in truck route)
-        
-        // Status lifecycle
-        status: body.truckId ? 'SCHEDULED' : 'UNASSIGNED',
-        
-        // Timestamps
-        createdAt: new Date(),
-        updatedAt: new Date(),
-        scheduledAt: body.truckId ? new Date() : null,
-        enRouteAt: null,
-        deliveredAt: null,
-        cancelledAt: null,
-        
-        // Pickup source (driver's starting point for this delivery)
-        sourceName: body.sourceName || null,
-        sourceAddress: body.sourceAddress || null,
-
-        // Multi-load fulfillment (null on single-load orders)
-        fulfillmentGroupId: body.fulfillmentGroupId || null,
-        loadNumber: body.loadNumber || 1,
-        totalLoads: body.totalLoads || 1,
-        totalTons: body.totalTons || (parseFloat(body.quantity) || 0),
-        scheduledStartTime: body.scheduledStartTime || null,
-        estimatedRoundTripMin: body.estimatedRoundTripMin || null,
-
-        // Proof of delivery
-        deliveryPhoto: null,
-        proofPhotos: [],
-        deliveryNotes: body.deliveryNotes || '',
-        
-        // Notifications
-        scheduleSmsSent: false,
-        scheduleEmailSent: false,
-        enRouteSmsSent: false,
-        enRouteEmailSent: false,
-        deliveredSmsSent: false,
-        deliveredEmailSent: false,
-        
-        // Audit trail
-        statusHistory: [{
-          status: body.truckId ? 'SCHEDULED' : 'UNASSIGNED',
-          timestamp: new Date(),
-          updatedBy: body.createdBy || 'system',
-          notes: 'Order created'
-        }],
-        paid: body.paid != null ? body.paid : null,
-        createdBy: body.createdBy || 'system'
-      };
+      // ── Clone a day's board onto another date ───────────────
+      // Without commit:true nothing is written — the response is the preview.
+      if (body.action === 'clone_day') {
+        const { fromDate, toDate } = body;
+        if (!fromDate || !toDate) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'fromDate and toDate required for clone_day' }) };
+        }
+        if (fromDate === toDate) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'toDate must differ from fromDate' }) };
+        }
+        const keepAssignments = body.keepAssignments === true;
+        const keepStopOrder = keepAssignments && body.keepStopOrder === true;
+        const createdBy = body.createdBy || 'dispatcher';
+
+        const query = { deliveryDate: fromDate };
+        if (Array.isArray(body.deliveryIds) && body.deliveryIds.length) {
+          const invalidIds = body.deliveryIds.filter(id => !ObjectId.isValid(id));
+          if (invalidIds.length) {
+            return { statusCode: 422, headers, body: JSON.stringify({ error: 'Invalid deliveryIds', invalidIds }) };
+          }
+          query._id = { $in: body.deliveryIds.map(id => new ObjectId(id)) };
+        } else {
+          query.status = { $nin: CLONE_SKIP_STATUSES };
+        }
+        const sources = await deliveries.find(query).sort({ truckNumber: 1, stopOrder: 1, createdAt: 1 }).toArray();
+
+        // Assignments are only kept for trucks still in the fleet
+        const warnings = [];
+        let activeTrucks = new Set();
+        if (keepAssignments) {
+          const truckIds = [...new Set(sources.map(d => d.truckId).filter(id => id && ObjectId.isValid(id)))];
+          const trucks = await db.collection('trucks')
+            .find({ _id: { $in: truckIds.map(id => new ObjectId(id)) }, active: { $ne: false } })
+            .toArray();
+          activeTrucks = new Set(trucks.map(t => t._id.toString()));
+        }
+
+        // Multi-load groups get a fresh group ID; load numbers and totals are
+        // recomputed over the loads actually copied
+        const { randomUUID } = require('crypto');
+        const groups = {};
+        sources.forEach(d => {
+          if (!d.fulfillmentGroupId) return;
+          if (!groups[d.fulfillmentGroupId]) groups[d.fulfillmentGroupId] = { id: randomUUID(), loads: [] };
+          groups[d.fulfillmentGroupId].loads.push(d);
+        });
+        Object.values(groups).forEach(g => g.loads.sort((a, b) => (a.loadNumber || 1) - (b.loadNumber || 1)));
+
+        const docs = [];
+        for (const d of sources) {
+          const keepTruck = keepAssignments && d.truckId && activeTrucks.has(d.truckId);
+          if (keepAssignments && d.truckId && !keepTruck) {
+            warnings.push({ id: d._id.toString(), customerName: d.customerName, warning: `Truck ${d.truckNumber || d.truckId} is inactive — copied as unassigned` });
+          }
+          const copyBody = cloneBody(d, toDate, keepTruck, keepStopOrder, createdBy);
+          const group = d.fulfillmentGroupId ? groups[d.fulfillmentGroupId] : null;
+          if (group) {
+            Object.assign(copyBody, {
+              fulfillmentGroupId: group.id,
+              loadNumber: group.loads.indexOf(d) + 1,
+              totalLoads: group.loads.length,
+              totalTons: group.loads.reduce((sum, l) => sum + (parseFloat(l.quantity) || 0), 0)
+            });
+          }
+          const doc = await buildDelivery(db, copyBody, { historyNote: `Copied from ${fromDate}` });
+          doc.clonedFromId = d._id.toString();
+          docs.push(doc);
+        }
+
+        const preview = docs.map(doc => ({
+          clonedFromId: doc.clonedFromId,
+          customerName: doc.customerName,
+          materialName: doc.materialName,
+          quantity: doc.quantity,
+          deliveryAddress: doc.deliveryAddress,
+          status: doc.status,
+          truckNumber: doc.truckNumber,
+          driverName: doc.driverName,
+          stopOrder: doc.stopOrder,
+          loadNumber: doc.loadNumber,
+          totalLoads: doc.totalLoads,
+          total: doc.pricing.total
+        }));
+        const totalTons = Math.round(docs.reduce((sum, doc) => sum + doc.quantity, 0) * 10) / 10;
+
+        // Stock check per product over everything being copied
+        const holds = {};
+        docs.forEach(doc => {
+          const r = doc.inventoryReservation;
+          if (!r) return;
+          if (!holds[r.productId]) holds[r.productId] = { ...r, quantity: 0 };
+          holds[r.productId].quantity += r.quantity;
+        });
+        for (const hold of Object.values(holds)) {
+          const stock = await checkStock(db, hold, null, true);
+          if (stock.warning) warnings.push({ productId: hold.productId, warning: stock.warning.message });
+        }
+
+        if (body.commit !== true || !docs.length) {
+          return {
+            statusCode: 200,
+            headers,
+            body: JSON.stringify({ success: true, preview: true, fromDate, toDate, count: docs.length, totalTons, deliveries: preview, warnings })
+          };
+        }
+
+        const result = await deliveries.insertMany(docs);
+        const ids = Object.values(result.insertedIds).map(id => id.toString());
+        await emitWebhookEvent(db, 'created', docs);
+        docs.forEach((doc, i) => {
+          if (doc.truckId) fireDriverNotify(doc.truckId, ids[i], doc.customerName, toDate, 'LOAD_ADDED');
+        });
+
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({ success: true, preview: false, fromDate, toDate, insertedCount: result.insertedCount, totalTons, ids, warnings })
+        };
+      }
+
+      // Link (or create) the customer record — also fills the address from a saved siteId
+      const customerLink = await matchOrCreateCustomer(db, body);
+      const newDelivery = await buildDelivery(db, body);
+
+      const stock = await checkStock(db, newDelivery.inventoryReservation, null, body.allowOversell);
+      if (stock.reject) {
+        return { statusCode: 409, headers, body: JSON.stringify(stock.reject) };
+      }
 
       const result = await deliveries.insertOne(newDelivery);
+      await recordAudit(db, {
+        deliveryId: result.insertedId,
+        action: 'create',
+        revision: newDelivery.revision,
+        ...resolveActor(event, body.createdBy)
+      });
+      await emitWebhookEvent(db, 'created', newDelivery);
 
       // Notify driver if truck already assigned at creation
       if (newDelivery.truckId) {
@@ -283,7 +726,13 @@ exports.handler = async (event) => {
         body: JSON.stringify({
           success: true,
           deliveryId: result.insertedId,
-          status: newDelivery.status
+          status: newDelivery.status,
+          revision: newDelivery.revision,
+          pricing: newDelivery.pricing,
+          customerId: newDelivery.customerId,
+          customerCreated: customerLink?.created || false,
+          inventoryWarning: stock.warning,
+          windowWarning: window.warning || null
         })
       };
     }
@@ -314,10 +763,14 @@ exports.handler = async (event) => {
         }).toArray();
 
         // NOW flip scheduleSmsSent to true
+        const finalizeFilter = { deliveryDate: date, status: 'SCHEDULED', scheduleSmsSent: false };
+        const finalizing = await deliveries.find(finalizeFilter).toArray();
+        const now = new Date();
         const result = await deliveries.updateMany(
-          { deliveryDate: date, status: 'SCHEDULED', scheduleSmsSent: false },
+          { ...finalizeFilter, _id: { $in: finalizing.map(d => d._id) } },
           {
-            $set: { scheduleSmsSent: true, updatedAt: new Date() },
+            $set: { scheduleSmsSent: true, updatedAt: now },
+            $inc: { revision: 1 },
             $push: {
               statusHistory: {
                 status: 'FINALIZED',
@@ -328,6 +781,15 @@ exports.handler = async (event) => {
             }
           }
         );
+        const actor = resolveActor(event, body.updatedBy || 'dispatcher');
+        await recordAudits(db, finalizing.map(d => ({
+          deliveryId: d._id,
+          action: 'finalize',
+          revision: currentRevision(d) + 1,
+          changes: diffChanges(d, { scheduleSmsSent: true }),
+          at: now,
+          ...actor
+        })));
 
         return {
           statusCode: 200,
@@ -351,20 +813,602 @@ exports.handler = async (event) => {
         };
       }
 
+      // ── Resequence: reorder one truck's stops for a date ──
+      // deliveryIds is the new order (stop 1 first). Every ID must belong to
+      // the truck + date; any open stops left out keep their relative order
+      // after the listed ones. One bulkWrite, one driver notification.
+      if (body.action === 'resequence') {
+        const { truckId, date } = body;
+        const orderedIds = Array.isArray(body.deliveryIds) ? body.deliveryIds.map(String) : [];
+        if (!truckId || !date || !orderedIds.length) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'truckId, date and deliveryIds[] required' }) };
+        }
+        if (new Set(orderedIds).size !== orderedIds.length) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'deliveryIds contains duplicates' }) };
+        }
+
+        const truckStops = await deliveries
+          .find({ truckId, deliveryDate: date, status: { $ne: 'CANCELLED' } })
+          .sort({ stopOrder: 1 })
+          .toArray();
+        const byId = new Map(truckStops.map(d => [d._id.toString(), d]));
+
+        const foreign = orderedIds.filter(did => !byId.has(did));
+        if (foreign.length) {
+          return {
+            statusCode: 422,
+            headers,
+            body: JSON.stringify({ error: `Deliveries not on truck ${truckId} for ${date}`, invalidIds: foreign })
+          };
+        }
+
+        const listed = new Set(orderedIds);
+        const finalOrder = [
+          ...orderedIds,
+          ...truckStops.map(d => d._id.toString()).filter(did => !listed.has(did))
+        ];
+
+        const now = new Date();
+        const ops = finalOrder.map((did, i) => ({
+          updateOne: {
+            // Guard on truck + date so a stop moved off this route mid-request is left alone
+            filter: { _id: new ObjectId(did), truckId, deliveryDate: date },
+            update: {
+              $set: { stopOrder: i + 1, updatedAt: now },
+              $inc: { revision: 1 }
+            }
+          }
+        }));
+        const result = await deliveries.bulkWrite(ops, { ordered: false });
+        const actor = resolveActor(event, body.updatedBy || 'dispatcher');
+        await recordAudits(db, finalOrder.map((did, i) => ({
+          deliveryId: did,
+          action: 'resequence',
+          revision: currentRevision(byId.get(did)) + 1,
+          changes: diffChanges(byId.get(did), { stopOrder: i + 1 }),
+          at: now,
+          ...actor
+        })));
+
+        const changed = finalOrder.filter((did, i) => byId.get(did).stopOrder !== i + 1).length;
+        if (changed) {
+          const summary = finalOrder.map(did => byId.get(did).customerName || 'Customer').join(' → ');
+          fireDriverNotify(truckId, null, `${finalOrder.length} stops`, date, 'STOP_REORDERED', summary);
+        }
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            success: true,
+            modified: result.modifiedCount,
+            changed,
+            order: finalOrder.map((did, i) => ({ id: did, stopOrder: i + 1 }))
+          })
+        };
+      }
+
+      // ── Rain day: bulk-move every open load off a date ──
+      if (body.action === 'rain_day') {
+        const fromDate = body.fromDate || body.date;
+        if (!isValidDateStr(fromDate)) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'fromDate required for rain_day (YYYY-MM-DD)' }) };
+        }
+        if (fromDate < getChiDate(0)) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'fromDate is in the past' }) };
+        }
+        if (body.toDate !== undefined && body.toDate !== null && body.toDate !== '') {
+          if (!isValidDateStr(body.toDate)) {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: 'toDate must be YYYY-MM-DD' }) };
+          }
+          if (body.toDate <= fromDate) {
+            return { statusCode: 400, headers, body: JSON.stringify({ error: 'toDate must be after fromDate' }) };
+          }
+        }
+        const keepTrucks = body.keepTrucks === true;
+        const reason = body.reason || 'weather';
+        const updatedBy = body.updatedBy || 'dispatcher';
+
+        const onDay = await deliveries.find({
+          deliveryDate: fromDate,
+          status: { $in: [...RAIN_DAY_STATUSES, ...RAIN_DAY_IN_FLIGHT_STATUSES] }
+        }).toArray();
+        const toMove = onDay.filter(d => RAIN_DAY_STATUSES.includes(d.status || 'UNASSIGNED'));
+        const inFlight = onDay
+          .filter(d => RAIN_DAY_IN_FLIGHT_STATUSES.includes(d.status))
+          .map(d => ({ id: d._id.toString(), customerName: d.customerName, currentStatus: d.status, error: `${d.status} loads are already on a truck — not moved` }));
+
+        if (!toMove.length) {
+          return { statusCode: 200, headers, body: JSON.stringify({ success: true, moved: 0, toDate: body.toDate || null, skipped: inFlight }) };
+        }
+
+        // Pick the target date: explicit, or the first day ahead that can absorb the whole board
+        let toDate = body.toDate || null;
+        if (!toDate) {
+          const tons = toMove.reduce((sum, d) => sum + (parseFloat(d.quantity) || 0), 0);
+          const days = await computeCapacity(db, shiftDate(fromDate, 1), shiftDate(fromDate, RAIN_DAY_SEARCH_DAYS));
+          const open = days.find(day => day.status !== 'closed' && day.availableTons >= tons && day.availableSlots >= toMove.length);
+          if (!open) {
+            return {
+              statusCode: 409,
+              headers,
+              body: JSON.stringify({ error: `No date in the next ${RAIN_DAY_SEARCH_DAYS} days has capacity for ${toMove.length} loads (${Math.round(tons * 10) / 10} tons)` })
+            };
+          }
+          toDate = open.date;
+        }
+
+        const dayShift = daysBetween(fromDate, toDate);
+        const now = new Date();
+        const ops = [];
+        const moved = [];
+        const sets = new Map();   // id → $set written, for the audit rows
+        const skipped = [...inFlight];
+
+        for (const d of toMove) {
+          const targetStatus = keepTrucks && d.truckId ? 'SCHEDULED' : 'UNASSIGNED';
+          const conflict = validateTransition(d.status, targetStatus) || invoicedConflict(d);
+          if (conflict) {
+            skipped.push({ id: d._id.toString(), customerName: d.customerName, ...conflict });
+            continue;
+          }
+
+          const $set = {
+            deliveryDate: toDate,
+            status: targetStatus,
+            scheduleSmsSent: false,
+            scheduleEmailSent: false,
+            updatedAt: now
+          };
+          if (!keepTrucks) {
+            Object.assign($set, { truckId: null, truckNumber: null, driverId: null, driverName: null, stopOrder: null, scheduledAt: null });
+          }
+          // Keep the same time-of-day on the new date
+          if (d.scheduledStartTime) {
+            $set.scheduledStartTime = new Date(new Date(d.scheduledStartTime).getTime() + dayShift * 86400000).toISOString();
+          }
+
+          ops.push({
+            updateOne: {
+              filter: { _id: d._id, status: d.status, deliveryDate: fromDate },
+              update: {
+                $set,
+                $inc: { revision: 1 },
+                $push: {
+                  statusHistory: {
+                    status: 'RESCHEDULED',
+                    timestamp: now,
+                    updatedBy,
+                    notes: `Rain day (${reason}) — moved from ${fromDate} to ${toDate}${keepTrucks ? '' : ', truck cleared'}`
+                  }
+                }
+              }
+            }
+          });
+          moved.push(d);
+          sets.set(d._id.toString(), $set);
+        }
+
+        const result = ops.length ? await deliveries.bulkWrite(ops, { ordered: false }) : { modifiedCount: 0 };
+        if (moved.length) {
+          const movedNow = await deliveries.find({ _id: { $in: moved.map(d => d._id) }, deliveryDate: toDate }).toArray();
+          const before = new Map(moved.map(d => [d._id.toString(), d]));
+          const actor = resolveActor(event, updatedBy);
+          await recordAudits(db, movedNow.map(d => ({
+            deliveryId: d._id,
+            action: 'rain_day',
+            revision: currentRevision(d),
+            changes: diffChanges(before.get(d._id.toString()), sets.get(d._id.toString())),
+            at: now,
+            ...actor
+          })));
+          await emitWebhookEvent(db, 'rescheduled', movedNow, { previousDate: fromDate, reason });
+        }
+
+        // Drivers: same truck → date change; cleared truck → load gone from their day
+        for (const d of moved) {
+          if (!d.truckId) continue;
+          if (keepTrucks) {
+            // Keyed on the day the load leaves — driver-notify only sends for today / tomorrow
+            fireDriverNotify(d.truckId, d._id.toString(), d.customerName, fromDate, 'DATE_CHANGED', toDate);
+          } else {
+            fireDriverNotify(d.truckId, d._id.toString(), d.customerName, fromDate, 'LOAD_CANCELLED');
+          }
+        }
+
+        // Customers: one batched notice through notify.js
+        const toNotify = moved.filter(d => d.customerPhone || d.customerEmail);
+        if (body.notifyCustomers !== false && toNotify.length) {
+          fireCustomerNotify({
+            type: 'rescheduled',
+            reason,
+            deliveries: toNotify.map(d => ({
+              id: d._id,
+              customerName: d.customerName,
+              customerPhone: d.customerPhone,
+              customerEmail: d.customerEmail || '',
+              materialName: d.materialName,
+              quantity: d.quantity,
+              source: d.source,
+              previousDate: fromDate,
+              deliveryDate: toDate
+            }))
+          });
+        }
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            success: true,
+            fromDate,
+            toDate,
+            moved: result.modifiedCount,
+            customersNotified: body.notifyCustomers !== false ? toNotify.length : 0,
+            skipped
+          })
+        };
+      }
+
+      // ── Failed delivery: reason code, material disposition, office alert ──
+      if (body.action === 'fail') {
+        const id = body.id || body._id;
+        if (!id) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
+        }
+        const reason = FAILURE_REASONS[body.reasonCode];
+        if (!reason) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: `Unknown reasonCode "${body.reasonCode || ''}"`, reasonCodes: FAILURE_REASONS }) };
+        }
+        if (body.reasonCode === 'OTHER' && !body.notes) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'notes required when reasonCode is OTHER' }) };
+        }
+        const disposition = body.disposition || 'return_to_yard';
+        if (!FAILURE_DISPOSITIONS.includes(disposition)) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: `disposition must be one of: ${FAILURE_DISPOSITIONS.join(', ')}` }) };
+        }
+        if (disposition === 'redirect' && !body.redirectToId) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'redirectToId required for redirect' }) };
+        }
+        if (body.rescheduleDate && !isValidDateStr(body.rescheduleDate)) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'rescheduleDate must be YYYY-MM-DD' }) };
+        }
+
+        const current = await deliveries.findOne({ _id: new ObjectId(id) });
+        if (!current) {
+          return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+        }
+        const expectedRevision = parseExpectedRevision(body.expectedRevision);
+        if (Number.isNaN(expectedRevision)) {
+          return { statusCode: 400, headers, body: JSON.stringify(INVALID_REVISION) };
+        }
+        if (expectedRevision !== undefined && expectedRevision !== currentRevision(current)) {
+          return { statusCode: 409, headers, body: JSON.stringify(staleRevision(current, expectedRevision)) };
+        }
+        if (current.status === 'FAILED') {
+          return { statusCode: 409, headers, body: JSON.stringify({ error: 'Delivery already marked failed', failure: current.failure }) };
+        }
+        const conflict = validateTransition(current.status, 'FAILED') || invoicedConflict(current);
+        if (conflict) {
+          return { statusCode: 409, headers, body: JSON.stringify(conflict) };
+        }
+
+        // Redirect target: an open load of the same material the truck can take instead
+        let target = null;
+        if (disposition === 'redirect') {
+          if (current.status !== 'LOADED' && current.status !== 'EN_ROUTE') {
+            return { statusCode: 409, headers, body: JSON.stringify({ error: 'Only a loaded truck can redirect material' }) };
+          }
+          target = ObjectId.isValid(body.redirectToId) ? await deliveries.findOne({ _id: new ObjectId(body.redirectToId) }) : null;
+          if (!target) {
+            return { statusCode: 404, headers, body: JSON.stringify({ error: 'Redirect target not found' }) };
+          }
+          if (target._id.equals(current._id) || !['UNASSIGNED', 'SCHEDULED'].includes(target.status || 'UNASSIGNED')) {
+            return { statusCode: 409, headers, body: JSON.stringify({ error: 'Redirect target must be a different UNASSIGNED or SCHEDULED delivery' }) };
+          }
+          if ((target.materialName || '') !== (current.materialName || '')) {
+            return {
+              statusCode: 422,
+              headers,
+              body: JSON.stringify({ error: `Redirect target needs ${target.materialName || 'another material'}, truck carries ${current.materialName}` })
+            };
+          }
+        }
+
+        const now = new Date();
+        const updatedBy = body.updatedBy || 'system';
+        const failure = {
+          reasonCode: body.reasonCode,
+          reason,
+          notes: body.notes || '',
+          photos: Array.isArray(body.photos) ? body.photos : [],
+          disposition,
+          redirectedToId: target ? target._id.toString() : null,
+          followUpDeliveryId: null,
+          reportedBy: updatedBy,
+          failedAt: now
+        };
+
+        const filter = { _id: current._id, status: statusGuard('FAILED') };
+        if (expectedRevision !== undefined) filter.revision = revisionFilter(expectedRevision);
+        const result = await deliveries.updateOne(filter, {
+          $set: { status: 'FAILED', failedAt: now, failure, inventoryReservation: null, updatedAt: now },
+          $inc: { revision: 1 },
+          $push: {
+            statusHistory: {
+              status: 'FAILED',
+              timestamp: now,
+              updatedBy,
+              notes: `${reason}${body.notes ? ' — ' + body.notes : ''} (${disposition === 'redirect' ? `redirected to ${target.customerName}` : 'returned to yard'})`
+            }
+          }
+        });
+        if (result.matchedCount === 0) {
+          return { statusCode: 409, headers, body: JSON.stringify({ error: 'Delivery changed during update — reload and try again' }) };
+        }
+
+        const warnings = [];
+
+        // Hand the loaded material (and its scale ticket) to the redirect target
+        let redirectSet = null;
+        if (target) {
+          const steps = (target.status || 'UNASSIGNED') === 'UNASSIGNED' ? ['SCHEDULED', 'LOADED'] : ['LOADED'];
+          redirectSet = {
+            status: 'LOADED',
+            truckId: current.truckId,
+            truckNumber: current.truckNumber,
+            driverId: current.driverId,
+            driverName: current.driverName,
+            deliveryDate: current.deliveryDate,
+            scheduledAt: target.scheduledAt || now,
+            loadedAt: now,
+            loadedFrom: `Redirected from ${current.customerName}`,
+            scaleTicketNumber: current.scaleTicketNumber || null,
+            actualTons: current.actualTons || null,
+            ticketPhoto: current.ticketPhoto || null,
+            redirectedFromId: current._id.toString(),
+            updatedAt: now
+          };
+          const redirected = await deliveries.updateOne(
+            { _id: target._id, status: target.status || null, revision: revisionFilter(currentRevision(target)) },
+            {
+              $set: redirectSet,
+              $inc: { revision: 1 },
+              $push: {
+                statusHistory: {
+                  $each: steps.map(status => ({
+                    status,
+                    timestamp: now,
+                    updatedBy,
+                    notes: `Load redirected from ${current.customerName} (${reason})`
+                  }))
+                }
+              }
+            }
+          );
+          if (redirected.matchedCount === 0) {
+            warnings.push('Redirect target changed before it could be updated — material marked returned to yard');
+            await deliveries.updateOne(
+              { _id: current._id },
+              { $set: { 'failure.disposition': 'return_to_yard', 'failure.redirectedToId': null } }
+            );
+            failure.disposition = 'return_to_yard';
+            failure.redirectedToId = null;
+            redirectSet = null;
+          } else {
+            fireDriverNotify(current.truckId, target._id.toString(), target.customerName, current.deliveryDate, 'LOAD_ADDED');
+            if (target.truckId && target.truckId !== current.truckId) {
+              fireDriverNotify(target.truckId, target._id.toString(), target.customerName, target.deliveryDate, 'LOAD_CANCELLED');
+            }
+          }
+        }
+
+        // One-step reschedule
+        let followUp = null;
+        if (body.rescheduleDate) {
+          followUp = await createFollowUp(db, { ...current, status: 'FAILED', failure }, body.rescheduleDate, body.keepTruck === true, updatedBy);
+        }
+
+        const actor = resolveActor(event, updatedBy);
+        const audits = [{
+          deliveryId: current._id,
+          action: 'fail',
+          revision: currentRevision(current) + 1,
+          changes: diffChanges(current, { status: 'FAILED', failedAt: now, failure }),
+          at: now,
+          ...actor
+        }];
+        if (redirectSet) {
+          audits.push({ deliveryId: target._id, action: 'fail', revision: currentRevision(target) + 1, changes: diffChanges(target, redirectSet), at: now, ...actor });
+        }
+        if (followUp) audits.push(...followUpAudits(current, currentRevision(current) + 2, followUp, actor));
+        await recordAudits(db, audits);
+
+        fireDispatcherAlert({ type: 'delivery_failed', deliveryId: id });
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            success: true,
+            status: 'FAILED',
+            failure,
+            followUpDeliveryId: followUp ? followUp._id.toString() : null,
+            warnings
+          })
+        };
+      }
+
+      // ── Follow-up delivery for a FAILED load ──
+      if (body.action === 'reschedule_failed') {
+        const id = body.id || body._id;
+        if (!id || !isValidDateStr(body.deliveryDate)) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'id and deliveryDate (YYYY-MM-DD) required' }) };
+        }
+        const failed = await deliveries.findOne({ _id: new ObjectId(id) });
+        if (!failed) {
+          return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+        }
+        if (failed.status !== 'FAILED') {
+          return { statusCode: 409, headers, body: JSON.stringify({ error: `Only FAILED deliveries can be rescheduled this way (status is ${failed.status})` }) };
+        }
+        const followUp = await createFollowUp(db, failed, body.deliveryDate, body.keepTruck === true, body.updatedBy || 'dispatcher');
+        if (followUp) {
+          await recordAudits(db, followUpAudits(failed, currentRevision(failed) + 1, followUp, resolveActor(event, body.updatedBy || 'dispatcher')));
+        }
+        if (!followUp) {
+          const latest = await deliveries.findOne({ _id: failed._id });
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({ error: 'A follow-up delivery already exists', followUpDeliveryId: latest?.failure?.followUpDeliveryId || null })
+          };
+        }
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({ success: true, deliveryId: followUp._id, status: followUp.status, deliveryDate: followUp.deliveryDate })
+        };
+      }
+
+      // ── Restore a cancelled delivery ──
+      // Back onto its old truck when that truck is still active and has room
+      // that day, otherwise to UNASSIGNED. Notification flags, pricing and
+      // history are kept; the trip fields of the old attempt are cleared.
+      if (body.action === 'restore') {
+        const id = body.id || body._id;
+        if (!id || !ObjectId.isValid(String(id))) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
+        }
+        const cancelled = await deliveries.findOne({ _id: new ObjectId(String(id)) });
+        if (!cancelled) {
+          return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+        }
+        if (cancelled.status !== 'CANCELLED') {
+          return { statusCode: 409, headers, body: JSON.stringify({ error: `Only CANCELLED deliveries can be restored (status is ${cancelled.status})` }) };
+        }
+        const expectedRevision = parseExpectedRevision(body.expectedRevision);
+        if (Number.isNaN(expectedRevision)) {
+          return { statusCode: 400, headers, body: JSON.stringify(INVALID_REVISION) };
+        }
+        if (expectedRevision !== undefined && expectedRevision !== currentRevision(cancelled)) {
+          return { statusCode: 409, headers, body: JSON.stringify(staleRevision(cancelled, expectedRevision)) };
+        }
+
+        const windowHours = restoreWindowHours();
+        const cancelledAt = cancelled.cancelledAt ? new Date(cancelled.cancelledAt) : null;
+        if (!cancelledAt || Date.now() - cancelledAt.getTime() > windowHours * 3600000) {
+          return {
+            statusCode: 409,
+            headers,
+            body: JSON.stringify({
+              error: `Deliveries can only be restored within ${windowHours} hours of being cancelled — create a new order instead`,
+              cancelledAt,
+              restoreWindowHours: windowHours
+            })
+          };
+        }
+
+        const previousStatus = statusBeforeCancel(cancelled);
+        let truckCheck = { free: false, reason: null };
+        if (cancelled.truckId && body.unassign !== true && (!previousStatus || RESTORE_TO_TRUCK_STATUSES.includes(previousStatus))) {
+          truckCheck = await truckFreeFor(db, cancelled);
+        }
+        const nextStatus = truckCheck.free ? 'SCHEDULED' : 'UNASSIGNED';
+        const conflict = validateTransition('CANCELLED', nextStatus, { restore: true });
+        if (conflict) {
+          return { statusCode: 409, headers, body: JSON.stringify(conflict) };
+        }
+
+        const updatedBy = body.updatedBy || 'dispatcher';
+        const now = new Date();
+        const set = {
+          status: nextStatus,
+          cancelledAt: null,
+          restoredAt: now,
+          loadedAt: null, loadedFrom: null, scaleTicketNumber: null, actualTons: null, ticketPhoto: null,
+          enRouteAt: null, deliveredAt: null,
+          updatedAt: now
+        };
+        if (truckCheck.free) {
+          Object.assign(set, { scheduledAt: now, stopOrder: truckCheck.stopOrder });
+        } else {
+          Object.assign(set, { truckId: null, truckNumber: null, driverId: null, driverName: null, stopOrder: null, scheduledAt: null });
+        }
+
+        const reservation = await reservationFor(db, { ...cancelled, ...set });
+        set.inventoryReservation = reservation;
+        const stock = await checkStock(db, reservation, id, body.allowOversell);
+        if (stock.reject) {
+          return { statusCode: 409, headers, body: JSON.stringify(stock.reject) };
+        }
+
+        const notes = truckCheck.free
+          ? `Restored from cancellation — back on truck ${cancelled.truckNumber || cancelled.truckId}`
+          : `Restored from cancellation — unassigned${truckCheck.reason ? ` (${truckCheck.reason})` : ''}`;
+        const filter = { _id: cancelled._id, status: 'CANCELLED' };
+        if (expectedRevision !== undefined) filter.revision = revisionFilter(expectedRevision);
+        const result = await deliveries.updateOne(filter, {
+          $set: set,
+          $inc: { revision: 1 },
+          $push: { statusHistory: { status: nextStatus, timestamp: now, updatedBy, notes } }
+        });
+        if (result.matchedCount === 0) {
+          return { statusCode: 409, headers, body: JSON.stringify({ error: 'Delivery changed during restore — reload and try again' }) };
+        }
+
+        const restored = { ...cancelled, ...set, revision: currentRevision(cancelled) + 1 };
+        await recordAudit(db, {
+          deliveryId: id,
+          revision: restored.revision,
+          changes: diffChanges(cancelled, set),
+          at: now,
+          ...resolveActor(event, updatedBy)
+        });
+        await emitWebhookEvent(db, 'restored', restored, { previousStatus: 'CANCELLED' });
+        if (truckCheck.free) {
+          fireDriverNotify(cancelled.truckId, id, cancelled.customerName, cancelled.deliveryDate, 'LOAD_RESTORED');
+        }
+
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            success: true,
+            status: nextStatus,
+            truckId: restored.truckId || null,
+            truckNumber: restored.truckNumber || null,
+            stopOrder: restored.stopOrder ?? null,
+            unassignedReason: truckCheck.free ? null : truckCheck.reason,
+            revision: restored.revision,
+            inventoryWarning: stock.warning
+          })
+        };
+      }
+
       // ── Single delivery update ──
       const id = body.id || body._id;
       if (!id) {
         return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
       }
 
-      // Pre-fetch delivery when needed for notification logic
-      let currentDelivery = null;
-      const needsPrefetch = body.truckId !== undefined || body.status === 'CANCELLED' || body.deliveryDate !== undefined;
-      if (needsPrefetch) {
-        currentDelivery = await deliveries.findOne({ _id: new ObjectId(id) });
+      // Pre-fetch delivery for status validation + notification logic
+      const currentDelivery = await deliveries.findOne({ _id: new ObjectId(id) });
+      if (!currentDelivery) {
+        return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+      }
+      const currentStatus = currentDelivery.status || 'UNASSIGNED';
+
+      // Optimistic concurrency — reject edits made against an older revision
+      const expectedRevision = parseExpectedRevision(body.expectedRevision);
+      if (Number.isNaN(expectedRevision)) {
+        return { statusCode: 400, headers, body: JSON.stringify(INVALID_REVISION) };
+      }
+      if (expectedRevision !== undefined && expectedRevision !== currentRevision(currentDelivery)) {
+        return { statusCode: 409, headers, body: JSON.stringify(staleRevision(currentDelivery, expectedRevision)) };
       }
 
-      const update = { $set: { updatedAt: new Date() }, $push: {} };
+      const update = { $set: { updatedAt: new Date() }, $inc: { revision: 1 }, $push: {} };
       const historyEntry = { timestamp: new Date(), updatedBy: body.updatedBy || 'system' };
 
       // Assign truck (dispatcher drags to truck)
@@ -373,7 +1417,9 @@ exports.handler = async (event) => {
         update.$set.truckNumber = body.truckNumber || null;
         update.$set.driverId = body.driverId || null;
         update.$set.driverName = body.driverName || null;
-        if (body.truckId && body.status !== 'UNASSIGNED') {
+        // Only auto-schedule loads that haven't started — reassigning an
+        // EN_ROUTE or DELIVERED load must not roll its status back
+        if (body.truckId && body.status !== 'UNASSIGNED' && (currentStatus === 'UNASSIGNED' || currentStatus === 'SCHEDULED')) {
           update.$set.status = 'SCHEDULED';
           update.$set.scheduledAt = new Date();
           historyEntry.status = 'SCHEDULED';
@@ -381,11 +1427,12 @@ exports.handler = async (event) => {
         }
       }
 
-      // Update time window
-      if (body.timeWindow !== undefined) {
-        update.$set.timeWindow = body.timeWindow;
-        update.$set.hour = body.hour || null;
+      // Time window — structured start / end (America/Chicago) + display label
+      const window = windowFieldsFrom(body);
+      if (window.error) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: window.error }) };
       }
+      Object.assign(update.$set, window.fields);
 
       // Update stop order
       if (body.stopOrder !== undefined) {
@@ -413,6 +1460,19 @@ exports.handler = async (event) => {
         historyEntry.status = body.status;
         historyEntry.notes = body.notes || `Status changed to ${body.status}`;
 
+        if (body.status === 'LOADED') {
+          update.$set.loadedAt = new Date();
+          update.$set.loadedFrom = body.loadedFrom || currentDelivery.sourceName || 'Conroe Yard';
+          if (!body.notes) {
+            historyEntry.notes = `Loaded at ${update.$set.loadedFrom}` +
+              (body.scaleTicketNumber ? ` — ticket #${body.scaleTicketNumber}` : '') +
+              (body.actualTons ? `, ${body.actualTons} tons net` : '');
+          }
+        }
+        // Back to the board before pickup — the old ticket no longer applies
+        if (currentStatus === 'LOADED' && (body.status === 'SCHEDULED' || body.status === 'UNASSIGNED')) {
+          Object.assign(update.$set, { loadedAt: null, loadedFrom: null, scaleTicketNumber: null, actualTons: null, ticketPhoto: null });
+        }
         if (body.status === 'EN_ROUTE') {
           update.$set.enRouteAt = new Date();
         }
@@ -445,6 +1505,17 @@ exports.handler = async (event) => {
         update.$set.scheduledStartTime = body.scheduledStartTime || null;
       }
 
+      // Scale ticket (driver at pickup, or office correction afterwards)
+      if (body.scaleTicketNumber !== undefined) update.$set.scaleTicketNumber = body.scaleTicketNumber || null;
+      if (body.ticketPhoto !== undefined) update.$set.ticketPhoto = body.ticketPhoto || null;
+      if (body.actualTons !== undefined) {
+        const tons = body.actualTons === null || body.actualTons === '' ? null : parseFloat(body.actualTons);
+        if (tons !== null && !(tons > 0)) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'actualTons must be greater than 0' }) };
+        }
+        update.$set.actualTons = tons;
+      }
+
       // SMS tracking
       if (body.enRouteSmsSent) update.$set.enRouteSmsSent = true;
 
@@ -453,6 +1524,7 @@ exports.handler = async (event) => {
       if (body.customerName !== undefined) update.$set.customerName = body.customerName;
       if (body.customerPhone !== undefined) update.$set.customerPhone = body.customerPhone;
       if (body.customerEmail !== undefined) update.$set.customerEmail = body.customerEmail;
+      if (body.customerId !== undefined) update.$set.customerId = body.customerId || null;
       if (body.deliveryAddress !== undefined) update.$set.deliveryAddress = body.deliveryAddress;
       if (body.deliveryCity !== undefined) update.$set.deliveryCity = body.deliveryCity;
       if (body.deliveryZip !== undefined) update.$set.deliveryZip = body.deliveryZip;
@@ -464,6 +1536,64 @@ exports.handler = async (event) => {
       if (body.poNumber !== undefined) update.$set.poNumber = body.poNumber;
       if (body.paid != null) update.$set.paid = body.paid;
 
+      // Pricing inputs — recompute the order total whenever anything it depends on changes
+      Object.assign(update.$set, pickPricingInputs(body));
+      const pricingKeys = [...PRICING_INPUT_FIELDS, 'quantity', 'productId', 'source'];
+      if (pricingKeys.some(k => update.$set[k] !== undefined)) {
+        update.$set.pricing = await computePricing(db, { ...currentDelivery, ...update.$set });
+      }
+      if (SEARCH_FIELDS.some(k => update.$set[k] !== undefined)) {
+        update.$set.searchKeys = searchKeysFor({ ...currentDelivery, ...update.$set });
+      }
+
+      // Invoiced loads keep their status and billed fields until the invoice is voided
+      const invoiced = invoicedConflict(currentDelivery, update.$set);
+      if (invoiced) {
+        return { statusCode: 409, headers, body: JSON.stringify(invoiced) };
+      }
+
+      // Inventory hold — released once the load leaves the open statuses,
+      // (re)taken when what it holds changes or an unheld load gets scheduled
+      let stock = { warning: null };
+      const finalStatus = update.$set.status || currentStatus;
+      if (!RESERVING_STATUSES.includes(finalStatus)) {
+        if (currentDelivery.inventoryReservation) update.$set.inventoryReservation = null;
+      } else {
+        const reservationKeys = ['quantity', 'productId', 'materialName', 'source'];
+        const holdChanged = reservationKeys.some(k => update.$set[k] !== undefined);
+        if (holdChanged || (!currentDelivery.inventoryReservation && update.$set.status)) {
+          const reservation = await reservationFor(db, { ...currentDelivery, ...update.$set });
+          update.$set.inventoryReservation = reservation;
+          stock = await checkStock(db, reservation, id, body.allowOversell);
+          if (stock.reject) {
+            return { statusCode: 409, headers, body: JSON.stringify(stock.reject) };
+          }
+        }
+      }
+
+      // Truck capacity — weigh the load against the truck it ends up on
+      let capacity = null;
+      const weighed = { ...currentDelivery, ...update.$set };
+      if (weighed.truckId && RESERVING_STATUSES.includes(finalStatus) &&
+          (body.truckId || (body.quantity !== undefined && currentDelivery.truckId))) {
+        capacity = overCapacity(weighed, await findTruck(db, weighed.truckId));
+      }
+      const wantsSplit = !!capacity && body.splitToCapacity === true;
+      if (wantsSplit && !SPLITTABLE_STATUSES.includes(finalStatus)) {
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({ error: `A ${finalStatus} load can't be split — it has already been picked up`, conflict: 'capacity', capacity })
+        };
+      }
+      if (capacity && !wantsSplit && capacityPolicy() === 'reject' && body.allowOverCapacity !== true) {
+        return {
+          statusCode: 422,
+          headers,
+          body: JSON.stringify({ error: capacityMessage(capacity), conflict: 'capacity', capacity })
+        };
+      }
+
       // Push history entry if it has a status
       if (historyEntry.status) {
         update.$push.statusHistory = historyEntry;
@@ -471,10 +1601,76 @@ exports.handler = async (event) => {
         delete update.$push;
       }
 
-      const result = await deliveries.updateOne(
-        { _id: new ObjectId(id) },
-        update
-      );
+      // Validate the lifecycle move before writing anything
+      const nextStatus = update.$set.status;
+      const filter = { _id: new ObjectId(id) };
+      if (nextStatus) {
+        const conflict = validateTransition(currentStatus, nextStatus);
+        if (conflict) {
+          return { statusCode: 409, headers, body: JSON.stringify(conflict) };
+        }
+        filter.status = statusGuard(nextStatus);
+      }
+      if (expectedRevision !== undefined) {
+        filter.revision = revisionFilter(expectedRevision);
+      }
+
+      const result = await deliveries.updateOne(filter, update);
+
+      // Revision or status moved underneath us (e.g. driver app vs. board) — hand back the latest doc
+      if (result.matchedCount === 0) {
+        const latest = await deliveries.findOne({ _id: new ObjectId(id) });
+        if (expectedRevision !== undefined) {
+          return { statusCode: 409, headers, body: JSON.stringify(staleRevision(latest, expectedRevision)) };
+        }
+        return {
+          statusCode: 409,
+          headers,
+          body: JSON.stringify({
+            error: 'Delivery status changed during update — reload and try again',
+            currentStatus: latest?.status || null,
+            requestedStatus: nextStatus
+          })
+        };
+      }
+
+      // ── Audit: who changed which fields ───────────────────
+      await recordAudit(db, {
+        deliveryId: id,
+        revision: currentRevision(currentDelivery) + 1,
+        changes: diffChanges(currentDelivery, update.$set),
+        at: update.$set.updatedAt,
+        ...resolveActor(event, body.updatedBy)
+      });
+
+      // ── Webhooks: status moves + date changes ─────────────
+      const after = { ...currentDelivery, ...update.$set, revision: currentRevision(currentDelivery) + 1 };
+      if (nextStatus && nextStatus !== currentStatus && STATUS_EVENTS[nextStatus]) {
+        await emitWebhookEvent(db, STATUS_EVENTS[nextStatus], after, { previousStatus: currentStatus });
+      }
+      if (body.deliveryDate !== undefined && body.deliveryDate !== currentDelivery.deliveryDate) {
+        await emitWebhookEvent(db, 'rescheduled', after, { previousDate: currentDelivery.deliveryDate });
+      }
+
+      // ── Truck capacity: split into truck-sized loads on request ──
+      let split = null;
+      if (wantsSplit) {
+        const fresh = await deliveries.findOne({ _id: new ObjectId(id) });
+        split = await splitToCapacity(db, fresh, capacity.capacityTons, {
+          updatedBy: body.updatedBy || 'system',
+          audit: resolveActor(event, body.updatedBy)
+        });
+        if (split.error) {
+          return { statusCode: 409, headers, body: JSON.stringify({ error: split.error, conflict: 'capacity', capacity }) };
+        }
+      }
+
+      // ── Time windows: can the truck still make every window that day? ──
+      let windowConflicts = [];
+      const windowKeys = ['truckId', 'deliveryDate', 'stopOrder', 'scheduledStartTime', 'windowStart', 'windowEnd', 'status'];
+      if (after.truckId && WINDOW_CHECK_STATUSES.includes(after.status) && (split || windowKeys.some(k => update.$set[k] !== undefined))) {
+        windowConflicts = (await truckDayWindows(db, after.truckId, after.deliveryDate)).conflicts;
+      }
 
       // ── Driver notifications ──────────────────────────────
       const custName = body.customerName || currentDelivery?.customerName;
@@ -510,78 +1706,31 @@ exports.handler = async (event) => {
         }
       }
 
-      // ── If DELIVERED, deplete inventory + write audit ──────────
-      if (body.status === 'DELIVERED') {
-        const delivery = await deliveries.findOne({ _id: new ObjectId(id) });
-        if (delivery) {
-          let resolvedProductId = delivery.productId;
-
-          // Legacy fix: delivery.productId was stored as a MongoDB ObjectId string instead of
-          // the slug-style product ID (e.g. "5-8-black-star"). Detect and resolve via products collection.
-          if (resolvedProductId && /^[0-9a-f]{24}$/i.test(resolvedProductId)) {
-            const productDoc = await db.collection('products').findOne({ _id: new ObjectId(resolvedProductId) });
-            if (productDoc?.id) {
-              resolvedProductId = productDoc.id;
-            } else {
-              console.warn(`[dispatch] DELIVERED ${id}: ObjectId productId ${resolvedProductId} not found in products — falling back to materialName`);
-              resolvedProductId = null;
-            }
-          }
-
-          // Final fallback: null productId → look up by materialName in inventory
-          if (!resolvedProductId && delivery.materialName) {
-            const invRecord = await db.collection('inventory').findOne({
-              $or: [
-                { productName: delivery.materialName },
-                { name: delivery.materialName }
-              ]
-            });
-            if (invRecord) resolvedProductId = invRecord.productId;
-          }
-
-          if (!resolvedProductId) {
-            console.error(`[dispatch] DELIVERED ${id}: could not resolve productId for "${delivery.materialName}". Inventory NOT deducted.`);
-          }
-
-          const deliverySource = delivery.source || 'Yard Sale';
-
-          // TGR inventory is already deducted at payment (square-webhook.js) — skip
-          if (resolvedProductId && deliverySource !== 'Texas Got Rocks') {
-            const now = new Date();
-
-            // Deduct both fields for cross-system compatibility (TGR + YTP)
-            await db.collection('inventory').updateOne(
-              { productId: resolvedProductId },
-              {
-                $inc: { quantity: -(delivery.quantity), currentStock: -(delivery.quantity) },
-                $set: { updatedAt: now }
-              }
-            );
-
-            // Map source to a distinct audit action type
-            const auditAction = deliverySource === 'T&C Materials' ? 'tc_delivery' : 'yard_delivery';
-
-            // Write to inventory_audit — shows in Command Center transaction history
-            db.collection('inventory_audit').insertOne({
-              productId:    resolvedProductId,
-              productName:  delivery.materialName || resolvedProductId,
-              action:       auditAction,
-              qty:          -(delivery.quantity),
-              source:       deliverySource,
-              reference:    delivery.orderNumber || null,
-              customerName: delivery.customerName || null,
-              recordedBy:   'rockrunner',
-              notes:        `${deliverySource} delivery — ${delivery.customerName || 'Customer'}`,
-              timestamp:    now
-            }).catch(err => console.error('[dispatch] Audit write failed:', err));
-          }
-        }
+      // ── Inventory: deduct once on DELIVERED, restore on revert, adjust on correction ──
+      // (a retried DELIVERED on an already-delivered load is a no-op; scale-ticket
+      // tons take precedence over the ordered quantity)
+      if (nextStatus === 'DELIVERED' && currentStatus !== 'DELIVERED') {
+        await depleteForDelivery(db, id);
+      } else if (currentStatus === 'DELIVERED' && nextStatus && nextStatus !== 'DELIVERED') {
+        await restoreForDelivery(db, id, `${nextStatus.toLowerCase()} by ${body.updatedBy || 'system'}`);
+      }
+      if ((body.quantity !== undefined || body.actualTons !== undefined) && (nextStatus || currentStatus) === 'DELIVERED') {
+        await adjustForDelivery(db, id, deductionQuantity({ ...currentDelivery, ...update.$set }), body.updatedBy);
       }
 
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({ success: true, modified: result.modifiedCount })
+        body: JSON.stringify({
+          success: true,
+          modified: result.modifiedCount,
+          revision: currentRevision(currentDelivery) + (split ? 2 : 1),
+          inventoryWarning: stock.warning,
+          capacityWarning: split ? null : capacity,
+          split,
+          windowConflicts,
+          windowWarning: window.warning || null
+        })
       };
     }
 
@@ -594,11 +1743,35 @@ exports.handler = async (event) => {
 
       // Fetch before cancelling so we have truckId + customer info
       const toCancel = await deliveries.findOne({ _id: new ObjectId(p.id) });
+      if (!toCancel) {
+        return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+      }
+      if (toCancel.status === 'CANCELLED') {
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, cancelled: 0 }) };
+      }
 
+      const expectedRevision = parseExpectedRevision(p.expectedRevision);
+      if (Number.isNaN(expectedRevision)) {
+        return { statusCode: 400, headers, body: JSON.stringify(INVALID_REVISION) };
+      }
+      if (expectedRevision !== undefined && expectedRevision !== currentRevision(toCancel)) {
+        return { statusCode: 409, headers, body: JSON.stringify(staleRevision(toCancel, expectedRevision)) };
+      }
+
+      const conflict = validateTransition(toCancel.status, 'CANCELLED') || invoicedConflict(toCancel);
+      if (conflict) {
+        return { statusCode: 409, headers, body: JSON.stringify(conflict) };
+      }
+
+      const cancelFilter = { _id: new ObjectId(p.id), status: statusGuard('CANCELLED') };
+      if (expectedRevision !== undefined) cancelFilter.revision = revisionFilter(expectedRevision);
+
+      const cancelSet = { status: 'CANCELLED', cancelledAt: new Date(), inventoryReservation: null, updatedAt: new Date() };
       const result = await deliveries.updateOne(
-        { _id: new ObjectId(p.id) },
+        cancelFilter,
         {
-          $set: { status: 'CANCELLED', cancelledAt: new Date(), updatedAt: new Date() },
+          $set: cancelSet,
+          $inc: { revision: 1 },
           $push: {
             statusHistory: {
               status: 'CANCELLED',
@@ -610,8 +1783,29 @@ exports.handler = async (event) => {
         }
       );
 
+      if (result.matchedCount === 0) {
+        return { statusCode: 409, headers, body: JSON.stringify({ error: 'Delivery status changed during cancel — reload and try again' }) };
+      }
+      await recordAudit(db, {
+        deliveryId: p.id,
+        action: 'cancel',
+        revision: currentRevision(toCancel) + 1,
+        changes: diffChanges(toCancel, cancelSet),
+        at: cancelSet.updatedAt,
+        ...resolveActor(event, p.by || 'admin')
+      });
+
+      // Cancelling a delivered load puts its material back
+      if (toCancel.status === 'DELIVERED') {
+        await restoreForDelivery(db, p.id, `cancelled by ${p.by || 'admin'}`);
+      }
+
+      await emitWebhookEvent(db, 'cancelled', {
+        ...toCancel, status: 'CANCELLED', cancelledAt: new Date(), revision: currentRevision(toCancel) + 1
+      }, { previousStatus: toCancel.status, reason: p.reason || null });
+
       // Notify driver their load was cancelled
-      if (toCancel?.truckId) {
+      if (toCancel.truckId) {
         fireDriverNotify(toCancel.truckId, p.id, toCancel.customerName, toCancel.deliveryDate, 'LOAD_CANCELLED');
       }
 
@@ -8,7 +8,7 @@
  *
  * POST /driver-notify
  * { truckId, deliveryId, customerName, deliveryDate, type, extraDetail? }
- * Types: LOAD_ADDED | LOAD_CANCELLED | DATE_CHANGED | TRUCK_REASSIGNED
+ * Types: LOAD_ADDED | LOAD_CANCELLED | LOAD_RESTORED | DATE_CHANGED | TRUCK_REASSIGNED | STOP_REORDERED
  */
 
 const { connectToDatabase, headers, handleOptions } = require('./utils/db');
@@ -28,15 +28,19 @@ function getChiDate(offset = 0) {
 const MESSAGES = {
   LOAD_ADDED:       (c, d)    => `New load added: ${c} on ${d}`,
   LOAD_CANCELLED:   (c, d)    => `Load cancelled: ${c} on ${d}`,
+  LOAD_RESTORED:    (c, d)    => `Cancelled load is back on: ${c} on ${d}`,
   DATE_CHANGED:     (c, newD) => `Delivery rescheduled: ${c} moved to ${newD}`,
-  TRUCK_REASSIGNED: (c, d)    => `Load reassigned to your truck: ${c} on ${d}`
+  TRUCK_REASSIGNED: (c, d)    => `Load reassigned to your truck: ${c} on ${d}`,
+  STOP_REORDERED:   (c, order) => `Stop order changed (${c}): ${order}`
 };
 
 const SMS_ACTION = {
   LOAD_ADDED:       'New load added',
   LOAD_CANCELLED:   'Load removed',
+  LOAD_RESTORED:    'Load restored',
   DATE_CHANGED:     'Delivery rescheduled',
-  TRUCK_REASSIGNED: 'Load assigned to you'
+  TRUCK_REASSIGNED: 'Load assigned to you',
+  STOP_REORDERED:   'Stop order changed'
 };
 
 // ─── Brevo SMS ───────────────────────────────────────────────
@@ -0,0 +1,377 @@
+/**
+ * fulfillment-groups.js — Whole-order operations for multi-load deliveries
+ *
+ * A multi-load order is every delivery_schedule document sharing a
+ * fulfillmentGroupId (POST /dispatch {action:"multi_load"}). These endpoints
+ * act on the group as one order; per-load edits still go through PUT /dispatch.
+ *
+ * GET /fulfillment-groups?id=xxx          — progress summary + loads (utils/groups.js)
+ *
+ * PUT /fulfillment-groups
+ *   { id, action: "reschedule", deliveryDate, keepTrucks?, notifyCustomers?, reason? }
+ *   { id, action: "reassign", truckId, truckNumber, driverId?, driverName?,
+ *     allowOverCapacity?, splitToCapacity? }
+ *   { id, action: "cancel", reason? }
+ *   { id, action: "add_load", quantity, deliveryDate?, scheduledStartTime? }
+ *   { id, action: "remove_load", deliveryId, reason? }
+ *
+ * Reschedule / reassign only move loads that haven't left the yard
+ * (UNASSIGNED / SCHEDULED); cancel leaves delivered loads alone and skips
+ * loads the status rules don't allow. Loads on an invoice are left alone
+ * until it is voided. All of these are reported in `skipped`. Every
+ * change renumbers loadNumber / totalLoads / totalTons and returns the
+ * fresh summary. Per-load changes raise the same webhook events as
+ * dispatch.js (utils/webhooks.js).
+ *
+ * Reassign weighs each load against the new truck like PUT /dispatch
+ * (utils/trucks.js): loads over capacity come back in capacityWarnings[], or
+ * the whole reassign is refused with 422 {conflict:"capacity"} when
+ * TRUCK_CAPACITY_POLICY=reject (allowOverCapacity:true overrides).
+ * splitToCapacity:true moves them and splits each into truck-sized loads of
+ * the group, reported in splits[].
+ *
+ * Every load write lands in delivery_audit (utils/audit.js) as
+ * group_reschedule / group_reassign / cancel / create.
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { validateTransition, statusGuard } = require('./utils/status');
+const { currentRevision, revisionFilter } = require('./utils/revision');
+const { buildDelivery } = require('./utils/delivery');
+const { PRICING_INPUT_FIELDS } = require('./utils/pricing');
+const { fireDriverNotify, fireCustomerNotify } = require('./utils/notifications');
+const { daysBetween, isValidDateStr } = require('./utils/dates');
+const { GROUP_TEMPLATE_FIELDS, groupLoads, summarizeGroup, renumberGroup, splitToCapacity } = require('./utils/groups');
+const { capacityPolicy, findTruck, overCapacity, capacityMessage } = require('./utils/trucks');
+const { resolveActor, diffChanges, recordAudit, recordAudits } = require('./utils/audit');
+const { invoicedConflict } = require('./utils/invoices');
+const { emitWebhookEvent } = require('./utils/webhooks');
+
+// Loads that can still be moved around as part of the order
+const MOVABLE_STATUSES = ['UNASSIGNED', 'SCHEDULED'];
+
+// Cancel one load through the status rules. Returns true when it was cancelled.
+// audit is the { actor, app } from resolveActor.
+async function cancelLoad(db, load, updatedBy, notes, audit) {
+  if (validateTransition(load.status, 'CANCELLED') || load.status === 'CANCELLED') return false;
+  const cancelledAt = new Date();
+  const set = { status: 'CANCELLED', cancelledAt, inventoryReservation: null, updatedAt: cancelledAt };
+  const result = await db.collection('delivery_schedule').updateOne(
+    { _id: load._id, status: statusGuard('CANCELLED'), revision: revisionFilter(currentRevision(load)) },
+    {
+      $set: set,
+      $inc: { revision: 1 },
+      $push: { statusHistory: { status: 'CANCELLED', timestamp: cancelledAt, updatedBy, notes } }
+    }
+  );
+  if (!result.modifiedCount) return false;
+  await recordAudit(db, {
+    deliveryId: load._id,
+    action: 'cancel',
+    revision: currentRevision(load) + 1,
+    changes: diffChanges(load, set),
+    at: cancelledAt,
+    ...audit
+  });
+  if (load.truckId) fireDriverNotify(load.truckId, load._id.toString(), load.customerName, load.deliveryDate, 'LOAD_CANCELLED');
+  await emitWebhookEvent(db, 'cancelled', { ...load, status: 'CANCELLED', cancelledAt, revision: currentRevision(load) + 1 }, {
+    previousStatus: load.status, reason: notes
+  });
+  return true;
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+
+  try {
+    const { db } = await connectToDatabase();
+    const deliveries = db.collection('delivery_schedule');
+
+    // ─── GET — progress summary ───────────────────────────────
+    if (event.httpMethod === 'GET') {
+      const p = event.queryStringParameters || {};
+      if (!p.id) return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
+      const loads = await groupLoads(db, p.id);
+      if (!loads.length) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Group not found' }) };
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, group: summarizeGroup(p.id, loads) }) };
+    }
+
+    if (event.httpMethod !== 'PUT') {
+      return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+    }
+
+    const body = JSON.parse(event.body);
+    const groupId = body.id || body.fulfillmentGroupId;
+    if (!groupId) return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
+
+    const loads = await groupLoads(db, groupId);
+    if (!loads.length) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Group not found' }) };
+
+    const updatedBy = body.updatedBy || 'dispatcher';
+    const actor = resolveActor(event, updatedBy);
+    // Invoiced loads stay put until the invoice is voided (utils/invoices.js)
+    const invoiced = l => {
+      const conflict = invoicedConflict(l);
+      return conflict ? { error: conflict.error, conflict: conflict.conflict } : {};
+    };
+    const movable = loads.filter(l => MOVABLE_STATUSES.includes(l.status || 'UNASSIGNED') && !l.invoiceId);
+    const skipped = loads
+      .filter(l => !movable.includes(l) && l.status !== 'CANCELLED')
+      .map(l => ({ id: l._id.toString(), loadNumber: l.loadNumber, status: l.status, ...invoiced(l) }));
+    const respond = async (statusCode, extra) => ({
+      statusCode,
+      headers,
+      body: JSON.stringify({ success: true, ...extra, group: await renumberGroup(db, groupId) })
+    });
+
+    // ─── Reschedule every open load to one date ───────────────
+    if (body.action === 'reschedule') {
+      if (!isValidDateStr(body.deliveryDate)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'deliveryDate (YYYY-MM-DD) required' }) };
+      }
+      const toDate = body.deliveryDate;
+      const keepTrucks = body.keepTrucks !== false;
+      const now = new Date();
+      const ops = [];
+      const moved = [];
+      const sets = new Map();
+
+      for (const l of movable) {
+        if (l.deliveryDate === toDate) continue;
+        const targetStatus = keepTrucks && l.truckId ? 'SCHEDULED' : 'UNASSIGNED';
+        if (validateTransition(l.status, targetStatus)) continue;
+        const $set = { deliveryDate: toDate, status: targetStatus, scheduleSmsSent: false, scheduleEmailSent: false, updatedAt: now };
+        if (!keepTrucks) {
+          Object.assign($set, { truckId: null, truckNumber: null, driverId: null, driverName: null, stopOrder: null, scheduledAt: null });
+        }
+        if (l.scheduledStartTime && l.deliveryDate) {
+          $set.scheduledStartTime = new Date(new Date(l.scheduledStartTime).getTime() + daysBetween(l.deliveryDate, toDate) * 86400000).toISOString();
+        }
+        ops.push({
+          updateOne: {
+            filter: { _id: l._id, status: l.status || null, deliveryDate: l.deliveryDate },
+            update: {
+              $set,
+              $inc: { revision: 1 },
+              $push: { statusHistory: { status: 'RESCHEDULED', timestamp: now, updatedBy, notes: `Order rescheduled from ${l.deliveryDate} to ${toDate}${body.reason ? ' — ' + body.reason : ''}` } }
+            }
+          }
+        });
+        moved.push(l);
+        sets.set(l._id.toString(), $set);
+      }
+
+      const result = ops.length ? await deliveries.bulkWrite(ops, { ordered: false }) : { modifiedCount: 0 };
+
+      if (moved.length) {
+        const before = new Map(moved.map(l => [l._id.toString(), l]));
+        const movedNow = await deliveries.find({ _id: { $in: moved.map(l => l._id) }, deliveryDate: toDate }).toArray();
+        await recordAudits(db, movedNow.map(d => ({
+          deliveryId: d._id,
+          action: 'group_reschedule',
+          revision: currentRevision(d),
+          changes: diffChanges(before.get(d._id.toString()), sets.get(d._id.toString())),
+          at: now,
+          ...actor
+        })));
+        await emitWebhookEvent(db, 'rescheduled', movedNow, d => ({
+          previousDate: before.get(d._id.toString()).deliveryDate, reason: body.reason || null
+        }));
+      }
+
+      moved.forEach(l => {
+        if (!l.truckId) return;
+        if (keepTrucks) fireDriverNotify(l.truckId, l._id.toString(), l.customerName, toDate, 'DATE_CHANGED', toDate);
+        else fireDriverNotify(l.truckId, l._id.toString(), l.customerName, l.deliveryDate, 'LOAD_CANCELLED');
+      });
+
+      // One customer notice for the whole order
+      const first = moved[0];
+      if (first && body.notifyCustomers !== false && (first.customerPhone || first.customerEmail)) {
+        fireCustomerNotify({
+          type: 'rescheduled',
+          reason: body.reason || '',
+          deliveries: [{
+            id: first._id,
+            customerName: first.customerName,
+            customerPhone: first.customerPhone,
+            customerEmail: first.customerEmail || '',
+            materialName: first.materialName,
+            quantity: moved.reduce((s, l) => s + (parseFloat(l.quantity) || 0), 0),
+            source: first.source,
+            previousDate: first.deliveryDate,
+            deliveryDate: toDate
+          }]
+        });
+      }
+
+      return respond(200, { moved: result.modifiedCount, skipped });
+    }
+
+    // ─── Reassign every open load to one truck ────────────────
+    if (body.action === 'reassign') {
+      if (body.truckId === undefined) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'truckId required (null to unassign)' }) };
+      }
+      // Truck capacity — same rules as PUT /dispatch, weighed per load that moves onto the truck
+      const truck = body.truckId ? await findTruck(db, body.truckId) : null;
+      const overLoads = new Map();
+      movable.forEach(l => {
+        if (l.truckId === body.truckId && l.status === 'SCHEDULED') return;
+        const capacity = overCapacity(l, truck);
+        if (capacity) overLoads.set(l._id.toString(), capacity);
+      });
+      const wantsSplit = body.splitToCapacity === true;
+      if (overLoads.size && !wantsSplit && capacityPolicy() === 'reject' && body.allowOverCapacity !== true) {
+        const [capacity] = overLoads.values();
+        return {
+          statusCode: 422,
+          headers,
+          body: JSON.stringify({
+            error: capacityMessage(capacity),
+            conflict: 'capacity',
+            capacity,
+            capacityWarnings: [...overLoads].map(([deliveryId, c]) => ({ deliveryId, ...c }))
+          })
+        };
+      }
+
+      const now = new Date();
+      let reassigned = 0;
+      const capacityWarnings = [];
+      const toSplit = [];
+
+      for (const l of movable) {
+        const targetStatus = body.truckId ? 'SCHEDULED' : 'UNASSIGNED';
+        if (l.truckId === (body.truckId || null) && l.status === targetStatus) continue;
+        if (validateTransition(l.status, targetStatus)) continue;
+        const set = {
+          truckId: body.truckId || null,
+          truckNumber: body.truckId ? (body.truckNumber || null) : null,
+          driverId: body.truckId ? (body.driverId || null) : null,
+          driverName: body.truckId ? (body.driverName || null) : null,
+          status: targetStatus,
+          scheduledAt: body.truckId ? now : null,
+          updatedAt: now
+        };
+        const result = await deliveries.updateOne(
+          { _id: l._id, status: statusGuard(targetStatus), revision: revisionFilter(currentRevision(l)) },
+          {
+            $set: set,
+            $inc: { revision: 1 },
+            $push: { statusHistory: { status: targetStatus, timestamp: now, updatedBy, notes: body.truckId ? `Order assigned to truck ${body.truckNumber || body.truckId}` : 'Order unassigned' } }
+          }
+        );
+        if (!result.modifiedCount) {
+          skipped.push({ id: l._id.toString(), loadNumber: l.loadNumber, status: l.status, error: 'Changed during update' });
+          continue;
+        }
+        reassigned++;
+        await recordAudit(db, {
+          deliveryId: l._id,
+          action: 'group_reassign',
+          revision: currentRevision(l) + 1,
+          changes: diffChanges(l, set),
+          at: now,
+          ...actor
+        });
+        const capacity = overLoads.get(l._id.toString());
+        if (capacity) {
+          if (wantsSplit) toSplit.push({ load: l, capacity });
+          else capacityWarnings.push({ deliveryId: l._id.toString(), loadNumber: l.loadNumber, ...capacity });
+        }
+        if (targetStatus === 'SCHEDULED' && l.status !== 'SCHEDULED') {
+          await emitWebhookEvent(db, 'scheduled', {
+            ...l, truckId: body.truckId, truckNumber: body.truckNumber || null, driverId: body.driverId || null,
+            driverName: body.driverName || null, status: 'SCHEDULED', scheduledAt: now, revision: currentRevision(l) + 1
+          }, { previousStatus: l.status || 'UNASSIGNED' });
+        }
+        if (body.truckId && body.truckId !== l.truckId) {
+          fireDriverNotify(body.truckId, l._id.toString(), l.customerName, l.deliveryDate, l.truckId ? 'TRUCK_REASSIGNED' : 'LOAD_ADDED');
+        }
+        if (l.truckId && l.truckId !== body.truckId) {
+          fireDriverNotify(l.truckId, l._id.toString(), l.customerName, l.deliveryDate, 'LOAD_CANCELLED');
+        }
+      }
+
+      // Split after every load is on the truck so the stop shifts land on the final order
+      const splits = [];
+      for (const { load, capacity } of toSplit) {
+        const fresh = await deliveries.findOne({ _id: load._id });
+        const split = await splitToCapacity(db, fresh, capacity.capacityTons, { updatedBy, audit: actor });
+        if (split.error) skipped.push({ id: load._id.toString(), loadNumber: load.loadNumber, status: fresh.status, error: split.error, conflict: 'capacity' });
+        else splits.push({ deliveryId: load._id.toString(), loads: split.loads });
+      }
+
+      return respond(200, { reassigned, skipped, capacityWarnings, splits });
+    }
+
+    // ─── Cancel the whole order ───────────────────────────────
+    if (body.action === 'cancel') {
+      let cancelled = 0;
+      const notCancelled = [];
+      for (const l of loads) {
+        if (l.status === 'CANCELLED') continue;
+        // Delivered loads stay delivered — the order is cancelled going forward
+        if (l.status !== 'DELIVERED' && !l.invoiceId && await cancelLoad(db, l, updatedBy, body.reason || 'Order cancelled', actor)) cancelled++;
+        else notCancelled.push({ id: l._id.toString(), loadNumber: l.loadNumber, status: l.status, ...invoiced(l) });
+      }
+      return respond(200, { cancelled, skipped: notCancelled });
+    }
+
+    // ─── Add a load ───────────────────────────────────────────
+    if (body.action === 'add_load') {
+      const quantity = parseFloat(body.quantity);
+      if (!(quantity > 0)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'quantity must be greater than 0' }) };
+      }
+      if (body.deliveryDate && !isValidDateStr(body.deliveryDate)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'deliveryDate must be YYYY-MM-DD' }) };
+      }
+
+      // Newest live load is the template (latest truck, notes and pricing inputs)
+      const template = [...loads].reverse().find(l => l.status !== 'CANCELLED') || loads[loads.length - 1];
+      const newBody = {};
+      [...GROUP_TEMPLATE_FIELDS, ...PRICING_INPUT_FIELDS].forEach(f => { if (template[f] !== undefined) newBody[f] = template[f]; });
+      Object.assign(newBody, {
+        quantity,
+        deliveryDate: body.deliveryDate || template.deliveryDate,
+        scheduledStartTime: body.scheduledStartTime || null,
+        fulfillmentGroupId: groupId,
+        loadNumber: loads.length + 1,
+        createdBy: updatedBy
+      });
+
+      const doc = await buildDelivery(db, newBody, { historyNote: 'Load added to multi-load order' });
+      const result = await deliveries.insertOne(doc);
+      await recordAudit(db, { deliveryId: result.insertedId, action: 'create', revision: doc.revision, at: doc.createdAt, ...actor });
+      await emitWebhookEvent(db, 'created', doc);
+      if (doc.truckId) {
+        fireDriverNotify(doc.truckId, result.insertedId.toString(), doc.customerName, doc.deliveryDate, 'LOAD_ADDED');
+      }
+      return respond(201, { deliveryId: result.insertedId });
+    }
+
+    // ─── Remove (cancel) one load ─────────────────────────────
+    if (body.action === 'remove_load') {
+      const load = loads.find(l => l._id.toString() === body.deliveryId);
+      if (!load) {
+        return { statusCode: 404, headers, body: JSON.stringify({ error: 'Load not found in this group' }) };
+      }
+      if (!MOVABLE_STATUSES.includes(load.status || 'UNASSIGNED')) {
+        return { statusCode: 409, headers, body: JSON.stringify({ error: `Cannot remove a ${load.status} load`, currentRevision: currentRevision(load) }) };
+      }
+      const removed = await cancelLoad(db, load, updatedBy, body.reason || 'Load removed from order', actor);
+      if (!removed) {
+        return { statusCode: 409, headers, body: JSON.stringify({ error: 'Load changed during update — reload and try again' }) };
+      }
+      return respond(200, { removed: body.deliveryId });
+    }
+
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid action. Use: reschedule, reassign, cancel, add_load, remove_load' }) };
+
+  } catch (err) {
+    console.error('Fulfillment Groups API error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};
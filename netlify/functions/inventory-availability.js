@@ -0,0 +1,81 @@
+/**
+ * inventory-availability.js — On-hand vs. reserved stock per product
+ *
+ * GET /inventory-availability                 — every inventory record
+ * GET /inventory-availability?productId=xxx   — one product
+ *
+ * Returns per product:
+ *   { productId, productName, onHand, reserved, free, openDeliveries }
+ *
+ * `reserved` is the sum of holds on open deliveries (UNASSIGNED → EN_ROUTE)
+ * — see utils/inventory.js. Products that have holds but no inventory record
+ * are listed with onHand 0 so oversold material is visible.
+ * Read-only.
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { reservedByProduct, onHandOf, oversellPolicy } = require('./utils/inventory');
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+  if (event.httpMethod !== 'GET') {
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+  }
+
+  try {
+    const { db } = await connectToDatabase();
+    const p = event.queryStringParameters || {};
+
+    const invQuery = p.productId ? { productId: p.productId } : {};
+    const resMatch = p.productId ? { 'inventoryReservation.productId': p.productId } : {};
+    const [records, held] = await Promise.all([
+      db.collection('inventory').find(invQuery).toArray(),
+      reservedByProduct(db, resMatch)
+    ]);
+
+    const round = n => Math.round(n * 100) / 100;
+    const products = records.map(r => {
+      const onHand = onHandOf(r);
+      const reserved = held[r.productId]?.reserved || 0;
+      return {
+        productId: r.productId,
+        productName: r.productName || r.name || r.productId,
+        onHand: round(onHand),
+        reserved: round(reserved),
+        free: round(onHand - reserved),
+        openDeliveries: held[r.productId]?.openDeliveries || 0
+      };
+    });
+
+    // Holds against products with no inventory record
+    const known = new Set(records.map(r => r.productId));
+    Object.entries(held).forEach(([productId, h]) => {
+      if (known.has(productId)) return;
+      products.push({
+        productId,
+        productName: productId,
+        onHand: 0,
+        reserved: round(h.reserved),
+        free: round(-h.reserved),
+        openDeliveries: h.openDeliveries
+      });
+    });
+
+    products.sort((a, b) => a.productName.localeCompare(b.productName));
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        oversellPolicy: oversellPolicy(),
+        products,
+        oversold: products.filter(x => x.free < 0).map(x => x.productId)
+      })
+    };
+
+  } catch (err) {
+    console.error('Inventory availability error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};
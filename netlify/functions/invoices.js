@@ -0,0 +1,387 @@
+/**
+ * invoices.js — Invoices & Statements from Delivered Loads
+ *
+ * Collections: invoices, counters (numbering), delivery_schedule, customers, payments
+ * (shapes + status rules in utils/invoices.js)
+ *
+ * GET  /invoices                          — list (filter: status, customerId, brand, from, to)
+ * GET  /invoices?id=xxx                   — one invoice (JSON)
+ * GET  /invoices?id=xxx&format=html|pdf   — rendered invoice
+ * GET  /invoices?uninvoiced=true&customerId=xxx
+ *                                         — delivered loads not on an invoice yet
+ * GET  /invoices?statement=<customerId>&brand=tgr|tc&format=html
+ *                                         — statement of account (JSON by default)
+ * POST /invoices {deliveryIds:[...], dueDays?, notes?, billTo?, send?, sendTo?, createdBy?}
+ *                                         — invoice one or more DELIVERED loads for one customer
+ *                                           and brand; numbered per brand (TGR-00001 / TC-00001)
+ * PUT  /invoices {id, action:"send", to?}                     — email HTML + PDF via Brevo
+ * PUT  /invoices {id, action:"record_payment", amount, method?, reference?, receivedAt?}
+ *                                         — same as POST /payments {invoiceId} (utils/payments.js)
+ * PUT  /invoices {id, action:"void", reason?}                 — release the loads
+ * PUT  /invoices {id, notes?, dueDate?}                       — edit an unpaid invoice
+ *
+ * Branding comes from BRANDS in utils/brands.js (getBrand → by order source) and is
+ * snapshotted on the invoice so re-renders match what was sent.
+ * Loads already marked paid when invoiced count as a prepayment.
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { ObjectId } = require('mongodb');
+const { BRANDS, sendEmail } = require('./utils/brands');
+const {
+  toMoney,
+  nextInvoiceNumber,
+  invoiceLine,
+  invoiceTotals,
+  dueDateFor,
+  statusFor,
+  syncDeliveriesPaid,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  renderStatementHtml
+} = require('./utils/invoices');
+const { brandKeyOf, recordPayment } = require('./utils/payments');
+const { getChiDate, isValidDateStr } = require('./utils/dates');
+
+function brandSnapshot(key) {
+  const b = BRANDS[key];
+  return {
+    key,
+    name: b.name,
+    phone: b.phone,
+    email: b.emailFrom.email,
+    tagline: b.tagline,
+    headerColor: b.headerColor,
+    accentColor: b.accentColor,
+    invoicePrefix: b.invoicePrefix
+  };
+}
+
+// Loads on one invoice must belong to the same customer
+function customerKey(d) {
+  return d.customerId || `name:${String(d.customerName || '').trim().toLowerCase()}`;
+}
+
+function htmlResponse(html) {
+  return { statusCode: 200, headers: { ...headers, 'Content-Type': 'text/html; charset=utf-8' }, body: html };
+}
+
+function pdfResponse(buffer, filename) {
+  return {
+    statusCode: 200,
+    headers: { ...headers, 'Content-Type': 'application/pdf', 'Content-Disposition': `inline; filename="${filename}"` },
+    body: buffer.toString('base64'),
+    isBase64Encoded: true
+  };
+}
+
+async function sendInvoice(db, invoice, to, sentBy) {
+  const email = to || invoice.customerEmail;
+  if (!email) return { error: 'No email address for this customer — pass "to"' };
+
+  const pdf = renderInvoicePdf(invoice);
+  const result = await sendEmail(
+    email,
+    invoice.customerName,
+    `Invoice ${invoice.invoiceNumber} from ${invoice.brand.name}`,
+    renderInvoiceHtml(invoice),
+    BRANDS[invoice.brand.key]?.emailFrom,
+    [{ name: `${invoice.invoiceNumber}.pdf`, content: pdf.toString('base64') }]
+  );
+
+  const log = { to: email, at: new Date(), success: !!result.success, by: sentBy || 'system' };
+  await db.collection('invoices').updateOne(
+    { _id: invoice._id },
+    {
+      $push: { emailLog: log },
+      ...(result.success ? { $set: { sentAt: log.at, sentTo: email } } : {})
+    }
+  );
+  return { result, log };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+
+  try {
+    const { db } = await connectToDatabase();
+    const invoicesCol = db.collection('invoices');
+    const deliveries = db.collection('delivery_schedule');
+
+    // ─── GET ──────────────────────────────────────────────────
+    if (event.httpMethod === 'GET') {
+      const p = event.queryStringParameters || {};
+
+      if (p.id) {
+        if (!ObjectId.isValid(p.id)) return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid id' }) };
+        const invoice = await invoicesCol.findOne({ _id: new ObjectId(p.id) });
+        if (!invoice) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+        if (p.format === 'html') return htmlResponse(renderInvoiceHtml(invoice));
+        if (p.format === 'pdf') return pdfResponse(renderInvoicePdf(invoice), `${invoice.invoiceNumber}.pdf`);
+        return { statusCode: 200, headers, body: JSON.stringify(invoice) };
+      }
+
+      if (p.uninvoiced === 'true') {
+        if (!p.customerId) return { statusCode: 400, headers, body: JSON.stringify({ error: 'customerId required' }) };
+        const loads = await deliveries
+          .find({ customerId: p.customerId, status: 'DELIVERED', invoiceId: null })
+          .sort({ deliveryDate: 1 })
+          .toArray();
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, deliveries: loads }) };
+      }
+
+      if (p.statement) {
+        if (!ObjectId.isValid(p.statement)) return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid customer id' }) };
+        const customer = await db.collection('customers').findOne({ _id: new ObjectId(p.statement) });
+        if (!customer) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Customer not found' }) };
+        const query = { customerId: p.statement };
+        if (p.brand) query['brand.key'] = p.brand;
+        const invoices = await invoicesCol.find(query).sort({ issueDate: 1, invoiceNumber: 1 }).toArray();
+        const asOf = getChiDate();
+        const totalDue = toMoney(invoices.filter(i => i.status !== 'void').reduce((s, i) => s + i.balance, 0));
+
+        if (p.format === 'html') {
+          const brandKey = p.brand || invoices[invoices.length - 1]?.brand.key || 'tgr';
+          if (!BRANDS[brandKey]) return { statusCode: 400, headers, body: JSON.stringify({ error: `Unknown brand: ${brandKey}` }) };
+          return htmlResponse(renderStatementHtml(customer, invoices, brandSnapshot(brandKey), asOf));
+        }
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            success: true,
+            asOf,
+            customer: { _id: customer._id, name: customer.name, phone: customer.phone, email: customer.email },
+            totalDue,
+            pastDue: toMoney(invoices.filter(i => i.status !== 'void' && i.dueDate < asOf).reduce((s, i) => s + i.balance, 0)),
+            invoices: invoices.map(i => ({
+              _id: i._id, invoiceNumber: i.invoiceNumber, brand: i.brand.key, issueDate: i.issueDate,
+              dueDate: i.dueDate, total: i.total, amountPaid: i.amountPaid, balance: i.balance, status: i.status
+            }))
+          })
+        };
+      }
+
+      const query = {};
+      if (p.status) {
+        const statuses = p.status.split(',');
+        query.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+      }
+      if (p.customerId) query.customerId = p.customerId;
+      if (p.brand) query['brand.key'] = p.brand;
+      if (p.from || p.to) {
+        query.issueDate = {};
+        if (p.from) query.issueDate.$gte = p.from;
+        if (p.to) query.issueDate.$lte = p.to;
+      }
+      const invoices = await invoicesCol.find(query, { projection: { lines: 0, payments: 0, emailLog: 0 } })
+        .sort({ issueDate: -1, invoiceNumber: -1 })
+        .limit(500)
+        .toArray();
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, invoices }) };
+    }
+
+    // ─── POST — Create invoice ────────────────────────────────
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body);
+      const ids = [...new Set((body.deliveryIds || []).map(String))];
+      if (!ids.length || ids.some(id => !ObjectId.isValid(id))) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'deliveryIds required' }) };
+      }
+      const objectIds = ids.map(id => new ObjectId(id));
+
+      const loads = await deliveries.find({ _id: { $in: objectIds } }).sort({ deliveryDate: 1, loadNumber: 1 }).toArray();
+      const problems = [];
+      if (loads.length !== ids.length) problems.push(`${ids.length - loads.length} delivery id(s) not found`);
+      loads.filter(d => d.status !== 'DELIVERED').forEach(d => problems.push(`${d._id} is ${d.status}, not DELIVERED`));
+      loads.filter(d => d.invoiceId).forEach(d => problems.push(`${d._id} is already on invoice ${d.invoiceNumber || d.invoiceId}`));
+      if (new Set(loads.map(customerKey)).size > 1) problems.push('Loads belong to different customers');
+      if (new Set(loads.map(brandKeyOf)).size > 1) problems.push('Loads belong to different brands — invoice them separately');
+      if (problems.length) {
+        return { statusCode: 409, headers, body: JSON.stringify({ error: problems.join('; '), problems }) };
+      }
+
+      const first = loads[0];
+      const brand = brandSnapshot(brandKeyOf(first));
+      const invoiceId = new ObjectId();
+      const idStr = invoiceId.toString();
+
+      // Claim the loads first so a number is only used once the invoice is certain
+      const claim = await deliveries.updateMany(
+        { _id: { $in: objectIds }, status: 'DELIVERED', invoiceId: null },
+        { $set: { invoiceId: idStr, updatedAt: new Date() }, $inc: { revision: 1 } }
+      );
+      if (claim.modifiedCount !== ids.length) {
+        await deliveries.updateMany({ _id: { $in: objectIds }, invoiceId: idStr }, { $set: { invoiceId: null } });
+        return { statusCode: 409, headers, body: JSON.stringify({ error: 'One or more loads changed or were invoiced by someone else — reload and retry' }) };
+      }
+
+      try {
+        const customer = first.customerId && ObjectId.isValid(first.customerId)
+          ? await db.collection('customers').findOne({ _id: new ObjectId(first.customerId) })
+          : null;
+        const lines = [];
+        for (const d of loads) lines.push(await invoiceLine(db, d));
+        const totals = invoiceTotals(lines);
+        const issueDate = getChiDate();
+        const { dueDate, terms } = dueDateFor(issueDate, body.dueDays != null ? parseInt(body.dueDays, 10) : undefined);
+
+        // Loads paid before invoicing (e.g. at the yard) count as a prepayment,
+        // as do partial payments already recorded against a load
+        const prepaid = toMoney(lines.reduce((s, l, i) => {
+          if (l.paidBefore === true) return s + l.amount;
+          return s + Math.min(loads[i].amountPaid || 0, l.amount);
+        }, 0));
+        const billTo = Array.isArray(body.billTo) && body.billTo.length ? body.billTo.map(String) : [
+          customer?.name || first.customerName,
+          customer?.company || '',
+          first.deliveryAddress || '',
+          [first.deliveryCity, [first.deliveryState || 'TX', first.deliveryZip].filter(Boolean).join(' ')].filter(Boolean).join(', '),
+          customer?.email || first.customerEmail || ''
+        ].filter(Boolean);
+
+        const invoice = {
+          _id: invoiceId,
+          invoiceNumber: await nextInvoiceNumber(db, brand.invoicePrefix),
+          brand,
+          customerId: first.customerId || null,
+          customerName: customer?.name || first.customerName,
+          customerEmail: customer?.email || first.customerEmail || '',
+          customerPhone: customer?.phone || first.customerPhone || '',
+          source: first.source,
+          billTo,
+          issueDate,
+          dueDate,
+          terms,
+          deliveryIds: ids,
+          lines,
+          ...totals,
+          amountPaid: prepaid,
+          balance: toMoney(totals.total - prepaid),
+          status: statusFor(totals.total, prepaid),
+          payments: prepaid ? [{
+            paymentId: new ObjectId().toString(), amount: prepaid, method: 'prepaid', reference: 'Paid before invoicing',
+            receivedAt: issueDate, recordedBy: body.createdBy || 'system', recordedAt: new Date()
+          }] : [],
+          paidAt: null,
+          notes: body.notes || '',
+          sentAt: null,
+          sentTo: null,
+          emailLog: [],
+          createdAt: new Date(),
+          updatedAt: new Date(),
+          createdBy: body.createdBy || 'system'
+        };
+        if (invoice.status === 'paid') invoice.paidAt = new Date();
+
+        await invoicesCol.insertOne(invoice);
+        await deliveries.updateMany({ invoiceId: idStr }, { $set: { invoiceNumber: invoice.invoiceNumber } });
+        await syncDeliveriesPaid(db, invoice);
+
+        let email = null;
+        if (body.send === true) email = await sendInvoice(db, invoice, body.sendTo, body.createdBy);
+
+        return {
+          statusCode: 201,
+          headers,
+          body: JSON.stringify({
+            success: true,
+            invoiceId: idStr,
+            invoiceNumber: invoice.invoiceNumber,
+            total: invoice.total,
+            balance: invoice.balance,
+            status: invoice.status,
+            unpricedLines: lines.filter(l => !l.priced).map(l => l.deliveryId),
+            email: email && (email.error ? { success: false, error: email.error } : { success: email.log.success, to: email.log.to })
+          })
+        };
+      } catch (err) {
+        // Release the loads if the invoice never got written
+        if (!(await invoicesCol.findOne({ _id: invoiceId }))) {
+          await deliveries.updateMany({ invoiceId: idStr }, { $set: { invoiceId: null } });
+        }
+        throw err;
+      }
+    }
+
+    // ─── PUT — Send / pay / void / edit ───────────────────────
+    if (event.httpMethod === 'PUT') {
+      const body = JSON.parse(event.body);
+      if (!body.id || !ObjectId.isValid(String(body.id))) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
+      }
+      const _id = new ObjectId(String(body.id));
+      const invoice = await invoicesCol.findOne({ _id });
+      if (!invoice) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+
+      if (body.action === 'send') {
+        if (invoice.status === 'void') return { statusCode: 409, headers, body: JSON.stringify({ error: 'Invoice is void' }) };
+        const sent = await sendInvoice(db, invoice, body.to, body.updatedBy);
+        if (sent.error) return { statusCode: 400, headers, body: JSON.stringify({ error: sent.error }) };
+        return { statusCode: sent.log.success ? 200 : 502, headers, body: JSON.stringify({ success: sent.log.success, to: sent.log.to }) };
+      }
+
+      if (body.action === 'record_payment') {
+        const amount = parseFloat(body.amount);
+        if (!amount || isNaN(amount)) return { statusCode: 400, headers, body: JSON.stringify({ error: 'amount required (negative for a refund)' }) };
+        if (body.receivedAt && !isValidDateStr(body.receivedAt)) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'receivedAt must be YYYY-MM-DD' }) };
+        }
+        const result = await recordPayment(db, {
+          invoiceId: body.id, amount, method: body.method, reference: body.reference,
+          receivedAt: body.receivedAt, recordedBy: body.updatedBy
+        });
+        if (result.error) return { statusCode: result.status, headers, body: JSON.stringify({ error: result.error }) };
+        const updated = result.invoice;
+        return {
+          statusCode: 200,
+          headers,
+          body: JSON.stringify({
+            success: true, paymentId: result.payment._id, status: updated.status,
+            amountPaid: updated.amountPaid, balance: updated.balance
+          })
+        };
+      }
+
+      if (body.action === 'void') {
+        if (invoice.status === 'void') return { statusCode: 200, headers, body: JSON.stringify({ success: true, status: 'void' }) };
+        const voided = await invoicesCol.findOneAndUpdate(
+          { _id, status: { $ne: 'void' } },
+          {
+            $set: {
+              status: 'void', balance: 0, voidedAt: new Date(), voidReason: body.reason || '',
+              voidedBy: body.updatedBy || 'system', updatedAt: new Date()
+            }
+          },
+          { returnDocument: 'after' }
+        );
+        if (voided) await syncDeliveriesPaid(db, voided);
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, status: 'void', released: invoice.deliveryIds.length }) };
+      }
+
+      if (body.action) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `Unknown action: ${body.action}` }) };
+      }
+
+      if (invoice.status === 'void' || invoice.status === 'paid') {
+        return { statusCode: 409, headers, body: JSON.stringify({ error: `Invoice is ${invoice.status}` }) };
+      }
+      const update = { updatedAt: new Date() };
+      if (body.notes !== undefined) update.notes = body.notes;
+      if (body.dueDate !== undefined) {
+        if (!isValidDateStr(body.dueDate) || body.dueDate < invoice.issueDate) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'dueDate must be YYYY-MM-DD on or after the issue date' }) };
+        }
+        update.dueDate = body.dueDate;
+      }
+      await invoicesCol.updateOne({ _id }, { $set: update });
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+    }
+
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  } catch (err) {
+    console.error('Invoices API error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};
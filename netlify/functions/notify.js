@@ -4,66 +4,42 @@
  * Sends BOTH SMS and email for every notification.
  * If one channel fails, the other still delivers.
  * 
- * Two trigger points:
+ * Trigger points:
  *   1. Schedule confirmation — dispatcher finalizes tomorrow's board
- *   2. En-route alert — driver taps "En Route" button
+ *   2. En-route alert — driver taps "En Route" button (also raises the
+ *      en_route webhook event — utils/webhooks.js)
+ *   3. Reschedule notice — bulk date move (rain day) from dispatch.js
+ *   4. Failed-delivery alert — office SMS + email when a driver can't drop a load
  * 
  * POST /notify
  *   { type: "schedule_confirmation", deliveries: [...] }
  *   { type: "en_route", deliveryId: "xxx" }
+ *   { type: "rescheduled", deliveries: [{ id, ..., deliveryDate, previousDate }], reason }
+ *   { type: "delivery_failed", deliveryId: "xxx" }
  * 
  * Environment Variables:
  *   BREVO_API_KEY          — Brevo API key
  *   BREVO_SENDER_EMAIL     — From email (default: info@texasgotrocks.com)
  *   BREVO_SENDER_NAME      — From name (default: Texas Got Rocks)
+ *   DISPATCH_ALERT_PHONE   — failed-delivery SMS (default: owner phone)
+ *
+ * Brand config and the email sender live in utils/brands.js.
  */
 
 const { connectToDatabase, headers, handleOptions } = require('./utils/db');
 const { ObjectId } = require('mongodb');
+const { validateTransition, statusGuard } = require('./utils/status');
+const { deliveredTons } = require('./utils/inventory');
+const { groupLoads, summarizeGroup } = require('./utils/groups');
+const { currentRevision } = require('./utils/revision');
+const { emitWebhookEvent } = require('./utils/webhooks');
+const { resolveActor, diffChanges, recordAudit } = require('./utils/audit');
+const { getBrand, sendEmail } = require('./utils/brands');
 
 const BREVO_API_KEY = process.env.BREVO_API_KEY;
-const SENDER_EMAIL = process.env.BREVO_SENDER_EMAIL || 'info@texasgotrocks.com';
-const SENDER_NAME = process.env.BREVO_SENDER_NAME || 'Texas Got Rocks';
 const OWNER_PHONE = '9363635803'; // Corey Pelletier — owner alerts
 const INTERNAL_DELIVERY_EMAILS = ['tina@tcmaterialsllc.com', 'marisa@tcmaterialsllc.com'];
-
-// ─── Brand Configuration ─────────────────────────────
-const BRANDS = {
-  tgr: {
-    name: 'Texas Got Rocks',
-    smsSender: 'TXGotRocks',
-    emailFrom: { name: 'Texas Got Rocks', email: 'info@texasgotrocks.com' },
-    phone: '(936) 259-2887',
-    phoneRaw: '9362592887',
-    tagline: 'Always FREE Delivery',
-    trustpilotEnabled: true,
-    trustpilotLink: 'https://www.trustpilot.com/review/texasgotrocks.com',
-    trustpilotInviteEmail: 'texasgotrocks.com+621d4324d2@invite.trustpilot.com',
-    headerColor: '#001F3F',
-    accentColor: '#C65D2A'
-  },
-  tc: {
-    name: 'T & C Materials',
-    smsSender: 'TCMaterials',
-    emailFrom: { name: 'T & C Materials', email: 'info@tcmaterialsllc.com' },
-    phone: '(936) 279-2959',
-    phoneRaw: '9362792959',
-    tagline: 'Quality Materials Delivered',
-    trustpilotEnabled: false,
-    trustpilotLink: null,
-    trustpilotInviteEmail: null,
-    headerColor: '#001F3F',
-    accentColor: '#C65D2A'
-  }
-};
-
-function getBrand(delivery) {
-  const channel = (delivery.source || '').toLowerCase();
-  if (channel.includes('yard') || channel.includes('t&c') || channel.includes('t & c') || channel.includes('tc material')) {
-    return BRANDS.tc;
-  }
-  return BRANDS.tgr;
-}
+const DISPATCH_ALERT_PHONE = process.env.DISPATCH_ALERT_PHONE || OWNER_PHONE;
 
 // ─── SMS via Brevo ───────────────────────────────────
 async function sendSMS(phone, message, sender = 'TXGotRocks') {
@@ -97,30 +73,6 @@ async function sendSMS(phone, message, sender = 'TXGotRocks') {
   }
 }
 
-// ─── Email via Brevo ─────────────────────────────────
-async function sendEmail(to, toName, subject, htmlContent, fromConfig = null) {
-  if (!to) return { success: false, reason: 'No email address' };
-
-  try {
-    const response = await fetch('https://api.brevo.com/v3/smtp/email', {
-      method: 'POST',
-      headers: { 'api-key': BREVO_API_KEY, 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        sender: fromConfig || { name: SENDER_NAME, email: SENDER_EMAIL },
-        to: [{ email: to, name: toName || '' }],
-        subject,
-        htmlContent
-      })
-    });
-    const result = await response.json();
-    console.log(`[Email] ${to}: ${response.ok ? 'sent' : 'failed'}`, result);
-    return { success: response.ok, email: to, result };
-  } catch (err) {
-    console.error('[Email] Error:', err.message);
-    return { success: false, email: to, error: err.message };
-  }
-}
-
 // ─── Email Templates ─────────────────────────────────
 function scheduleConfirmationEmail(del, brand) {
   const firstName = (del.customerName || 'Customer').split(' ')[0];
@@ -154,6 +106,37 @@ function scheduleConfirmationEmail(del, brand) {
 </body></html>`;
 }
 
+function rescheduledEmail(del, reason, brand) {
+  const firstName = (del.customerName || 'Customer').split(' ')[0];
+  return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"></head>
+<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;background:#f5f5f5;">
+  <div style="max-width:500px;margin:20px auto;background:#fff;border-radius:12px;overflow:hidden;border:1px solid #e0e0e0;">
+    <div style="background:${brand.headerColor};padding:24px 28px;text-align:center;">
+      <div style="color:${brand.accentColor};font-size:22px;font-weight:700;">${brand.name}</div>
+      <div style="color:#8891a0;font-size:13px;margin-top:4px;">Delivery Rescheduled</div>
+    </div>
+    <div style="padding:28px;">
+      <p style="font-size:16px;color:#333;margin:0 0 16px;">Hi ${firstName},</p>
+      <p style="font-size:15px;color:#333;margin:0 0 20px;line-height:1.5;">${reason ? `Due to ${reason}, we` : 'We'}'ve moved your delivery to a new date. Here are the updated details:</p>
+      <div style="background:#f8f9fa;border-radius:8px;padding:18px;margin-bottom:20px;">
+        <table style="width:100%;border-collapse:collapse;">
+          <tr><td style="padding:6px 0;color:#666;font-size:13px;">Material</td><td style="padding:6px 0;font-weight:600;font-size:14px;text-align:right;">${del.materialName || 'TBD'}</td></tr>
+          <tr><td style="padding:6px 0;color:#666;font-size:13px;">Quantity</td><td style="padding:6px 0;font-weight:600;font-size:14px;text-align:right;">${del.quantity || '?'} tons</td></tr>
+          ${del.previousDate ? `<tr><td style="padding:6px 0;color:#666;font-size:13px;">Original Date</td><td style="padding:6px 0;font-size:14px;text-align:right;text-decoration:line-through;color:#999;">${formatDate(del.previousDate)}</td></tr>` : ''}
+          <tr><td style="padding:6px 0;color:#666;font-size:13px;">New Date</td><td style="padding:6px 0;font-weight:600;font-size:14px;text-align:right;">${formatDate(del.deliveryDate)}</td></tr>
+        </table>
+      </div>
+      <p style="font-size:14px;color:#666;margin:0;line-height:1.5;">We're sorry for the inconvenience. If the new date doesn't work for you, please call us at <strong>${brand.phone}</strong>.</p>
+    </div>
+    <div style="padding:16px 28px;background:#f8f9fa;border-top:1px solid #e0e0e0;text-align:center;">
+      <p style="margin:0;font-size:12px;color:#999;">${brand.name} &middot; ${brand.tagline} &middot; ${brand.phone}</p>
+      <p style="margin:4px 0 0;font-size:11px;color:#bbb;">Reply STOP to opt out of text messages.</p>
+    </div>
+  </div>
+</body></html>`;
+}
+
 function enRouteEmail(delivery, etaMinutes, brand) {
   const firstName = (delivery.customerName || 'Customer').split(' ')[0];
   return `<!DOCTYPE html>
@@ -208,7 +191,7 @@ function deliveredEmail(delivery, brand) {
       <div style="background:#f8f9fa;border-radius:8px;padding:18px;margin-bottom:20px;">
         <table style="width:100%;border-collapse:collapse;">
           <tr><td style="padding:6px 0;color:#666;font-size:13px;">Material</td><td style="padding:6px 0;font-weight:600;font-size:14px;text-align:right;">${delivery.materialName || 'Material'}</td></tr>
-          <tr><td style="padding:6px 0;color:#666;font-size:13px;">Quantity</td><td style="padding:6px 0;font-weight:600;font-size:14px;text-align:right;">${delivery.quantity || '?'} tons</td></tr>
+          <tr><td style="padding:6px 0;color:#666;font-size:13px;">Quantity</td><td style="padding:6px 0;font-weight:600;font-size:14px;text-align:right;">${deliveredTons(delivery) || '?'} tons</td></tr>
         </table>
       </div>
       ${delivery.deliveryPhoto && delivery.deliveryPhoto.startsWith('http') ? `
@@ -270,14 +253,26 @@ exports.handler = async (event) => {
 
         // Update DB with notification status
         if (del.id) {
-          await deliveryCol.updateOne(
+          const set = {
+            scheduleSmsSent: result.sms?.success || false,
+            scheduleEmailSent: result.email?.success || false,
+            updatedAt: new Date()
+          };
+          const before = await deliveryCol.findOneAndUpdate(
             { _id: new ObjectId(del.id) },
-            { $set: {
-              scheduleSmsSent: result.sms?.success || false,
-              scheduleEmailSent: result.email?.success || false,
-              updatedAt: new Date()
-            }}
+            { $set: set },
+            { returnDocument: 'before' }
           );
+          if (before) {
+            await recordAudit(db, {
+              deliveryId: before._id,
+              action: 'notify',
+              revision: currentRevision(before),
+              changes: diffChanges(before, set),
+              at: set.updatedAt,
+              ...resolveActor(event, 'system')
+            });
+          }
         }
       }
 
@@ -291,6 +286,48 @@ exports.handler = async (event) => {
       };
     }
 
+    // ─── Reschedule Notice (batch — rain day / bulk date move) ─
+    if (body.type === 'rescheduled') {
+      const results = [];
+      const reason = body.reason || null;
+
+      for (const del of (body.deliveries || [])) {
+        const brand = getBrand(del);
+        const firstName = (del.customerName || 'Customer').split(' ')[0];
+        const smsMessage = `Hi ${firstName}, ${reason ? `due to ${reason} ` : ''}your ${brand.name} delivery of ${del.materialName || 'material'} has been moved to ${formatDate(del.deliveryDate)}. Questions? Call ${brand.phone}. Reply STOP to opt out.`;
+
+        const result = { deliveryId: del.id, sms: null, email: null };
+
+        if (del.customerPhone) {
+          result.sms = await sendSMS(del.customerPhone, smsMessage, brand.smsSender);
+        }
+
+        if (del.customerEmail) {
+          result.email = await sendEmail(
+            del.customerEmail,
+            del.customerName,
+            `Delivery Rescheduled - ${formatDate(del.deliveryDate)}`,
+            rescheduledEmail(del, reason, brand),
+            brand.emailFrom
+          );
+        }
+
+        results.push(result);
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          smsSent: results.filter(r => r.sms?.success).length,
+          emailSent: results.filter(r => r.email?.success).length,
+          total: results.length,
+          results
+        })
+      };
+    }
+
     // ─── En Route Alert (single — real-time) ──────────────────
     if (body.type === 'en_route') {
       const deliveryId = body.deliveryId;
@@ -303,6 +340,12 @@ exports.handler = async (event) => {
         return { statusCode: 404, headers, body: JSON.stringify({ error: 'Delivery not found' }) };
       }
 
+      // Refuse before texting the customer if the load can't go en route
+      const conflict = validateTransition(delivery.status, 'EN_ROUTE');
+      if (conflict) {
+        return { statusCode: 409, headers, body: JSON.stringify(conflict) };
+      }
+
       // ─── Real ETA from Google Distance Matrix ──────────────
       let etaMinutes = 30; // fallback
       try {
@@ -357,16 +400,19 @@ exports.handler = async (event) => {
       }
 
       // Update delivery record
-      await deliveryCol.updateOne(
-        { _id: new ObjectId(deliveryId) },
+      const enRouteAt = new Date();
+      const enRouteSet = {
+        status: 'EN_ROUTE',
+        enRouteAt,
+        enRouteSmsSent: smsResult?.success || false,
+        enRouteEmailSent: emailResult?.success || false,
+        updatedAt: new Date()
+      };
+      const moved = await deliveryCol.updateOne(
+        { _id: new ObjectId(deliveryId), status: statusGuard('EN_ROUTE') },
         {
-          $set: {
-            status: 'EN_ROUTE',
-            enRouteAt: new Date(),
-            enRouteSmsSent: smsResult?.success || false,
-            enRouteEmailSent: emailResult?.success || false,
-            updatedAt: new Date()
-          },
+          $set: enRouteSet,
+          $inc: { revision: 1 },
           $push: {
             statusHistory: {
               status: 'EN_ROUTE',
@@ -378,6 +424,23 @@ exports.handler = async (event) => {
         }
       );
 
+      if (moved.modifiedCount) {
+        await recordAudit(db, {
+          deliveryId: delivery._id,
+          action: 'driver_status',
+          revision: currentRevision(delivery) + 1,
+          changes: diffChanges(delivery, enRouteSet),
+          at: enRouteAt,
+          ...resolveActor(event, body.driverId || 'driver', 'driver_app')
+        });
+      }
+
+      if (moved.modifiedCount && delivery.status !== 'EN_ROUTE') {
+        await emitWebhookEvent(db, 'en_route', {
+          ...delivery, status: 'EN_ROUTE', enRouteAt, revision: currentRevision(delivery) + 1
+        }, { previousStatus: delivery.status, etaMinutes });
+      }
+
       return {
         statusCode: 200,
         headers,
@@ -409,22 +472,20 @@ exports.handler = async (event) => {
 
       const brand = getBrand(delivery);
 
-      // Multi-load aware SMS (3I)
-      const isMultiLoad = (delivery.totalLoads || 1) > 1;
-      const loadNum = delivery.loadNumber || 1;
-      const totalLoads = delivery.totalLoads || 1;
-      const totalTons = delivery.totalTons || delivery.quantity || 0;
+      // Multi-load aware SMS (3I) — progress comes from the group's delivered loads
+      const group = delivery.fulfillmentGroupId && (delivery.totalLoads || 1) > 1
+        ? summarizeGroup(delivery.fulfillmentGroupId, await groupLoads(db, delivery.fulfillmentGroupId))
+        : null;
+      const loadTons = deliveredTons(delivery); // scale ticket net tons when the driver captured one
 
       let smsMessage;
-      if (!isMultiLoad) {
-        smsMessage = `Thank you! Your ${delivery.materialName || 'material'} has been delivered. We appreciate your business! — ${brand.name}`;
-      } else if (loadNum < totalLoads) {
-        // Calculate delivered so far (this load + previous)
-        const deliveredSoFar = ((delivery.quantity || 0) * loadNum).toFixed(1);
-        smsMessage = `Your ${brand.name} delivery is in progress! Load ${loadNum} of ${totalLoads} delivered (${deliveredSoFar} of ${totalTons} tons). Next load is on its way shortly.`;
+      if (!group || group.totalLoads <= 1) {
+        smsMessage = `Thank you! Your ${loadTons} tons of ${delivery.materialName || 'material'} has been delivered. We appreciate your business! — ${brand.name}`;
+      } else if (group.openLoads > 0) {
+        smsMessage = `Your ${brand.name} delivery is in progress! ${group.deliveredLoads} of ${group.totalLoads} loads delivered (${group.deliveredTons.toFixed(1)} of ${group.totalTons} tons). Next load is on its way shortly.`;
       } else {
         // Final load
-        smsMessage = `Your full order of ${totalTons} tons of ${delivery.materialName || 'material'} has been delivered! Thank you for choosing ${brand.name}.`;
+        smsMessage = `Your full order of ${group.deliveredTons.toFixed(1)} tons of ${delivery.materialName || 'material'} has been delivered! Thank you for choosing ${brand.name}.`;
       }
 
       let smsResult = null;
@@ -451,15 +512,21 @@ exports.handler = async (event) => {
         tpResult = await sendEmail(brand.trustpilotInviteEmail, 'Trustpilot Invite', 'New Invitation Request', tpHtml);
       }
 
-      await deliveryCol.updateOne(
-        { _id: new ObjectId(deliveryId) },
-        { $set: {
-          deliveredSmsSent: smsResult?.success || delivery.deliveredSmsSent || false,
-          deliveredEmailSent: emailResult?.success || delivery.deliveredEmailSent || false,
-          trustpilotInviteSent: tpResult?.success || delivery.trustpilotInviteSent || false,
-          updatedAt: new Date()
-        }}
-      );
+      const deliveredSet = {
+        deliveredSmsSent: smsResult?.success || delivery.deliveredSmsSent || false,
+        deliveredEmailSent: emailResult?.success || delivery.deliveredEmailSent || false,
+        trustpilotInviteSent: tpResult?.success || delivery.trustpilotInviteSent || false,
+        updatedAt: new Date()
+      };
+      await deliveryCol.updateOne({ _id: new ObjectId(deliveryId) }, { $set: deliveredSet });
+      await recordAudit(db, {
+        deliveryId: delivery._id,
+        action: 'notify',
+        revision: currentRevision(delivery),
+        changes: diffChanges(delivery, deliveredSet),
+        at: deliveredSet.updatedAt,
+        ...resolveActor(event, body.driverId || 'driver', 'driver_app')
+      });
 
       // ── Internal staff notification (Tina + Marisa) ───────────────────────
       const internalHtml = `<!DOCTYPE html>
@@ -474,7 +541,8 @@ exports.handler = async (event) => {
       <table style="width:100%;border-collapse:collapse;">
         <tr><td style="padding:5px 0;color:#666;font-size:13px;width:120px;">Customer</td><td style="padding:5px 0;font-weight:600;font-size:14px;">${delivery.customerName || '—'}</td></tr>
         <tr><td style="padding:5px 0;color:#666;font-size:13px;">Material</td><td style="padding:5px 0;font-weight:600;font-size:14px;">${delivery.materialName || '—'}</td></tr>
-        <tr><td style="padding:5px 0;color:#666;font-size:13px;">Quantity</td><td style="padding:5px 0;font-weight:600;font-size:14px;">${delivery.quantity || '?'} tons</td></tr>
+        <tr><td style="padding:5px 0;color:#666;font-size:13px;">Quantity</td><td style="padding:5px 0;font-weight:600;font-size:14px;">${loadTons || '?'} tons${delivery.actualTons ? ` <span style="color:#999;font-weight:400;">(ordered ${delivery.quantity})</span>` : ''}</td></tr>
+        ${delivery.scaleTicketNumber ? `<tr><td style="padding:5px 0;color:#666;font-size:13px;">Scale Ticket</td><td style="padding:5px 0;font-size:13px;">#${delivery.scaleTicketNumber}${delivery.ticketPhoto ? ` · <a href="${delivery.ticketPhoto}">photo</a>` : ''}</td></tr>` : ''}
         <tr><td style="padding:5px 0;color:#666;font-size:13px;">Address</td><td style="padding:5px 0;font-size:13px;">${[delivery.deliveryAddress,delivery.deliveryCity,delivery.deliveryState].filter(Boolean).join(', ') || '—'}</td></tr>
         <tr><td style="padding:5px 0;color:#666;font-size:13px;">Driver</td><td style="padding:5px 0;font-size:13px;">${delivery.driverName || '—'}</td></tr>
         <tr><td style="padding:5px 0;color:#666;font-size:13px;">Source</td><td style="padding:5px 0;font-size:13px;">${delivery.source || '—'}</td></tr>
@@ -562,10 +630,16 @@ exports.handler = async (event) => {
       const tpHtml = `<p>Customer: ${delivery.customerName || ''}</p><p>Email: ${delivery.customerEmail || ''}</p><p>Order: ${delivery._id}</p>`;
       const tpResult = await sendEmail(brand.trustpilotInviteEmail, 'Trustpilot Invite', 'New Invitation Request', tpHtml);
 
-      await deliveryCol.updateOne(
-        { _id: new ObjectId(deliveryId) },
-        { $set: { reviewRequestSent: true, updatedAt: new Date() } }
-      );
+      const reviewSet = { reviewRequestSent: true, updatedAt: new Date() };
+      await deliveryCol.updateOne({ _id: new ObjectId(deliveryId) }, { $set: reviewSet });
+      await recordAudit(db, {
+        deliveryId: delivery._id,
+        action: 'notify',
+        revision: currentRevision(delivery),
+        changes: diffChanges(delivery, reviewSet),
+        at: reviewSet.updatedAt,
+        ...resolveActor(event, 'system')
+      });
 
       return {
         statusCode: 200,
@@ -591,7 +665,67 @@ exports.handler = async (event) => {
       };
     }
 
-    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid type. Use: schedule_confirmation, en_route, delivered, owner_finalized' }) };
+    // ─── Dispatcher Alert: Failed Delivery ────────────────────
+    if (body.type === 'delivery_failed') {
+      const deliveryId = body.deliveryId;
+      if (!deliveryId) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'deliveryId required' }) };
+      }
+
+      const delivery = await deliveryCol.findOne({ _id: new ObjectId(deliveryId) });
+      if (!delivery || !delivery.failure) {
+        return { statusCode: 404, headers, body: JSON.stringify({ error: 'Failed delivery not found' }) };
+      }
+      const f = delivery.failure;
+
+      // Target customer name for redirects (shown in both alerts)
+      let redirectName = null;
+      if (f.redirectedToId) {
+        const target = await deliveryCol.findOne({ _id: new ObjectId(f.redirectedToId) });
+        redirectName = target?.customerName || f.redirectedToId;
+      }
+      const dispositionText = f.disposition === 'redirect' ? `redirected to ${redirectName}` : 'returning to yard';
+
+      const msg = `\u26A0\uFE0F Failed delivery: ${delivery.customerName || 'Customer'} — ${f.reason}. Truck ${delivery.truckNumber || '?'} (${delivery.driverName || 'driver'}) ${dispositionText}.${f.notes ? ' Note: ' + f.notes : ''} — RockRunner`;
+      const smsResult = await sendSMS(DISPATCH_ALERT_PHONE, msg);
+
+      const alertHtml = `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"></head>
+<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;background:#f5f5f5;">
+  <div style="max-width:500px;margin:20px auto;background:#fff;border-radius:12px;overflow:hidden;border:1px solid #e0e0e0;">
+    <div style="background:#001F3F;padding:20px 28px;">
+      <div style="color:#ef4444;font-size:18px;font-weight:700;">⚠️ Delivery Failed</div>
+      <div style="color:#8891a0;font-size:12px;margin-top:4px;">RockRunner — Dispatcher Alert</div>
+    </div>
+    <div style="padding:24px 28px;">
+      <table style="width:100%;border-collapse:collapse;">
+        <tr><td style="padding:5px 0;color:#666;font-size:13px;width:120px;">Customer</td><td style="padding:5px 0;font-weight:600;font-size:14px;">${delivery.customerName || '—'}</td></tr>
+        <tr><td style="padding:5px 0;color:#666;font-size:13px;">Reason</td><td style="padding:5px 0;font-weight:600;font-size:14px;color:#ef4444;">${f.reason}</td></tr>
+        ${f.notes ? `<tr><td style="padding:5px 0;color:#666;font-size:13px;">Driver Notes</td><td style="padding:5px 0;font-size:13px;">${f.notes}</td></tr>` : ''}
+        <tr><td style="padding:5px 0;color:#666;font-size:13px;">Material</td><td style="padding:5px 0;font-size:13px;">${deliveredTons(delivery) || '?'} tons ${delivery.materialName || ''} — ${dispositionText}</td></tr>
+        <tr><td style="padding:5px 0;color:#666;font-size:13px;">Address</td><td style="padding:5px 0;font-size:13px;">${[delivery.deliveryAddress,delivery.deliveryCity,delivery.deliveryState].filter(Boolean).join(', ') || '—'}</td></tr>
+        <tr><td style="padding:5px 0;color:#666;font-size:13px;">Truck / Driver</td><td style="padding:5px 0;font-size:13px;">${delivery.truckNumber || '—'} / ${delivery.driverName || '—'}</td></tr>
+        <tr><td style="padding:5px 0;color:#666;font-size:13px;">Reported At</td><td style="padding:5px 0;font-size:13px;">${new Date(f.failedAt).toLocaleString('en-US',{timeZone:'America/Chicago'})}</td></tr>
+      </table>
+      ${(f.photos || []).map(url => `<img src="${url}" alt="Site photo" style="max-width:100%;border-radius:8px;border:1px solid #e2e8f0;margin-top:12px;">`).join('')}
+      <p style="font-size:13px;color:#666;margin:16px 0 0;">Reschedule from the board — the follow-up load is created in one step.</p>
+    </div>
+  </div>
+</body></html>`;
+
+      for (const email of INTERNAL_DELIVERY_EMAILS) {
+        await sendEmail(email, '', `⚠️ Delivery Failed — ${delivery.customerName || 'Customer'}`, alertHtml,
+          { name: 'RockRunner', email: 'info@tcmaterialsllc.com' });
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, smsSent: smsResult?.success || false })
+      };
+    }
+
+    return { statusCode: 400, headers, body: JSON.stringify({ error: 'Invalid type. Use: schedule_confirmation, rescheduled, en_route, delivered, review_request, owner_finalized, delivery_failed' }) };
 
   } catch (err) {
     console.error('Notify API error:', err);
@@ -0,0 +1,394 @@
+/**
+ * order-intake.js — Authenticated Order Intake (storefront → dispatch)
+ *
+ * Collections: api_keys (utils/apikeys.js), intake_requests, intake_orders,
+ * delivery_schedule, customers, products, trucks, delivery_audit
+ *
+ * POST /order-intake
+ *   Authorization: Bearer <integration key>     (issued by api-keys.js, scope "intake")
+ *   Idempotency-Key: <any string>               (optional — defaults to the orderId)
+ *   { orderId, customerName, customerPhone?, customerEmail?, deliveryAddress, deliveryCity?,
+ *     deliveryState?, deliveryZip, deliveryLat?, deliveryLng?, productId | materialName,
+ *     quantity, deliveryDate, source?, timeWindow? | windowStart? + windowEnd? ("HH:MM",
+ *     America/Chicago), deliveryNotes?, poNumber?, paid?,
+ *     + pricing inputs (utils/pricing.js) }
+ *
+ * Responses:
+ *   201 — created: { orderId, deliveryIds, fulfillmentGroupId, loads, customerId, capacity, ... }
+ *   200 — the same orderId was already on the board: its existing deliveries (duplicate: true)
+ *   401 / 403 — missing, revoked or out-of-scope key; source not allowed for the key
+ *   409 — same Idempotency-Key or orderId still in progress, or stock short under the reject policy
+ *   422 — schema errors [{ field, message }], or Idempotency-Key reused with a different body
+ *
+ * A retry with the same Idempotency-Key (or orderId) and body replays the
+ * stored response (`Idempotent-Replayed: true`) instead of creating loads;
+ * bodies are compared as parsed JSON, so whitespace and key order don't
+ * matter. Independently of the key, each integration + source + orderId is
+ * claimed once in intake_orders (unique _id), so concurrent submits of one
+ * order under different keys can't both create loads. An order whose loads
+ * were all cancelled can be submitted again.
+ * Orders over the largest active truck's capacity are split into a
+ * multi-load group (calculateLoads). `capacity` is the requested date's row
+ * from capacity.js after the order is placed.
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { createHash, randomUUID } = require('crypto');
+const { authenticate, headerValue } = require('./utils/apikeys');
+const { ORDER_SOURCES, buildDelivery } = require('./utils/delivery');
+const { matchOrCreateCustomer } = require('./utils/customers');
+const { oversellPolicy, checkReservation, shortfallMessage } = require('./utils/inventory');
+const { emitWebhookEvent } = require('./utils/webhooks');
+const { recordAudit } = require('./utils/audit');
+const { calculateLoads } = require('./calculate-loads');
+const { computeCapacity } = require('./utils/capacity');
+const { productIndex } = require('./utils/products');
+const { getChiDate, dayOfWeek, isValidDateStr } = require('./utils/dates');
+const { windowFieldsFrom } = require('./utils/timewindows');
+
+const intakeHeaders = { ...headers, 'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-API-Key, Idempotency-Key' };
+
+const DEFAULT_TRUCK_CAPACITY = 24;
+const MAX_ORDER_TONS = 500;
+const IDEMPOTENCY_TTL_DAYS = 30;
+const STALE_CLAIM_MS = 2 * 60 * 1000;
+
+// field → type, required, max length
+const INTAKE_SCHEMA = {
+  orderId:          { type: 'string', required: true, max: 64 },
+  source:           { type: 'string' },
+  customerName:     { type: 'string', required: true, max: 120 },
+  customerPhone:    { type: 'string', max: 32 },
+  customerEmail:    { type: 'string', max: 254 },
+  deliveryAddress:  { type: 'string', required: true, max: 200 },
+  deliveryCity:     { type: 'string', max: 80 },
+  deliveryState:    { type: 'string', max: 2 },
+  deliveryZip:      { type: 'string', required: true, max: 10 },
+  deliveryLat:      { type: 'number' },
+  deliveryLng:      { type: 'number' },
+  productId:        { type: 'string' },
+  materialName:     { type: 'string', max: 120 },
+  quantity:         { type: 'number', required: true },
+  unit:             { type: 'string', max: 20 },
+  deliveryDate:     { type: 'string', required: true },
+  timeWindow:       { type: 'string', max: 40 },
+  windowStart:      { type: 'string', max: 5 },
+  windowEnd:        { type: 'string', max: 5 },
+  deliveryNotes:    { type: 'string', max: 1000 },
+  poNumber:         { type: 'string', max: 64 },
+  paid:             { type: 'boolean' },
+  idempotencyKey:   { type: 'string', max: 128 },
+  isSpecialty:        { type: 'boolean' },
+  specialtyUnitPrice: { type: 'number' },
+  specialtyUnit:      { type: 'string', max: 20 },
+  materialUnitPrice:  { type: 'number' },
+  deliveryRateType:   { type: 'string' },
+  deliveryRateManual: { type: 'number' },
+  taxExempt:          { type: 'boolean' }
+};
+
+// JSON with object keys sorted — the idempotency hash ignores formatting and key order
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonicalJson(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const typeOf = v => (Array.isArray(v) ? 'array' : v === null ? 'null' : typeof v);
+
+/**
+ * Validate an intake body against INTAKE_SCHEMA + business rules.
+ * Returns { errors: [{ field, message }], order } — order is normalized.
+ */
+function validateOrder(body, products, integration) {
+  const errors = [];
+  const add = (field, message) => errors.push({ field, message });
+
+  if (typeOf(body) !== 'object') return { errors: [{ field: '', message: 'Body must be a JSON object' }], order: null };
+
+  Object.keys(body).filter(k => !INTAKE_SCHEMA[k]).forEach(k => add(k, 'Unknown field'));
+  Object.entries(INTAKE_SCHEMA).forEach(([field, rule]) => {
+    const v = body[field];
+    if (v === undefined || v === null || v === '') {
+      if (rule.required) add(field, 'Required');
+      return;
+    }
+    if (typeOf(v) !== rule.type) add(field, `Must be a ${rule.type}`);
+    else if (rule.type === 'string' && rule.max && v.length > rule.max) add(field, `At most ${rule.max} characters`);
+  });
+  if (errors.length) return { errors, order: null };
+
+  const order = { ...body, orderId: body.orderId.trim() };
+
+  if (!order.customerPhone && !order.customerEmail) add('customerPhone', 'customerPhone or customerEmail is required');
+  if (order.customerPhone && String(order.customerPhone).replace(/\D/g, '').length < 10) add('customerPhone', 'Needs at least 10 digits');
+  if (order.customerEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(order.customerEmail)) add('customerEmail', 'Invalid email');
+  if (!/^\d{5}(-\d{4})?$/.test(order.deliveryZip)) add('deliveryZip', 'Must be a 5-digit ZIP');
+  if (order.deliveryLat != null || order.deliveryLng != null) {
+    if (!(order.deliveryLat >= -90 && order.deliveryLat <= 90) || !(order.deliveryLng >= -180 && order.deliveryLng <= 180)) {
+      add('deliveryLat', 'deliveryLat / deliveryLng must both be valid coordinates');
+    }
+  }
+
+  if (!(order.quantity > 0)) add('quantity', 'Must be greater than 0');
+  else if (order.quantity > MAX_ORDER_TONS) add('quantity', `At most ${MAX_ORDER_TONS} per order — call the office for larger jobs`);
+
+  if (!isValidDateStr(order.deliveryDate)) add('deliveryDate', 'Must be YYYY-MM-DD');
+  else if (order.deliveryDate < getChiDate()) add('deliveryDate', 'Is in the past');
+  else if (dayOfWeek(order.deliveryDate) === 0) add('deliveryDate', 'We do not deliver on Sundays');
+
+  const window = windowFieldsFrom(order);
+  if (window.error) add('windowStart', window.error);
+
+  if (!order.productId && !order.materialName) add('productId', 'productId or materialName is required');
+  else {
+    const product = products.get(String(order.productId || order.materialName).trim().toLowerCase());
+    if (!product) add(order.productId ? 'productId' : 'materialName', `Unknown material "${order.productId || order.materialName}"`);
+    else Object.assign(order, { productId: product.id, materialName: product.name });
+  }
+
+  const allowed = integration.sources || [];
+  order.source = order.source || allowed[0] || 'Texas Got Rocks';
+  if (!ORDER_SOURCES.includes(order.source)) add('source', `Must be one of: ${ORDER_SOURCES.join(', ')}`);
+  else if (allowed.length && !allowed.includes(order.source)) add('source', `This key may only create ${allowed.join(', ')} orders`);
+
+  delete order.idempotencyKey;
+  return { errors, order, windowWarning: window.warning || null };
+}
+
+async function capacityFor(db, date) {
+  const [day] = await computeCapacity(db, date, date);
+  if (!day) return null;
+  const { status, totalCapacityTons, scheduledTons, availableTons, deliveryCount, maxDeliveries, availableSlots } = day;
+  return { date, status, totalCapacityTons, scheduledTons, availableTons, deliveryCount, maxDeliveries, availableSlots };
+}
+
+let indexesEnsured = false;
+async function ensureIntakeIndexes(db) {
+  if (indexesEnsured) return;
+  await Promise.all([
+    db.collection('intake_requests').createIndex({ createdAt: 1 }, { expireAfterSeconds: IDEMPOTENCY_TTL_DAYS * 86400 }),
+    db.collection('delivery_schedule').createIndex({ orderId: 1, source: 1 })
+  ]);
+  indexesEnsured = true;
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return { ...handleOptions(), headers: intakeHeaders };
+  if (event.httpMethod !== 'POST') {
+    return { statusCode: 405, headers: intakeHeaders, body: JSON.stringify({ error: 'POST only' }) };
+  }
+
+  const reply = (statusCode, payload, extraHeaders = {}) => ({
+    statusCode,
+    headers: { ...intakeHeaders, ...extraHeaders },
+    body: JSON.stringify(payload)
+  });
+
+  let claims = null;
+  let claimId = null;
+  let orderClaims = null;
+  let orderClaimId = null;
+  try {
+    const { db } = await connectToDatabase();
+    const deliveries = db.collection('delivery_schedule');
+
+    const auth = await authenticate(db, event, 'intake');
+    if (auth.error) return reply(auth.status, { error: auth.error });
+    const integration = auth.integration;
+
+    let body;
+    try {
+      body = JSON.parse(event.body || '');
+    } catch {
+      return reply(400, { error: 'Body must be valid JSON' });
+    }
+
+    const products = productIndex(await db.collection('products').find({ active: { $ne: false } }).toArray());
+    const { errors, order, windowWarning } = validateOrder(body, products, integration);
+    if (errors.length) {
+      const status = errors.some(e => e.field === 'source' && /may only/.test(e.message)) ? 403 : 422;
+      return reply(status, { error: 'Invalid order', errors });
+    }
+
+    // ─── Idempotency claim ────────────────────────────────────
+    await ensureIntakeIndexes(db);
+    claims = db.collection('intake_requests');
+    const idempotencyKey = headerValue(event, 'idempotency-key') || body.idempotencyKey || `order:${order.orderId}`;
+    claimId = `${integration._id}:${idempotencyKey}`;
+    const requestHash = createHash('sha256').update(canonicalJson(body)).digest('hex');
+    try {
+      await claims.insertOne({
+        _id: claimId, integration: integration.name, orderId: order.orderId,
+        requestHash, status: 'processing', response: null, createdAt: new Date()
+      });
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      const prior = await claims.findOne({ _id: claimId });
+      claimId = null; // not ours — never release it below
+      if (prior.requestHash !== requestHash) {
+        return reply(422, { error: 'Idempotency-Key was already used with a different request body' });
+      }
+      if (prior.status === 'completed') {
+        return reply(prior.response.statusCode, prior.response.body, { 'Idempotent-Replayed': 'true' });
+      }
+      if (Date.now() - new Date(prior.createdAt).getTime() < STALE_CLAIM_MS) {
+        return reply(409, { error: 'This order is still being processed — retry shortly' });
+      }
+      // Stale claim from a crashed attempt — take it over
+      const taken = await claims.findOneAndUpdate(
+        { _id: prior._id, status: 'processing', createdAt: prior.createdAt },
+        { $set: { createdAt: new Date() } }
+      );
+      if (!taken) return reply(409, { error: 'This order is still being processed — retry shortly' });
+      claimId = prior._id;
+    }
+
+    const complete = async (statusCode, payload) => {
+      await claims.updateOne({ _id: claimId }, { $set: { status: 'completed', response: { statusCode, body: payload }, completedAt: new Date() } });
+      claimId = null;
+      return reply(statusCode, payload);
+    };
+
+    // Same order already on the board (earlier intake, or entered via /dispatch)
+    const findExisting = () => deliveries
+      .find({ orderId: order.orderId, source: order.source, status: { $ne: 'CANCELLED' } })
+      .sort({ loadNumber: 1 })
+      .toArray();
+    const duplicate = async existing => complete(200, {
+      success: true,
+      duplicate: true,
+      orderId: order.orderId,
+      deliveryIds: existing.map(d => d._id.toString()),
+      fulfillmentGroupId: existing[0].fulfillmentGroupId || null,
+      statuses: existing.map(d => d.status),
+      capacity: await capacityFor(db, existing[0].deliveryDate)
+    });
+    const inProgress = async () => {
+      await claims.deleteOne({ _id: claimId });
+      claimId = null;
+      return reply(409, { error: 'This order is still being processed — retry shortly' });
+    };
+
+    let existing = await findExisting();
+    if (existing.length) return duplicate(existing);
+
+    // ─── Order claim — one intake per orderId, whatever the key ──
+    orderClaims = db.collection('intake_orders');
+    const orderKey = `${integration._id}:${order.source}:${order.orderId}`;
+    try {
+      await orderClaims.insertOne({
+        _id: orderKey, integration: integration.name, source: order.source, orderId: order.orderId,
+        status: 'processing', deliveryIds: [], createdAt: new Date()
+      });
+      orderClaimId = orderKey;
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      existing = await findExisting();
+      if (existing.length) return duplicate(existing);
+      const prior = await orderClaims.findOne({ _id: orderKey });
+      if (prior.status === 'processing' && Date.now() - new Date(prior.createdAt).getTime() < STALE_CLAIM_MS) {
+        return inProgress();
+      }
+      // Loads all cancelled since, or a crashed attempt — take the claim over
+      const taken = await orderClaims.findOneAndUpdate(
+        { _id: orderKey, status: prior.status, createdAt: prior.createdAt },
+        { $set: { status: 'processing', deliveryIds: [], createdAt: new Date() } }
+      );
+      if (!taken) return inProgress();
+      orderClaimId = orderKey;
+    }
+
+    // ─── Build loads (split by truck capacity) ────────────────
+    const trucks = await db.collection('trucks').find({ active: { $ne: false } }).toArray();
+    const truckCapacity = Math.max(0, ...trucks.map(t => parseFloat(t.capacity) || 0)) || DEFAULT_TRUCK_CAPACITY;
+    const splittable = !order.isSpecialty && (order.unit || 'tons') === 'tons';
+    const { loads } = splittable ? calculateLoads(order.quantity, truckCapacity) : { loads: [{ loadNumber: 1, quantity: order.quantity }] };
+    const multi = loads.length > 1;
+    const fulfillmentGroupId = multi ? randomUUID() : null;
+    const createdBy = `intake:${integration.name}`;
+
+    const docs = [];
+    for (const load of loads) {
+      const doc = await buildDelivery(db, {
+        ...order,
+        quantity: load.quantity,
+        fulfillmentGroupId,
+        loadNumber: load.loadNumber,
+        totalLoads: loads.length,
+        totalTons: order.quantity,
+        createdBy
+      }, {
+        historyNote: multi
+          ? `Order ${order.orderId} via ${integration.name} — Load ${load.loadNumber} of ${loads.length}`
+          : `Order ${order.orderId} via ${integration.name}`
+      });
+      doc.intakeKeyId = integration._id.toString();
+      docs.push(doc);
+    }
+
+    // One stock check over the whole order
+    let inventoryWarning = null;
+    const held = docs.filter(d => d.inventoryReservation);
+    if (held.length) {
+      const check = await checkReservation(db, { ...held[0].inventoryReservation, quantity: held.reduce((s, d) => s + d.inventoryReservation.quantity, 0) });
+      if (check.shortfall > 0) {
+        const message = shortfallMessage(check);
+        if (oversellPolicy() === 'reject') {
+          await claims.deleteOne({ _id: claimId });
+          claimId = null;
+          await orderClaims.deleteOne({ _id: orderClaimId });
+          orderClaimId = null;
+          return reply(409, { error: message, conflict: 'inventory', inventory: check });
+        }
+        inventoryWarning = { message, ...check };
+      }
+    }
+
+    const customerLink = await matchOrCreateCustomer(db, { ...order, createdBy });
+    docs.forEach(d => { d.customerId = customerLink?.customerId || null; });
+
+    await deliveries.insertMany(docs);
+    for (const doc of docs) {
+      await recordAudit(db, { deliveryId: doc._id, action: 'create', revision: doc.revision, actor: integration.name, app: 'intake_api' });
+    }
+    await orderClaims.updateOne(
+      { _id: orderClaimId },
+      { $set: { status: 'completed', deliveryIds: docs.map(d => d._id.toString()), completedAt: new Date() } }
+    );
+    orderClaimId = null;
+    await emitWebhookEvent(db, 'created', docs, { orderId: order.orderId });
+
+    const capacity = await capacityFor(db, order.deliveryDate);
+    return complete(201, {
+      success: true,
+      duplicate: false,
+      orderId: order.orderId,
+      deliveryIds: docs.map(d => d._id.toString()),
+      fulfillmentGroupId,
+      totalLoads: loads.length,
+      truckCapacity,
+      loads: docs.map(d => ({ deliveryId: d._id.toString(), loadNumber: d.loadNumber, quantity: d.quantity })),
+      status: 'UNASSIGNED',
+      pricing: {
+        total: Math.round(docs.reduce((s, d) => s + (d.pricing?.total || 0), 0) * 100) / 100,
+        complete: docs.every(d => d.pricing?.complete)
+      },
+      customerId: customerLink?.customerId || null,
+      customerCreated: customerLink?.created || false,
+      capacity,
+      overCapacity: capacity ? capacity.status === 'full' : false,
+      inventoryWarning,
+      windowWarning
+    });
+
+  } catch (err) {
+    console.error('Order intake error:', err);
+    // Let the caller retry with the same key
+    if (claims && claimId) await claims.deleteOne({ _id: claimId }).catch(() => {});
+    if (orderClaims && orderClaimId) await orderClaims.deleteOne({ _id: orderClaimId }).catch(() => {});
+    return reply(500, { error: err.message });
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * payments.js — Payment Records
+ *
+ * Collection: payments (shape + rules in utils/payments.js)
+ *
+ * GET  /payments                    — list newest first
+ *        filters: invoiceId, deliveryId, customerId, brand, method, from, to (receivedAt)
+ * POST /payments {invoiceId | deliveryId, amount, method, reference?, receivedAt?, recordedBy?}
+ *                                   — record a payment (negative amount = refund);
+ *                                     a load already on an invoice is applied to that invoice
+ *
+ * Balances by age: see ar-aging.js.
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { PAYMENT_METHODS, recordPayment } = require('./utils/payments');
+const { isValidDateStr } = require('./utils/dates');
+
+const LIST_LIMIT = 500;
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+
+  try {
+    const { db } = await connectToDatabase();
+
+    // ─── GET ──────────────────────────────────────────────────
+    if (event.httpMethod === 'GET') {
+      const p = event.queryStringParameters || {};
+      const query = {};
+      if (p.invoiceId) query.invoiceId = p.invoiceId;
+      if (p.deliveryId) query.deliveryId = p.deliveryId;
+      if (p.customerId) query.customerId = p.customerId;
+      if (p.brand) query.brand = p.brand;
+      if (p.method) query.method = p.method;
+      if (p.from || p.to) {
+        query.receivedAt = {};
+        if (p.from) query.receivedAt.$gte = p.from;
+        if (p.to) query.receivedAt.$lte = p.to;
+      }
+      const payments = await db.collection('payments')
+        .find(query)
+        .sort({ receivedAt: -1, createdAt: -1 })
+        .limit(LIST_LIMIT)
+        .toArray();
+      const total = Math.round(payments.reduce((s, x) => s + x.amount, 0) * 100) / 100;
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, payments, count: payments.length, total, methods: PAYMENT_METHODS }) };
+    }
+
+    // ─── POST — Record payment ────────────────────────────────
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body);
+      if (body.receivedAt && !isValidDateStr(body.receivedAt)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'receivedAt must be YYYY-MM-DD' }) };
+      }
+      const result = await recordPayment(db, body);
+      if (result.error) return { statusCode: result.status, headers, body: JSON.stringify({ error: result.error }) };
+
+      const target = result.invoice
+        ? { invoiceId: result.payment.invoiceId, invoiceNumber: result.invoice.invoiceNumber, status: result.invoice.status, balance: result.invoice.balance }
+        : { deliveryId: result.payment.deliveryId, paid: result.delivery.paid, amountPaid: result.delivery.amountPaid };
+      return { statusCode: 201, headers, body: JSON.stringify({ success: true, payment: result.payment, ...target }) };
+    }
+
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  } catch (err) {
+    console.error('Payments API error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};
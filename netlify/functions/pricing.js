@@ -0,0 +1,96 @@
+/**
+ * pricing.js — Delivery Rates & Quotes API
+ *
+ * Collection: delivery_rates
+ *   { source, ratePerLoad, updatedAt, createdAt }
+ *
+ * GET  /pricing          — standard delivery rates + current sales tax rate
+ * PUT  /pricing          — upsert a standard rate by source
+ *   body: { source: "Yard Sale", ratePerLoad: 150 }
+ * POST /pricing          — quote a delivery without saving it
+ *   body: same pricing fields as POST /dispatch
+ *         (quantity, productId, source, isSpecialty, specialtyUnitPrice, specialtyUnit,
+ *          materialUnitPrice, deliveryRateType, deliveryRateManual, taxExempt)
+ *   loads: optional [{ quantity }] — multi-load quote, one delivery charge per load
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { STANDARD_RATE_DEFAULTS, getTaxRate, toMoney, pickPricingInputs, computePricing } = require('./utils/pricing');
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+
+  try {
+    const { db } = await connectToDatabase();
+    const rates = db.collection('delivery_rates');
+
+    // ─── GET — standard rates ─────────────────────────────────
+    if (event.httpMethod === 'GET') {
+      const saved = await rates.find({}).sort({ source: 1 }).toArray();
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ success: true, rates: saved, defaults: STANDARD_RATE_DEFAULTS, taxRate: getTaxRate() })
+      };
+    }
+
+    // ─── PUT — upsert a standard rate ─────────────────────────
+    if (event.httpMethod === 'PUT') {
+      const body = JSON.parse(event.body);
+      const ratePerLoad = parseFloat(body.ratePerLoad);
+      if (!body.source || isNaN(ratePerLoad) || ratePerLoad < 0) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'source and ratePerLoad (>= 0) required' }) };
+      }
+      await rates.updateOne(
+        { source: body.source },
+        {
+          $set: { source: body.source, ratePerLoad, updatedAt: new Date() },
+          $setOnInsert: { createdAt: new Date() }
+        },
+        { upsert: true }
+      );
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+    }
+
+    // ─── POST — quote ─────────────────────────────────────────
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body);
+      const base = {
+        source: body.source || 'Yard Sale',
+        productId: body.productId || null,
+        ...pickPricingInputs(body)
+      };
+
+      const loads = Array.isArray(body.loads) && body.loads.length
+        ? body.loads
+        : [{ quantity: body.quantity }];
+
+      const perLoad = [];
+      for (const load of loads) {
+        perLoad.push(await computePricing(db, { ...base, quantity: load.quantity }));
+      }
+
+      const sum = key => toMoney(perLoad.reduce((s, p) => s + (p[key] || 0), 0));
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          loads: perLoad,
+          materialSubtotal: sum('materialSubtotal'),
+          deliveryCharge: sum('deliveryCharge'),
+          subtotal: sum('subtotal'),
+          taxAmount: sum('taxAmount'),
+          total: sum('total'),
+          complete: perLoad.every(p => p.complete)
+        })
+      };
+    }
+
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  } catch (err) {
+    console.error('Pricing API error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * recurring-orders-materialize.js — Netlify Scheduled Function
+ *
+ * Runs daily at 5:00 AM CST (11:00 UTC) via cron.
+ * Turns active recurring_orders into delivery_schedule documents for the
+ * next 7 days (see utils/recurring.js). Runs well before the 3 PM
+ * dispatch reminder so tomorrow's standing orders are on the board.
+ */
+
+const { schedule } = require('@netlify/functions');
+const { connectToDatabase } = require('./utils/db');
+const { materializeRecurringOrders } = require('./utils/recurring');
+
+const handler = async () => {
+  try {
+    const { db } = await connectToDatabase();
+    const summary = await materializeRecurringOrders(db);
+    console.log(`[Recurring] ${summary.from} → ${summary.to}: ${summary.orders} active series, ${summary.created} deliveries created`);
+    return { statusCode: 200 };
+  } catch (err) {
+    console.error('[Recurring] Error:', err);
+    return { statusCode: 500 };
+  }
+};
+
+// 11:00 UTC = 5:00 AM CST
+exports.handler = schedule('0 11 * * *', handler);
@@ -0,0 +1,233 @@
+/**
+ * recurring-orders.js — Standing Orders for Contractor Customers
+ *
+ * Collection: recurring_orders
+ *   { customer / address / material fields (same names as delivery_schedule),
+ *     pattern: { daysOfWeek: [1..6], intervalWeeks },  // 0 = Sunday … 6 = Saturday
+ *     startDate, endDate|null, preferredTruckId|null, preferredTruckNumber|null,
+ *     status: "active" | "paused" | "ended", skipDates: ["YYYY-MM-DD"],
+ *     lastMaterializedThrough, createdAt, updatedAt, createdBy }
+ *
+ * Occurrences are materialized into delivery_schedule (via utils/delivery.js,
+ * the same builder POST /dispatch uses) by recurring-orders-materialize.js.
+ * Each generated delivery carries recurringOrderId + occurrenceDate, so
+ * re-running is idempotent and a dispatcher moving one occurrence to another
+ * date doesn't make it reappear. Sundays and days capacity.js marks closed
+ * are skipped.
+ *
+ * GET    /recurring-orders                 — list (filter: status)
+ * GET    /recurring-orders?id=xxx          — one series + its upcoming deliveries
+ * POST   /recurring-orders                 — create a series
+ * POST   /recurring-orders {action:"materialize", id?, from?, to?} — run materialization now
+ * PUT    /recurring-orders                 — update series fields (future occurrences only)
+ * PUT    /recurring-orders {id, action:"pause"|"resume"|"end"}
+ * PUT    /recurring-orders {id, action:"skip", date}   — skip one occurrence
+ * DELETE /recurring-orders?id=xxx          — end the series
+ *
+ * Pausing, ending and skipping cancel already-materialized occurrences that
+ * haven't started yet (UNASSIGNED / SCHEDULED, after today). Occurrences a
+ * pause cancelled are tagged cancelReason:"series_paused" and revived on
+ * resume (back on their truck, or UNASSIGNED) unless their date was skipped.
+ *
+ * Materialization, cancelling and reviving occurrences live in
+ * utils/recurring.js, shared with the scheduled function.
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { ObjectId } = require('mongodb');
+const { pickPricingInputs } = require('./utils/pricing');
+const { getChiDate, shiftDate, isValidDateStr } = require('./utils/dates');
+const {
+  ORDER_FIELDS,
+  normalizePattern,
+  describePattern,
+  cancelOccurrences,
+  reviveOccurrences,
+  materializeRecurringOrders
+} = require('./utils/recurring');
+const { resolveActor } = require('./utils/audit');
+
+function validateOrder(order) {
+  if (!order.customerName) return 'customerName required';
+  if (!order.materialName) return 'materialName required';
+  if (!(parseFloat(order.quantity) > 0)) return 'quantity must be greater than 0';
+  if (!isValidDateStr(order.startDate)) return 'startDate required (YYYY-MM-DD)';
+  if (order.endDate && !isValidDateStr(order.endDate)) return 'endDate must be YYYY-MM-DD';
+  if (order.endDate && order.endDate < order.startDate) return 'endDate is before startDate';
+  if (!order.pattern.daysOfWeek.length) return 'pattern.daysOfWeek needs at least one day Monday–Saturday (1–6)';
+  return null;
+}
+
+// ─── HTTP API ────────────────────────────────────────────────
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+
+  try {
+    const { db } = await connectToDatabase();
+    const orders = db.collection('recurring_orders');
+
+    // ─── GET ──────────────────────────────────────────────────
+    if (event.httpMethod === 'GET') {
+      const p = event.queryStringParameters || {};
+
+      if (p.id) {
+        const order = await orders.findOne({ _id: new ObjectId(p.id) });
+        if (!order) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+        const upcoming = await db.collection('delivery_schedule')
+          .find({ recurringOrderId: p.id, deliveryDate: { $gte: getChiDate(0) } })
+          .sort({ deliveryDate: 1 })
+          .toArray();
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, order, upcoming }) };
+      }
+
+      const query = p.status ? { status: p.status } : { status: { $ne: 'ended' } };
+      const list = await orders.find(query).sort({ customerName: 1 }).toArray();
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, orders: list }) };
+    }
+
+    // ─── POST — create series / run materialization ───────────
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body);
+
+      if (body.action === 'materialize') {
+        const summary = await materializeRecurringOrders(db, {
+          id: body.id, from: body.from, to: body.to, audit: resolveActor(event, body.updatedBy || 'dispatcher')
+        });
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, ...summary }) };
+      }
+
+      const order = {};
+      ORDER_FIELDS.forEach(f => { if (body[f] !== undefined) order[f] = body[f]; });
+      Object.assign(order, pickPricingInputs(body), {
+        source: body.source || 'Yard Sale',
+        quantity: parseFloat(body.quantity) || 0,
+        pattern: normalizePattern(body.pattern),
+        startDate: body.startDate,
+        endDate: body.endDate || null,
+        preferredTruckId: body.preferredTruckId || null,
+        preferredTruckNumber: body.preferredTruckNumber || null,
+        status: 'active',
+        skipDates: [],
+        lastMaterializedThrough: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        createdBy: body.createdBy || 'system'
+      });
+
+      const invalid = validateOrder(order);
+      if (invalid) return { statusCode: 400, headers, body: JSON.stringify({ error: invalid }) };
+
+      const result = await orders.insertOne(order);
+
+      // Fill the horizon right away so the board shows the first occurrences
+      const summary = await materializeRecurringOrders(db, { id: result.insertedId.toString(), audit: resolveActor(event, order.createdBy) });
+
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ success: true, id: result.insertedId, pattern: describePattern(order.pattern), created: summary.created })
+      };
+    }
+
+    // ─── PUT — update / pause / resume / skip / end ───────────
+    if (event.httpMethod === 'PUT') {
+      const body = JSON.parse(event.body);
+      const id = body.id || body._id;
+      if (!id) return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
+
+      const order = await orders.findOne({ _id: new ObjectId(id) });
+      if (!order) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+
+      const updatedBy = body.updatedBy || 'dispatcher';
+      const actor = resolveActor(event, updatedBy);
+      const tomorrow = getChiDate(1);
+
+      if (body.action === 'pause' || body.action === 'end') {
+        if (order.status === 'ended') {
+          return { statusCode: 409, headers, body: JSON.stringify({ error: 'Series already ended' }) };
+        }
+        const ending = body.action === 'end';
+        await orders.updateOne(
+          { _id: order._id },
+          { $set: ending
+            ? { status: 'ended', endedAt: new Date(), endDate: body.endDate || getChiDate(0), updatedAt: new Date() }
+            : { status: 'paused', pausedAt: new Date(), updatedAt: new Date() } }
+        );
+        const cancelled = await cancelOccurrences(
+          db,
+          { recurringOrderId: id, deliveryDate: { $gte: ending && body.endDate > tomorrow ? shiftDate(body.endDate, 1) : tomorrow } },
+          updatedBy,
+          `Recurring order ${ending ? 'ended' : 'paused'}`,
+          ending ? 'series_ended' : 'series_paused',
+          actor
+        );
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, status: ending ? 'ended' : 'paused', cancelled }) };
+      }
+
+      if (body.action === 'resume') {
+        if (order.status !== 'paused') {
+          return { statusCode: 409, headers, body: JSON.stringify({ error: `Cannot resume a ${order.status} series` }) };
+        }
+        await orders.updateOne({ _id: order._id }, { $set: { status: 'active', pausedAt: null, updatedAt: new Date() } });
+        const revived = await reviveOccurrences(db, order, updatedBy, actor);
+        const summary = await materializeRecurringOrders(db, { id, audit: actor });
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, status: 'active', revived, created: summary.created }) };
+      }
+
+      if (body.action === 'skip') {
+        if (!isValidDateStr(body.date)) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'date required (YYYY-MM-DD)' }) };
+        }
+        await orders.updateOne({ _id: order._id }, { $addToSet: { skipDates: body.date }, $set: { updatedAt: new Date() } });
+        const cancelled = await cancelOccurrences(
+          db,
+          { recurringOrderId: id, occurrenceDate: body.date },
+          updatedBy,
+          `Recurring occurrence ${body.date} skipped`,
+          'occurrence_skipped',
+          actor
+        );
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, skipped: body.date, cancelled }) };
+      }
+
+      // Field edits — apply to occurrences not yet materialized
+      const update = {};
+      ORDER_FIELDS.forEach(f => { if (body[f] !== undefined) update[f] = body[f]; });
+      Object.assign(update, pickPricingInputs(body));
+      if (body.quantity !== undefined) update.quantity = parseFloat(body.quantity) || 0;
+      if (body.pattern !== undefined) update.pattern = normalizePattern(body.pattern);
+      if (body.startDate !== undefined) update.startDate = body.startDate;
+      if (body.endDate !== undefined) update.endDate = body.endDate || null;
+      if (body.preferredTruckId !== undefined) update.preferredTruckId = body.preferredTruckId || null;
+      if (body.preferredTruckNumber !== undefined) update.preferredTruckNumber = body.preferredTruckNumber || null;
+
+      const invalid = validateOrder({ ...order, ...update });
+      if (invalid) return { statusCode: 400, headers, body: JSON.stringify({ error: invalid }) };
+
+      update.updatedAt = new Date();
+      const result = await orders.updateOne({ _id: order._id }, { $set: update });
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, modified: result.modifiedCount }) };
+    }
+
+    // ─── DELETE — end series ──────────────────────────────────
+    if (event.httpMethod === 'DELETE') {
+      const p = event.queryStringParameters || {};
+      if (!p.id) return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
+
+      const result = await orders.updateOne(
+        { _id: new ObjectId(p.id), status: { $ne: 'ended' } },
+        { $set: { status: 'ended', endedAt: new Date(), endDate: getChiDate(0), updatedAt: new Date() } }
+      );
+      const cancelled = result.modifiedCount
+        ? await cancelOccurrences(db, { recurringOrderId: p.id, deliveryDate: { $gte: getChiDate(1) } }, p.by || 'dispatcher', 'Recurring order ended', 'series_ended', resolveActor(event, p.by || 'dispatcher'))
+        : 0;
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, ended: result.modifiedCount, cancelled }) };
+    }
+
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  } catch (err) {
+    console.error('Recurring Orders API error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};
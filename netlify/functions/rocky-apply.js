@@ -4,15 +4,37 @@
  * POST /rocky-apply
  * Body: {
  *   date: "YYYY-MM-DD",
- *   assignments: [{ deliveryId, truckId, truckNumber, stopOrder, routeSource, driverId, driverName, timeWindow, reasoning }]
+ *   assignments: [{ deliveryId, truckId, truckNumber, stopOrder, routeSource, driverId, driverName, timeWindow, reasoning, expectedRevision? }],
+ *   allowOverCapacity?: true,
+ *   splitToCapacity?: true
  * }
  *
  * Writes all assignments to MongoDB — sets each delivery status to SCHEDULED.
+ * Deliveries whose current status can't move to SCHEDULED (e.g. already
+ * DELIVERED or CANCELLED) are skipped and reported in errors[].
  * Called by the dispatch board after dispatcher reviews and confirms Rocky's plan.
+ * Each applied assignment is audited (utils/audit.js) as app "rocky", with
+ * the confirming dispatcher as the actor.
+ *
+ * Each assignment is weighed against its truck (utils/trucks.js). Loads over
+ * capacity come back in capacityWarnings[], or in errors[] with
+ * conflict:"capacity" (not applied) when TRUCK_CAPACITY_POLICY=reject and
+ * allowOverCapacity isn't set. With splitToCapacity:true they are applied and
+ * then split into truck-sized loads on that truck, reported in splits[].
+ *
+ * A timeWindow label that isn't a time range is kept as text with no
+ * structured window and reported in windowWarnings[] (utils/timewindows.js).
  */
 
 const { connectToDatabase, headers, handleOptions } = require('./utils/db');
 const { ObjectId } = require('mongodb');
+const { validateTransition, statusGuard } = require('./utils/status');
+const { INVALID_REVISION, currentRevision, parseExpectedRevision, revisionFilter } = require('./utils/revision');
+const { resolveActor, diffChanges, recordAudit } = require('./utils/audit');
+const { windowFieldsFrom } = require('./utils/timewindows');
+const { emitWebhookEvent } = require('./utils/webhooks');
+const { capacityPolicy, findTruck, overCapacity, capacityMessage } = require('./utils/trucks');
+const { splitToCapacity } = require('./utils/groups');
 
 exports.handler = async (event) => {
   if (event.httpMethod === 'OPTIONS') return handleOptions();
@@ -31,43 +53,120 @@ exports.handler = async (event) => {
         body: JSON.stringify({ error: 'date and assignments[] required' })
       };
     }
+    const badRevision = assignments.find(a => Number.isNaN(parseExpectedRevision(a.expectedRevision)));
+    if (badRevision) {
+      return { statusCode: 400, headers, body: JSON.stringify({ ...INVALID_REVISION, deliveryId: badRevision.deliveryId }) };
+    }
 
     const { db } = await connectToDatabase();
     const now = new Date().toISOString();
 
     let applied = 0;
     const errors = [];
+    const capacityWarnings = [];
+    const windowWarnings = [];
+    const toSplit = [];
+    const trucks = new Map();   // truckId → truck doc, one lookup per truck
 
     for (const a of assignments) {
       try {
-        const result = await db.collection('delivery_schedule').updateOne(
-          { _id: new ObjectId(a.deliveryId) },
-          {
-            $set: {
-              truckId: a.truckId,
-              truckNumber: a.truckNumber,
-              stopOrder: a.stopOrder || 1,
-              status: 'SCHEDULED',
-              routeSource: a.routeSource || 'rocky',
-              driverId: a.driverId || null,
-              driverName: a.driverName || null,
-              timeWindow: a.timeWindow || null,
-              rockyReasoning: a.reasoning || null,
-              updatedAt: now,
-              updatedBy: 'rocky'
-            }
+        const current = await db.collection('delivery_schedule').findOne({ _id: new ObjectId(a.deliveryId) });
+        if (!current) {
+          errors.push({ deliveryId: a.deliveryId, error: 'Not found' });
+          continue;
+        }
+        const conflict = validateTransition(current.status, 'SCHEDULED');
+        if (conflict) {
+          errors.push({ deliveryId: a.deliveryId, ...conflict });
+          continue;
+        }
+
+        // Plan was built against an older copy — dispatcher edited it since
+        const expectedRevision = parseExpectedRevision(a.expectedRevision);
+        if (expectedRevision !== undefined && expectedRevision !== currentRevision(current)) {
+          errors.push({
+            deliveryId: a.deliveryId,
+            error: 'Delivery changed since plan was generated',
+            conflict: 'revision',
+            currentRevision: currentRevision(current)
+          });
+          continue;
+        }
+
+        if (!trucks.has(a.truckId)) trucks.set(a.truckId, await findTruck(db, a.truckId));
+        const capacity = overCapacity(current, trucks.get(a.truckId));
+        if (capacity && body.splitToCapacity !== true && capacityPolicy() === 'reject' && body.allowOverCapacity !== true) {
+          errors.push({ deliveryId: a.deliveryId, error: capacityMessage(capacity), conflict: 'capacity', capacity });
+          continue;
+        }
+
+        const filter = { _id: new ObjectId(a.deliveryId), status: statusGuard('SCHEDULED') };
+        if (expectedRevision !== undefined) filter.revision = revisionFilter(expectedRevision);
+
+        // Plans only carry a timeWindow when the dispatcher set one — keep the load's own window otherwise.
+        // A label that isn't a time range is still written, as text, and reported in windowWarnings[]
+        const window = a.timeWindow ? windowFieldsFrom({ timeWindow: a.timeWindow }) : { fields: {} };
+        const set = {
+          truckId: a.truckId,
+          truckNumber: a.truckNumber,
+          stopOrder: a.stopOrder || 1,
+          status: 'SCHEDULED',
+          routeSource: a.routeSource || 'rocky',
+          driverId: a.driverId || null,
+          driverName: a.driverName || null,
+          ...window.fields,
+          rockyReasoning: a.reasoning || null,
+          updatedAt: now,
+          updatedBy: 'rocky'
+        };
+        const result = await db.collection('delivery_schedule').updateOne(filter, { $set: set, $inc: { revision: 1 } });
+        if (result.matchedCount === 0) {
+          errors.push({ deliveryId: a.deliveryId, error: 'Delivery changed during apply' });
+        } else if (result.modifiedCount > 0) {
+          applied++;
+          if (window.warning) windowWarnings.push({ deliveryId: a.deliveryId, timeWindow: a.timeWindow, warning: window.warning });
+          await recordAudit(db, {
+            deliveryId: a.deliveryId,
+            action: 'rocky_apply',
+            revision: currentRevision(current) + 1,
+            changes: diffChanges(current, set),
+            actor: resolveActor(event, 'rocky').actor,
+            app: 'rocky'
+          });
+          if ((current.status || 'UNASSIGNED') !== 'SCHEDULED') {
+            await emitWebhookEvent(db, 'scheduled', { ...current, ...set, revision: currentRevision(current) + 1 },
+              { previousStatus: current.status || 'UNASSIGNED' });
           }
-        );
-        if (result.modifiedCount > 0) applied++;
+        }
+        if (capacity && result.matchedCount > 0) {
+          if (body.splitToCapacity === true) toSplit.push({ deliveryId: a.deliveryId, capacityTons: capacity.capacityTons });
+          else capacityWarnings.push({ deliveryId: a.deliveryId, ...capacity });
+        }
       } catch (e) {
         errors.push({ deliveryId: a.deliveryId, error: e.message });
       }
     }
 
+    // Split after every assignment is written so the stop shifts land on the final order
+    const splits = [];
+    for (const { deliveryId, capacityTons } of toSplit) {
+      try {
+        const fresh = await db.collection('delivery_schedule').findOne({ _id: new ObjectId(deliveryId) });
+        const split = await splitToCapacity(db, fresh, capacityTons, {
+          updatedBy: 'rocky',
+          audit: { actor: resolveActor(event, 'rocky').actor, app: 'rocky' }
+        });
+        if (split.error) errors.push({ deliveryId, error: split.error, conflict: 'capacity' });
+        else splits.push({ deliveryId, ...split });
+      } catch (e) {
+        errors.push({ deliveryId, error: e.message, conflict: 'capacity' });
+      }
+    }
+
     return {
       statusCode: 200,
       headers,
-      body: JSON.stringify({ success: true, applied, total: assignments.length, errors })
+      body: JSON.stringify({ success: true, applied, total: assignments.length, errors, capacityWarnings, windowWarnings, splits })
     };
 
   } catch (err) {
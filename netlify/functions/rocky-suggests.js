@@ -1,18 +1,46 @@
 /**
  * rocky-suggests.js — AI-Powered Auto-Dispatch
  *
- * GET /rocky-suggests?date=2026-02-19
+ * GET /rocky-suggests?date=2026-02-19&mode=rocky|planner
  *
  * 1. Fetches all UNASSIGNED deliveries for the given date
  * 2. Fetches all active trucks with capacities
  * 3. Calls Claude claude-sonnet-4-6 to produce an optimized assignment plan
  * 4. Returns the plan as JSON — no DB writes, caller decides to apply
+ *
+ * mode=planner (or ROCKY_SUGGEST_MODE=planner) skips Claude and returns the
+ * built-in planner's plan (utils/autodispatch.js) in the same shape. In rocky
+ * mode the planner is the fallback when Claude is unconfigured, errors, takes
+ * longer than ROCKY_TIMEOUT_MS (default 8000) or returns unparsable JSON —
+ * the response then has fallback:true and fallbackReason. ROCKY_TIMEOUT_MS
+ * must stay well below the function timeout (Netlify's synchronous default
+ * is 10 s; netlify.toml doesn't raise it), or a slow call ends in a 502
+ * before the fallback can run.
+ *
+ * `source` says which plan came back ("rocky" | "planner"). When Rocky's plan
+ * is returned, `comparison` scores it against the planner's for the same day
+ * ({ rocky, planner, better } — see scorePlan()). Planner plans also carry
+ * unassignedReasons[] and each assignment the truck's default driver.
  */
 
 const Anthropic = require('@anthropic-ai/sdk');
 const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { truckCapacity } = require('./utils/trucks');
+const { loadPlanningContext, planDay, comparePlans } = require('./utils/autodispatch');
 
 const YARD_ADDRESS = '18565 Main St, Conroe, TX 77385';
+const SUGGEST_MODES = ['rocky', 'planner'];
+const DEFAULT_ROCKY_TIMEOUT_MS = 8000;   // leaves the planner time inside the 10 s function limit
+
+function suggestMode(requested) {
+  const mode = requested || process.env.ROCKY_SUGGEST_MODE;
+  return SUGGEST_MODES.includes(mode) ? mode : 'rocky';
+}
+
+function rockyTimeoutMs() {
+  const ms = parseInt(process.env.ROCKY_TIMEOUT_MS, 10);
+  return ms > 0 ? ms : DEFAULT_ROCKY_TIMEOUT_MS;
+}
 
 exports.handler = async (event) => {
   if (event.httpMethod === 'OPTIONS') return handleOptions();
@@ -25,14 +53,14 @@ exports.handler = async (event) => {
     return { statusCode: 400, headers, body: JSON.stringify({ error: 'date param required (YYYY-MM-DD)' }) };
   }
 
+  const mode = suggestMode(p.mode);
+
   try {
     const { db } = await connectToDatabase();
 
-    // ─── Fetch UNASSIGNED deliveries for the date ──
-    const deliveries = await db.collection('delivery_schedule').find({
-      deliveryDate: p.date,
-      status: 'UNASSIGNED'
-    }).toArray();
+    // ─── Fetch UNASSIGNED deliveries + active trucks ──
+    const ctx = await loadPlanningContext(db, p.date);
+    const { deliveries, trucks } = ctx;
 
     if (!deliveries.length) {
       return {
@@ -42,9 +70,6 @@ exports.handler = async (event) => {
       };
     }
 
-    // ─── Fetch active trucks ───────────────────────
-    const trucks = await db.collection('trucks').find({ active: { $ne: false } }).toArray();
-
     if (!trucks.length) {
       return {
         statusCode: 200,
@@ -53,6 +78,30 @@ exports.handler = async (event) => {
       };
     }
 
+    // ─── Built-in planner (mode, fallback and yardstick) ──
+    const planned = planDay(ctx);
+    const plannerResponse = extra => ({
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        success: true,
+        date: p.date,
+        source: 'planner',
+        deliveryCount: deliveries.length,
+        truckCount: trucks.length,
+        assignments: planned.assignments,
+        unassigned: planned.unassigned,
+        unassignedReasons: planned.unassignedReasons,
+        summary: planned.summary,
+        ...extra
+      })
+    });
+
+    if (mode === 'planner') return plannerResponse({});
+    if (!process.env.ANTHROPIC_API_KEY) {
+      return plannerResponse({ fallback: true, fallbackReason: 'ANTHROPIC_API_KEY is not configured' });
+    }
+
     // ─── Build prompt context ──────────────────────
     const deliveryList = deliveries.map((d, i) => ({
       index: i + 1,
@@ -68,7 +117,7 @@ exports.handler = async (event) => {
       id: t._id.toString(),
       truckNumber: t.truckNumber,
       type: t.type || 'End Dump',
-      capacityTons: t.capacity || 24,
+      capacityTons: truckCapacity(t),
       driver: t.defaultDriver?.name || 'Unassigned'
     }));
 
@@ -123,13 +172,19 @@ Respond with ONLY a valid JSON object in this exact format, no markdown, no expl
 }`;
 
     // ─── Call Claude ────────────────────────────────
-    const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY });
+    const client = new Anthropic({ apiKey: process.env.ANTHROPIC_API_KEY, timeout: rockyTimeoutMs(), maxRetries: 0 });
 
-    const message = await client.messages.create({
-      model: 'claude-sonnet-4-6',
-      max_tokens: 2048,
-      messages: [{ role: 'user', content: prompt }]
-    });
+    let message;
+    try {
+      message = await client.messages.create({
+        model: 'claude-sonnet-4-6',
+        max_tokens: 2048,
+        messages: [{ role: 'user', content: prompt }]
+      });
+    } catch (apiErr) {
+      console.error('Rocky API error, using planner:', apiErr.message);
+      return plannerResponse({ fallback: true, fallbackReason: `Rocky unavailable: ${apiErr.message}` });
+    }
 
     const raw = message.content[0]?.text || '';
 
@@ -140,17 +195,17 @@ Respond with ONLY a valid JSON object in this exact format, no markdown, no expl
     } catch (parseErr) {
       // Try to extract JSON from the response if Claude added any surrounding text
       const match = raw.match(/\{[\s\S]*\}/);
-      if (match) {
-        plan = JSON.parse(match[0]);
-      } else {
-        console.error('Rocky parse error. Raw response:', raw);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ error: 'Failed to parse Claude response', raw })
-        };
+      try {
+        plan = JSON.parse(match ? match[0] : raw);
+      } catch (e) {
+        console.error('Rocky parse error, using planner. Raw response:', raw);
+        return plannerResponse({ fallback: true, fallbackReason: 'Failed to parse Rocky\'s response' });
       }
     }
+    if (!plan || !Array.isArray(plan.assignments)) {
+      console.error('Rocky returned no assignments[], using planner. Raw response:', raw);
+      return plannerResponse({ fallback: true, fallbackReason: 'Rocky\'s response had no assignments' });
+    }
 
     return {
       statusCode: 200,
@@ -158,11 +213,13 @@ Respond with ONLY a valid JSON object in this exact format, no markdown, no expl
       body: JSON.stringify({
         success: true,
         date: p.date,
+        source: 'rocky',
         deliveryCount: deliveries.length,
         truckCount: trucks.length,
-        assignments: plan.assignments || [],
+        assignments: plan.assignments,
         unassigned: plan.unassigned || [],
         summary: plan.summary || '',
+        comparison: comparePlans(ctx, plan.assignments, planned.assignments),
         usage: {
           inputTokens: message.usage?.input_tokens,
           outputTokens: message.usage?.output_tokens
@@ -0,0 +1,81 @@
+/**
+ * apikeys.js — Per-integration API keys for server-to-server endpoints
+ *
+ * Collection: api_keys
+ *   { name, keyPrefix, keyHash, scopes: ["intake"], sources: ["Texas Got Rocks"],
+ *     active, lastUsedAt, createdAt, createdBy, revokedAt, revokedBy }
+ *
+ * Keys look like rr_<8-char prefix>_<secret>. Only the SHA-256 hash is
+ * stored; the full key is returned once when issued (api-keys.js). Callers
+ * send it as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * `sources` limits which order sources the integration may create (empty =
+ * any); the first one is its default.
+ *
+ * Admin endpoints (api-keys.js, webhooks.js) take the shared
+ * `X-Admin-Token: <ADMIN_API_TOKEN>` instead — isAdmin().
+ */
+
+const { createHash, randomBytes, timingSafeEqual } = require('crypto');
+
+const API_KEY_SCOPES = ['intake'];
+
+function hashApiKey(key) {
+  return createHash('sha256').update(String(key)).digest('hex');
+}
+
+function generateApiKey() {
+  const keyPrefix = randomBytes(4).toString('hex');
+  const key = `rr_${keyPrefix}_${randomBytes(24).toString('base64url')}`;
+  return { key, keyPrefix, keyHash: hashApiKey(key) };
+}
+
+// Header names arrive lower-cased from Netlify, but don't rely on it
+function headerValue(event, name) {
+  const h = event.headers || {};
+  const found = Object.keys(h).find(k => k.toLowerCase() === name);
+  return found ? h[found] : null;
+}
+
+// Does the request carry ADMIN_API_TOKEN? Always false while it is unset
+function isAdmin(event) {
+  const expected = process.env.ADMIN_API_TOKEN;
+  const given = headerValue(event, 'x-admin-token');
+  if (!expected || !given) return false;
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+function readApiKey(event) {
+  const auth = headerValue(event, 'authorization');
+  if (auth && /^Bearer\s+/i.test(auth)) return auth.replace(/^Bearer\s+/i, '').trim();
+  return headerValue(event, 'x-api-key');
+}
+
+let indexesEnsured = false;
+
+/**
+ * Resolve the calling integration. Returns { integration } or
+ * { status: 401 | 403, error }.
+ */
+async function authenticate(db, event, scope) {
+  const key = readApiKey(event);
+  if (!key) return { status: 401, error: 'API key required (Authorization: Bearer <key>)' };
+
+  const col = db.collection('api_keys');
+  if (!indexesEnsured) {
+    await col.createIndex({ keyHash: 1 }, { unique: true });
+    indexesEnsured = true;
+  }
+  const integration = await col.findOne({ keyHash: hashApiKey(key) });
+  if (!integration || !integration.active) return { status: 401, error: 'Invalid or revoked API key' };
+  if (scope && !(integration.scopes || []).includes(scope)) {
+    return { status: 403, error: `This key is not allowed to use ${scope}` };
+  }
+
+  col.updateOne({ _id: integration._id }, { $set: { lastUsedAt: new Date() } })
+    .catch(err => console.error('[apikeys] lastUsedAt error:', err));
+  return { integration };
+}
+
+module.exports = { API_KEY_SCOPES, hashApiKey, generateApiKey, headerValue, isAdmin, authenticate };
@@ -0,0 +1,117 @@
+/**
+ * audit.js — Field-level change log for deliveries
+ *
+ * Collection: delivery_audit — one row per write that changed something
+ *   { deliveryId, action, revision, changes: [{ field, before, after }], actor, app, at }
+ *   action: "create", "update" (single edit / restore / split), or the
+ *   board or app action that made the write — "rocky_apply", "finalize",
+ *   "resequence", "rain_day", "fail", "reschedule_failed", "cancel",
+ *   "driver_status", "notify" (notification flags), "group_reschedule",
+ *   "group_reassign", "recurring_cancel", "recurring_resume"
+ *
+ * statusHistory keeps the lifecycle story; this keeps who changed which
+ * field from what to what. The acting user comes from the
+ * X-RockRunner-User header (the name the board / driver app logged in with
+ * via rr-auth.js), falling back to the body's updatedBy / createdBy. The
+ * app comes from X-RockRunner-App, or the writer's default.
+ */
+
+const { headerValue } = require('./apikeys');
+
+const AUDIT_APPS = ['board', 'driver_app', 'rocky', 'intake_api', 'import', 'system'];
+
+// Bookkeeping that changes on every write and says nothing about the order
+const AUDIT_IGNORED_FIELDS = ['updatedAt', 'updatedBy', 'revision', 'searchKeys', 'inventoryReservation', 'statusHistory', 'pricing'];
+
+let indexesEnsured = false;
+async function ensureAuditIndexes(db) {
+  if (indexesEnsured) return;
+  const col = db.collection('delivery_audit');
+  await Promise.all([
+    col.createIndex({ deliveryId: 1, at: 1 }),
+    col.createIndex({ at: -1 })
+  ]);
+  indexesEnsured = true;
+}
+
+/**
+ * Who is making this request, and from where. fallbackActor is the body's
+ * updatedBy / createdBy; defaultApp is used when the caller doesn't say.
+ */
+function resolveActor(event, fallbackActor, defaultApp = 'system') {
+  const user = headerValue(event, 'x-rockrunner-user');
+  const app = headerValue(event, 'x-rockrunner-app');
+  return {
+    actor: (user && String(user).trim()) || fallbackActor || 'system',
+    app: AUDIT_APPS.includes(app) ? app : defaultApp
+  };
+}
+
+function normalize(value) {
+  if (value === undefined) return null;
+  if (value instanceof Date) return value.toISOString();
+  return value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(normalize(a)) === JSON.stringify(normalize(b));
+}
+
+/**
+ * Field changes a $set makes to `before`. The computed pricing object is
+ * reduced to its total so a price change reads as one line.
+ */
+function diffChanges(before, set) {
+  const changes = [];
+  Object.keys(set).forEach(field => {
+    if (AUDIT_IGNORED_FIELDS.includes(field)) return;
+    if (!sameValue(before[field], set[field])) {
+      changes.push({ field, before: normalize(before[field]), after: normalize(set[field]) });
+    }
+  });
+  if (set.pricing !== undefined) {
+    const was = before.pricing ? before.pricing.total : null;
+    const now = set.pricing ? set.pricing.total : null;
+    if (!sameValue(was, now)) changes.push({ field: 'pricing.total', before: normalize(was), after: normalize(now) });
+  }
+  return changes;
+}
+
+function auditRow({ deliveryId, action = 'update', revision = null, changes = [], actor, app, at }) {
+  return {
+    deliveryId: String(deliveryId),
+    action,
+    revision,
+    changes,
+    actor: actor || 'system',
+    app: app || 'system',
+    at: at || new Date()
+  };
+}
+
+/**
+ * Write audit rows in one insert — bulk writes (rain day, resequence, group
+ * moves) pass one entry per delivery. Updates with no field changes are
+ * skipped. Errors are logged, not thrown — the edit itself already succeeded.
+ * Returns the rows written.
+ */
+async function recordAudits(db, entries) {
+  const rows = entries.map(auditRow).filter(r => r.action === 'create' || r.changes.length);
+  if (!rows.length) return [];
+  try {
+    await ensureAuditIndexes(db);
+    await db.collection('delivery_audit').insertMany(rows);
+    return rows;
+  } catch (err) {
+    console.error('[audit] record error:', err);
+    return [];
+  }
+}
+
+// Write one audit row (recordAudits rules). Returns it, or null when skipped.
+async function recordAudit(db, entry) {
+  const [row] = await recordAudits(db, [entry]);
+  return row || null;
+}
+
+module.exports = { AUDIT_APPS, resolveActor, diffChanges, recordAudit, recordAudits };
@@ -0,0 +1,311 @@
+/**
+ * autodispatch.js — Built-in auto-dispatch planner (no AI call)
+ *
+ * planDay() produces the same { assignments, unassigned, summary } plan as
+ * Rocky (rocky-suggests.js) from the day's UNASSIGNED loads and active
+ * trucks, deterministically:
+ *
+ *   1. Loads with a time window go first (earliest windowEnd first), then
+ *      flexible loads heaviest first.
+ *   2. Each load is tried on every truck it fits (utils/trucks.js capacity,
+ *      DELIVERIES_PER_TRUCK trips a day) at every position in that truck's
+ *      trips. A position is feasible when every trip still arrives inside its
+ *      window and the truck is back by DAY_END.
+ *   3. The cheapest feasible slot wins: minutes it adds to the truck's day
+ *      (none when it fills a gap before a windowed trip), half the truck's
+ *      resulting finish time so work spreads across the fleet, and a
+ *      penalty for unused payload so small loads go to small trucks.
+ *
+ * Every trip is a round trip from the yard (same model as Rocky's prompt and
+ * utils/timewindows.js checkTruckDay). Round-trip minutes come from the
+ * load's estimatedRoundTripMin, else straight-line distance from the yard,
+ * else DEFAULT_ROUND_TRIP_MIN. Loads already on a truck that day keep their
+ * trips; new trips start when the truck is back from the last of them.
+ *
+ * scorePlan() runs the same simulation over any plan (Rocky's included) and
+ * returns its constraint violations plus a `penalty` (lower is better), so
+ * comparePlans() can say which of two plans is better.
+ */
+
+const { overCapacity, truckCapacity } = require('./trucks');
+const { DEFAULT_ROUND_TRIP_MIN, DAY_START, toMinutes, fromMinutes, checkTruckDay } = require('./timewindows');
+const { DELIVERIES_PER_TRUCK } = require('./capacity');
+
+const YARD = { lat: 30.3119, lng: -95.4561 };   // Conroe yard — same origin notify.js uses for ETAs
+const ROAD_FACTOR = 1.3;      // road miles per straight-line mile
+const AVG_MPH = 35;           // loaded dump truck, mixed roads
+const SITE_MIN = 20;          // loading at the yard + dumping on site
+const DAY_END = '18:00';      // every truck back by then
+
+const SLACK_MIN_PER_TON = 5;  // planner: unused payload costs as much as 5 min of truck time per ton
+const BALANCE_WEIGHT = 0.5;   // planner: per minute of the truck's finish time
+
+// scorePlan() penalty weights (minutes-equivalent)
+const PENALTY = {
+  unassigned: 240,
+  lateStop: 120,       // plus every minute late
+  overCapacity: 300,
+  overTrip: 120,       // each trip past DELIVERIES_PER_TRUCK
+  invalid: 300         // unknown / duplicate / non-UNASSIGNED delivery, unknown truck
+};
+
+// Trucks already busy that day — their trips count toward the limit and the clock
+const BOOKED_STATUSES = ['SCHEDULED', 'LOADED', 'EN_ROUTE', 'DELIVERED', 'FAILED'];
+
+const round5 = n => Math.round(n / 5) * 5;
+
+function milesBetween(a, b) {
+  const rad = x => (x * Math.PI) / 180;
+  const dLat = rad(b.lat - a.lat);
+  const dLng = rad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(rad(a.lat)) * Math.cos(rad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 3958.8 * 2 * Math.asin(Math.sqrt(h));
+}
+
+function estimateRoundTripMin(delivery) {
+  if (delivery.estimatedRoundTripMin) return delivery.estimatedRoundTripMin;
+  const lat = parseFloat(delivery.deliveryLat);
+  const lng = parseFloat(delivery.deliveryLng);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return DEFAULT_ROUND_TRIP_MIN;
+  const roadMiles = milesBetween(YARD, { lat, lng }) * ROAD_FACTOR;
+  return Math.max(30, round5((2 * roadMiles / AVG_MPH) * 60 + SITE_MIN));
+}
+
+const truckSort = (a, b) => String(a.truckNumber || '').localeCompare(String(b.truckNumber || ''), undefined, { numeric: true }) ||
+  a._id.toString().localeCompare(b._id.toString());
+
+/**
+ * Everything a plan is built / scored against for one date:
+ * { date, deliveries (UNASSIGNED), trucks (active, by truckNumber), booked (already on a truck) }
+ */
+async function loadPlanningContext(db, date) {
+  const [deliveries, trucks, booked] = await Promise.all([
+    db.collection('delivery_schedule').find({ deliveryDate: date, status: 'UNASSIGNED' }).toArray(),
+    db.collection('trucks').find({ active: { $ne: false } }).toArray(),
+    db.collection('delivery_schedule').find({
+      deliveryDate: date,
+      status: { $in: BOOKED_STATUSES },
+      truckId: { $nin: [null, ''] }
+    }).toArray()
+  ]);
+  return { date, deliveries, trucks: trucks.sort(truckSort), booked };
+}
+
+// Per truck: trips already booked and when it is free for a new one (minutes)
+function truckDays(ctx) {
+  return ctx.trucks.map(truck => {
+    const id = truck._id.toString();
+    const booked = ctx.booked
+      .filter(d => String(d.truckId) === id)
+      .map(d => ({ ...d, estimatedRoundTripMin: estimateRoundTripMin(d) }));
+    const { stops } = checkTruckDay(booked);
+    const readyAt = stops.length ? toMinutes(stops[stops.length - 1].back) : toMinutes(DAY_START);
+    return { truck, id, capacityTons: truckCapacity(truck), bookedTrips: booked.length, readyAt };
+  });
+}
+
+/**
+ * Run a truck's new trips in order from readyAt. Same rules as
+ * checkTruckDay: out and back in halves, waiting on site for an early window.
+ */
+function simulate(readyAt, loads) {
+  let clock = readyAt;
+  let lateStops = 0;
+  let lateMin = 0;
+  const stops = loads.map(d => {
+    const roundTrip = estimateRoundTripMin(d);
+    const depart = clock;
+    let arrive = depart + Math.round(roundTrip / 2);
+    const start = toMinutes(d.windowStart);
+    const end = toMinutes(d.windowEnd);
+    if (start !== null && arrive < start) arrive = start;
+    const late = end !== null && arrive > end ? arrive - end : 0;
+    if (late) {
+      lateStops++;
+      lateMin += late;
+    }
+    clock = arrive + (roundTrip - Math.round(roundTrip / 2));
+    return { delivery: d, depart, arrive, back: clock, roundTrip, late };
+  });
+  return { stops, finish: clock, lateStops, lateMin };
+}
+
+// Windowed loads by deadline, then flexible loads heaviest first; _id breaks ties
+function planningOrder(deliveries) {
+  const deadline = d => toMinutes(d.windowEnd) ?? Infinity;
+  return [...deliveries].sort((a, b) =>
+    deadline(a) - deadline(b) ||
+    (toMinutes(a.windowStart) ?? 0) - (toMinutes(b.windowStart) ?? 0) ||
+    (parseFloat(b.quantity) || 0) - (parseFloat(a.quantity) || 0) ||
+    a._id.toString().localeCompare(b._id.toString())
+  );
+}
+
+const UNASSIGNED_REASONS = {
+  over_capacity: 'Heavier than every truck — split it into a multi-load group first',
+  no_trips_left: `Every truck that can carry it already has ${DELIVERIES_PER_TRUCK} trips`,
+  window: 'No truck can reach it inside its time window',
+  day_full: `No truck can fit the trip in before ${DAY_END}`
+};
+
+/**
+ * Build a plan for ctx (loadPlanningContext). Returns
+ * { assignments, unassigned, unassignedReasons, summary }.
+ */
+function planDay(ctx) {
+  const days = truckDays(ctx);
+  const trips = new Map(days.map(day => [day.id, []]));
+  const dayEnd = toMinutes(DAY_END);
+  const unassignedReasons = [];
+
+  for (const d of planningOrder(ctx.deliveries)) {
+    let best = null;
+    let reason = 'over_capacity';
+    for (const day of days) {
+      if (overCapacity(d, day.truck)) continue;
+      const planned = trips.get(day.id);
+      if (day.bookedTrips + planned.length >= DELIVERIES_PER_TRUCK) {
+        if (reason === 'over_capacity') reason = 'no_trips_left';
+        continue;
+      }
+      const finishNow = simulate(day.readyAt, planned).finish;
+      for (let pos = 0; pos <= planned.length; pos++) {
+        const sequence = [...planned.slice(0, pos), d, ...planned.slice(pos)];
+        const sim = simulate(day.readyAt, sequence);
+        if (sim.lateStops) {
+          if (reason !== 'day_full') reason = 'window';
+          continue;
+        }
+        if (sim.finish > dayEnd) {
+          reason = 'day_full';
+          continue;
+        }
+        const weighed = !d.isSpecialty && (d.unit || 'tons') === 'tons';
+        const slackTons = weighed ? day.capacityTons - (parseFloat(d.quantity) || 0) : 0;
+        const cost = (sim.finish - finishNow) + BALANCE_WEIGHT * sim.finish + SLACK_MIN_PER_TON * Math.max(0, slackTons);
+        if (!best || cost < best.cost) best = { day, pos, cost };
+      }
+    }
+    if (best) {
+      trips.get(best.day.id).splice(best.pos, 0, d);
+    } else {
+      unassignedReasons.push({ deliveryId: d._id.toString(), reason, message: UNASSIGNED_REASONS[reason] });
+    }
+  }
+
+  const assignments = [];
+  for (const day of days) {
+    const { stops } = simulate(day.readyAt, trips.get(day.id));
+    stops.forEach((s, i) => {
+      const d = s.delivery;
+      const window = d.windowStart && d.windowEnd ? ` inside its ${d.windowStart}–${d.windowEnd} window` : '';
+      assignments.push({
+        deliveryId: d._id.toString(),
+        truckId: day.id,
+        truckNumber: day.truck.truckNumber,
+        stopOrder: day.bookedTrips + i + 1,
+        driverId: day.truck.defaultDriver?.id || null,
+        driverName: day.truck.defaultDriver?.name || null,
+        reasoning: `Trip ${day.bookedTrips + i + 1} on ${day.capacityTons}t truck, on site about ${fromMinutes(s.arrive)}${window} (${s.roundTrip} min round trip)`
+      });
+    });
+  }
+
+  const unassigned = unassignedReasons.map(u => u.deliveryId);
+  return { assignments, unassigned, unassignedReasons, summary: summarize(ctx, assignments, unassignedReasons) };
+}
+
+function summarize(ctx, assignments, unassignedReasons) {
+  const byId = new Map(ctx.deliveries.map(d => [d._id.toString(), d]));
+  const tons = assignments.reduce((s, a) => s + (parseFloat(byId.get(a.deliveryId)?.quantity) || 0), 0);
+  const truckCount = new Set(assignments.map(a => a.truckId)).size;
+  let text = `Built-in planner assigned ${assignments.length} of ${ctx.deliveries.length} deliveries ` +
+    `(${Math.round(tons * 10) / 10} tons) across ${truckCount} truck${truckCount === 1 ? '' : 's'}, ` +
+    'time-windowed loads first, small loads kept off big trucks where the day allows.';
+  if (unassignedReasons.length) {
+    const counts = {};
+    unassignedReasons.forEach(u => { counts[u.reason] = (counts[u.reason] || 0) + 1; });
+    text += ` ${unassignedReasons.length} left unassigned: ` +
+      Object.entries(counts).map(([reason, n]) => `${n} ${reason.replace(/_/g, ' ')}`).join(', ') + '.';
+  }
+  return text;
+}
+
+/**
+ * Score any plan's assignments against ctx. Trips run in stopOrder after the
+ * truck's booked loads. Returns violation counts and `penalty` (PENALTY
+ * weights + minutes late / past DAY_END); 0 means every load assigned and
+ * every constraint met.
+ */
+function scorePlan(ctx, assignments = []) {
+  const deliveries = new Map(ctx.deliveries.map(d => [d._id.toString(), d]));
+  const days = new Map(truckDays(ctx).map(day => [day.id, day]));
+  const seen = new Set();
+  const perTruck = new Map();
+  let invalid = 0;
+
+  for (const a of assignments) {
+    const id = String(a.deliveryId);
+    const truckId = String(a.truckId);
+    if (!deliveries.has(id) || seen.has(id) || !days.has(truckId)) {
+      invalid++;
+      continue;
+    }
+    seen.add(id);
+    if (!perTruck.has(truckId)) perTruck.set(truckId, []);
+    perTruck.get(truckId).push({ stopOrder: parseInt(a.stopOrder, 10) || 999, delivery: deliveries.get(id) });
+  }
+
+  const dayEnd = toMinutes(DAY_END);
+  const result = { assigned: seen.size, unassigned: deliveries.size - seen.size, unassignedTons: 0, lateStops: 0, lateMin: 0, overCapacity: 0, overTrips: 0, overtimeMin: 0, invalid, trucksUsed: perTruck.size, roundTripMin: 0, latestBack: null };
+  let latest = null;
+
+  for (const [truckId, planned] of perTruck) {
+    const day = days.get(truckId);
+    const loads = planned.sort((a, b) => a.stopOrder - b.stopOrder).map(p => p.delivery);
+    const sim = simulate(day.readyAt, loads);
+    result.lateStops += sim.lateStops;
+    result.lateMin += sim.lateMin;
+    result.overCapacity += loads.filter(d => overCapacity(d, day.truck)).length;
+    result.overTrips += Math.max(0, day.bookedTrips + loads.length - DELIVERIES_PER_TRUCK);
+    result.overtimeMin += Math.max(0, sim.finish - dayEnd);
+    result.roundTripMin += sim.stops.reduce((s, stop) => s + stop.roundTrip, 0);
+    if (latest === null || sim.finish > latest) latest = sim.finish;
+  }
+  for (const [id, d] of deliveries) {
+    if (!seen.has(id)) result.unassignedTons += parseFloat(d.quantity) || 0;
+  }
+  result.unassignedTons = Math.round(result.unassignedTons * 10) / 10;
+  result.latestBack = latest === null ? null : fromMinutes(latest);
+  result.penalty = result.unassigned * PENALTY.unassigned +
+    result.lateStops * PENALTY.lateStop + result.lateMin +
+    result.overCapacity * PENALTY.overCapacity +
+    result.overTrips * PENALTY.overTrip +
+    result.overtimeMin +
+    result.invalid * PENALTY.invalid;
+  return result;
+}
+
+/**
+ * Score two plans side by side. Lower penalty wins; equal penalties go to
+ * the plan whose last truck is back earlier.
+ */
+function comparePlans(ctx, rockyAssignments, plannerAssignments) {
+  const rocky = scorePlan(ctx, rockyAssignments);
+  const planner = scorePlan(ctx, plannerAssignments);
+  let better = 'tie';
+  if (rocky.penalty !== planner.penalty) {
+    better = rocky.penalty < planner.penalty ? 'rocky' : 'planner';
+  } else if (rocky.latestBack !== planner.latestBack && rocky.latestBack && planner.latestBack) {
+    better = rocky.latestBack < planner.latestBack ? 'rocky' : 'planner';
+  }
+  return { rocky, planner, better };
+}
+
+module.exports = {
+  estimateRoundTripMin,
+  loadPlanningContext,
+  planDay,
+  scorePlan,
+  comparePlans
+};
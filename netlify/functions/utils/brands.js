@@ -0,0 +1,84 @@
+/**
+ * brands.js — Brand configuration + Brevo email sender
+ *
+ * Orders go out under the Texas Got Rocks or T & C Materials brand, picked
+ * from the delivery's source (getBrand). Shared by notify.js, invoices.js,
+ * ar-aging.js and utils/payments.js.
+ *
+ * Environment Variables:
+ *   BREVO_API_KEY          — Brevo API key
+ *   BREVO_SENDER_EMAIL     — default From email (default: info@texasgotrocks.com)
+ *   BREVO_SENDER_NAME      — default From name (default: Texas Got Rocks)
+ */
+
+const BREVO_API_KEY = process.env.BREVO_API_KEY;
+const SENDER_EMAIL = process.env.BREVO_SENDER_EMAIL || 'info@texasgotrocks.com';
+const SENDER_NAME = process.env.BREVO_SENDER_NAME || 'Texas Got Rocks';
+
+// ─── Brand Configuration ─────────────────────────────
+const BRANDS = {
+  tgr: {
+    name: 'Texas Got Rocks',
+    smsSender: 'TXGotRocks',
+    emailFrom: { name: 'Texas Got Rocks', email: 'info@texasgotrocks.com' },
+    phone: '(936) 259-2887',
+    phoneRaw: '9362592887',
+    tagline: 'Always FREE Delivery',
+    trustpilotEnabled: true,
+    trustpilotLink: 'https://www.trustpilot.com/review/texasgotrocks.com',
+    trustpilotInviteEmail: 'texasgotrocks.com+621d4324d2@invite.trustpilot.com',
+    headerColor: '#001F3F',
+    accentColor: '#C65D2A',
+    invoicePrefix: 'TGR'
+  },
+  tc: {
+    name: 'T & C Materials',
+    smsSender: 'TCMaterials',
+    emailFrom: { name: 'T & C Materials', email: 'info@tcmaterialsllc.com' },
+    phone: '(936) 279-2959',
+    phoneRaw: '9362792959',
+    tagline: 'Quality Materials Delivered',
+    trustpilotEnabled: false,
+    trustpilotLink: null,
+    trustpilotInviteEmail: null,
+    headerColor: '#001F3F',
+    accentColor: '#C65D2A',
+    invoicePrefix: 'TC'
+  }
+};
+
+function getBrand(delivery) {
+  const channel = (delivery.source || '').toLowerCase();
+  if (channel.includes('yard') || channel.includes('t&c') || channel.includes('t & c') || channel.includes('tc material')) {
+    return BRANDS.tc;
+  }
+  return BRANDS.tgr;
+}
+
+// ─── Email via Brevo ─────────────────────────────────
+// attachments: [{ name, content (base64) }]
+async function sendEmail(to, toName, subject, htmlContent, fromConfig = null, attachments = null) {
+  if (!to) return { success: false, reason: 'No email address' };
+
+  try {
+    const response = await fetch('https://api.brevo.com/v3/smtp/email', {
+      method: 'POST',
+      headers: { 'api-key': BREVO_API_KEY, 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        sender: fromConfig || { name: SENDER_NAME, email: SENDER_EMAIL },
+        to: [{ email: to, name: toName || '' }],
+        subject,
+        htmlContent,
+        ...(attachments?.length ? { attachment: attachments } : {})
+      })
+    });
+    const result = await response.json();
+    console.log(`[Email] ${to}: ${response.ok ? 'sent' : 'failed'}`, result);
+    return { success: response.ok, email: to, result };
+  } catch (err) {
+    console.error('[Email] Error:', err.message);
+    return { success: false, email: to, error: err.message };
+  }
+}
+
+module.exports = { BRANDS, getBrand, sendEmail };
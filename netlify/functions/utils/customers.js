@@ -0,0 +1,209 @@
+/**
+ * customers.js — Customer records shared by dispatch and the customers API
+ *
+ * Collection: customers
+ *   { name, phone, email, phoneNormalized, emailNormalized, company, notes,
+ *     sites: [{ siteId, label, deliveryAddress, deliveryCity, deliveryState,
+ *               deliveryZip, deliveryLat, deliveryLng, notes, lastUsedAt }],
+ *     active, lastOrderAt, createdAt, updatedAt, createdBy }
+ *
+ * Customers are matched by phone (last 10 digits) first, then email
+ * (case-insensitive). Both normalized keys are unique when present.
+ * Deliveries keep their copied name / phone / address fields and gain a
+ * `customerId` link.
+ */
+
+const { ObjectId } = require('mongodb');
+const { randomUUID } = require('crypto');
+
+const SITE_FIELDS = ['deliveryAddress', 'deliveryCity', 'deliveryState', 'deliveryZip', 'deliveryLat', 'deliveryLng'];
+
+// ─── Normalization ───────────────────────────────────────────
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 10) return null;
+  return digits.slice(-10);
+}
+
+function normalizeEmail(email) {
+  const e = String(email || '').trim().toLowerCase();
+  return e.includes('@') ? e : null;
+}
+
+// Same street + ZIP = same site, regardless of case / punctuation
+function siteKey(site) {
+  const street = String(site.deliveryAddress || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (!street) return null;
+  return `${street}|${String(site.deliveryZip || '').trim()}`;
+}
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+async function ensureCustomerIndexes(db) {
+  const col = db.collection('customers');
+  await Promise.all([
+    col.createIndex({ phoneNormalized: 1 }, { unique: true, partialFilterExpression: { phoneNormalized: { $type: 'string' } } }),
+    col.createIndex({ emailNormalized: 1 }, { unique: true, partialFilterExpression: { emailNormalized: { $type: 'string' } } }),
+    col.createIndex({ name: 1 })
+  ]);
+}
+
+function buildSite(input, label) {
+  const site = { siteId: randomUUID(), label: input.label || label || input.deliveryAddress || '' };
+  SITE_FIELDS.forEach(f => { site[f] = input[f] != null ? input[f] : null; });
+  if (!site.deliveryState) site.deliveryState = 'TX';
+  site.notes = input.notes || input.siteNotes || '';
+  site.lastUsedAt = new Date();
+  return site;
+}
+
+// ─── Lookup ──────────────────────────────────────────────────
+async function findCustomerByContact(db, phone, email) {
+  const col = db.collection('customers');
+  const p = normalizePhone(phone);
+  if (p) {
+    const byPhone = await col.findOne({ phoneNormalized: p });
+    if (byPhone) return byPhone;
+  }
+  const e = normalizeEmail(email);
+  if (e) return col.findOne({ emailNormalized: e });
+  return null;
+}
+
+/**
+ * Remember a delivery address on the customer (or bump lastUsedAt on the
+ * matching saved site). Returns the siteId.
+ */
+async function rememberSite(db, customer, input) {
+  const key = siteKey(input);
+  if (!key) return null;
+  const existing = (customer.sites || []).find(s => siteKey(s) === key);
+  const col = db.collection('customers');
+  if (existing) {
+    await col.updateOne(
+      { _id: customer._id, 'sites.siteId': existing.siteId },
+      { $set: { 'sites.$.lastUsedAt': new Date() } }
+    );
+    return existing.siteId;
+  }
+  const site = buildSite(input);
+  await col.updateOne({ _id: customer._id }, { $push: { sites: site } });
+  return site.siteId;
+}
+
+/**
+ * Resolve the customer for a new order (POST /dispatch body).
+ *   body.customerId — use that record
+ *   otherwise match by phone, then email; create one when neither matches.
+ * Orders with no phone or email are not linked (nothing reliable to match on).
+ * body.siteId fills empty address fields from a saved site.
+ * Returns { customerId, created } or null. Mutates body (customerId / address).
+ */
+async function matchOrCreateCustomer(db, body) {
+  const col = db.collection('customers');
+  let customer = null;
+
+  if (body.customerId && ObjectId.isValid(String(body.customerId))) {
+    customer = await col.findOne({ _id: new ObjectId(String(body.customerId)) });
+  }
+  if (!customer) customer = await findCustomerByContact(db, body.customerPhone, body.customerEmail);
+
+  let created = false;
+  if (!customer) {
+    const phoneNormalized = normalizePhone(body.customerPhone);
+    const emailNormalized = normalizeEmail(body.customerEmail);
+    if (!phoneNormalized && !emailNormalized) return null;
+    if (!body.customerName) return null;
+
+    await ensureCustomerIndexes(db);
+    const doc = {
+      name: body.customerName,
+      phone: body.customerPhone || '',
+      email: body.customerEmail || '',
+      phoneNormalized,
+      emailNormalized,
+      company: body.company || '',
+      notes: '',
+      sites: [],
+      active: true,
+      lastOrderAt: new Date(),
+      createdAt: new Date(),
+      updatedAt: new Date(),
+      createdBy: body.createdBy || 'system'
+    };
+    try {
+      const result = await col.insertOne(doc);
+      customer = { ...doc, _id: result.insertedId };
+      created = true;
+    } catch (err) {
+      // Lost a race with a concurrent order for the same contact
+      if (err.code !== 11000) throw err;
+      customer = await findCustomerByContact(db, body.customerPhone, body.customerEmail);
+      if (!customer) throw err;
+    }
+  }
+
+  // Saved site → fill the address the dispatcher left blank
+  if (body.siteId) {
+    const site = (customer.sites || []).find(s => s.siteId === body.siteId);
+    if (site) SITE_FIELDS.forEach(f => { if (!body[f] && site[f] != null) body[f] = site[f]; });
+  }
+
+  if (!created) {
+    // Fill contact details the record is missing; never overwrite what's on file
+    const fill = { lastOrderAt: new Date(), updatedAt: new Date() };
+    if (!customer.phoneNormalized && normalizePhone(body.customerPhone)) {
+      fill.phone = body.customerPhone;
+      fill.phoneNormalized = normalizePhone(body.customerPhone);
+    }
+    if (!customer.emailNormalized && normalizeEmail(body.customerEmail)) {
+      fill.email = body.customerEmail;
+      fill.emailNormalized = normalizeEmail(body.customerEmail);
+    }
+    try {
+      await col.updateOne({ _id: customer._id }, { $set: fill });
+    } catch (err) {
+      // Contact already belongs to another customer — keep this one as-is
+      if (err.code !== 11000) throw err;
+      await col.updateOne({ _id: customer._id }, { $set: { lastOrderAt: fill.lastOrderAt, updatedAt: fill.updatedAt } });
+    }
+  }
+
+  await rememberSite(db, customer, body);
+  body.customerId = customer._id.toString();
+  return { customerId: body.customerId, created };
+}
+
+/**
+ * delivery_schedule query for a customer's history: linked deliveries, plus
+ * older ones (before customer records existed) whose phone or email match.
+ */
+function historyQuery(customer) {
+  const or = [{ customerId: customer._id.toString() }];
+  const legacy = [];
+  if (customer.phoneNormalized) {
+    // Stored phones are free-form — match the 10 digits with anything between
+    const pattern = customer.phoneNormalized.split('').join('\\D*');
+    legacy.push({ customerPhone: { $regex: `^\\D*(1\\D*)?${pattern}\\D*$` } });
+  }
+  if (customer.emailNormalized) {
+    legacy.push({ customerEmail: { $regex: `^\\s*${escapeRegex(customer.emailNormalized)}\\s*$`, $options: 'i' } });
+  }
+  if (legacy.length) or.push({ customerId: null, $or: legacy });
+  return { $or: or };
+}
+
+module.exports = {
+  SITE_FIELDS,
+  normalizePhone,
+  normalizeEmail,
+  siteKey,
+  escapeRegex,
+  ensureCustomerIndexes,
+  buildSite,
+  findCustomerByContact,
+  matchOrCreateCustomer,
+  historyQuery
+};
@@ -0,0 +1,69 @@
+/**
+ * dates.js — Date-string helpers
+ *
+ * Delivery dates are stored as "YYYY-MM-DD" strings in America/Chicago.
+ * Arithmetic is done at noon UTC so DST changes never shift the day.
+ */
+
+// Today (offset 0), tomorrow (1), ... in America/Chicago
+function getChiDate(offset = 0) {
+  const chi = new Date(new Date().toLocaleString('en-US', { timeZone: 'America/Chicago' }));
+  if (offset) chi.setDate(chi.getDate() + offset);
+  const pad = n => String(n).padStart(2, '0');
+  return `${chi.getFullYear()}-${pad(chi.getMonth() + 1)}-${pad(chi.getDate())}`;
+}
+
+function shiftDate(dateStr, days) {
+  const d = new Date(dateStr + 'T12:00:00Z');
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+function daysBetween(fromStr, toStr) {
+  return Math.round((Date.parse(toStr + 'T12:00:00Z') - Date.parse(fromStr + 'T12:00:00Z')) / 86400000);
+}
+
+// 0 = Sunday … 6 = Saturday
+function dayOfWeek(dateStr) {
+  return new Date(dateStr + 'T12:00:00Z').getUTCDay();
+}
+
+// YYYY-MM-DD naming a real day — Date.parse rolls 2026-02-31 over to March, so round-trip it
+function isValidDateStr(dateStr) {
+  if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+  const d = new Date(dateStr + 'T12:00:00Z');
+  return !isNaN(d) && d.toISOString().slice(0, 10) === dateStr;
+}
+
+// Timestamp → "YYYY-MM-DD HH:mm" in America/Chicago (exports, reports)
+function formatChiDateTime(value) {
+  if (!value) return '';
+  const d = new Date(value);
+  if (isNaN(d)) return '';
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: 'America/Chicago', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(d).map(p => [p.type, p.value]));
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+}
+
+// Timestamp → { date: "YYYY-MM-DD", minutes: minutes past midnight } in America/Chicago
+function chiClock(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  if (isNaN(d)) return null;
+  const [date, time] = formatChiDateTime(d).split(' ');
+  const [h, m] = time.split(':').map(Number);
+  return { date, minutes: h * 60 + m };
+}
+
+// "YYYY-MM-DD" + "HH:MM" on the America/Chicago wall clock → Date
+function chiTimeToDate(dateStr, hhmm) {
+  const [h, m] = hhmm.split(':').map(Number);
+  const guess = new Date(`${dateStr}T${hhmm}:00Z`);
+  const shown = chiClock(guess);
+  const offsetMin = daysBetween(dateStr, shown.date) * 1440 + shown.minutes - (h * 60 + m);
+  return new Date(guess.getTime() - offsetMin * 60000);
+}
+
+module.exports = { getChiDate, shiftDate, daysBetween, dayOfWeek, isValidDateStr, formatChiDateTime, chiClock, chiTimeToDate };
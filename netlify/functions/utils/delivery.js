@@ -0,0 +1,131 @@
+/**
+ * delivery.js — delivery_schedule document builder
+ *
+ * The one place that turns a create request into a delivery document, so
+ * POST /dispatch and server-side creators (recurring orders, imports, intake)
+ * all write the same shape. Pricing is computed here too (utils/pricing.js),
+ * and the stock hold (`inventoryReservation`, utils/inventory.js) and
+ * search keys (utils/search.js) are attached.
+ */
+
+const { pickPricingInputs, computePricing } = require('./pricing');
+const { reservationFor } = require('./inventory');
+const { searchKeysFor } = require('./search');
+const { windowFieldsFrom } = require('./timewindows');
+
+// Order sources (the `source` field) in the order the office reconciles them
+const ORDER_SOURCES = ['Texas Got Rocks', 'T&C Materials', 'Yard Sale'];
+
+/**
+ * Build a new delivery document from a POST /dispatch-style body.
+ * options.historyNote — first statusHistory note (default "Order created")
+ */
+async function buildDelivery(db, body, options = {}) {
+  // A label the caller already let through that isn't a parseable range stays as text
+  const window = windowFieldsFrom(body).fields || {};
+  const delivery = {
+    // Order info
+    source: body.source || 'Yard Sale',         // "Texas Got Rocks", "Yard Sale", "T&C Materials"
+    orderId: body.orderId || null,               // TGR order ID or null for yard sales
+    poNumber: body.poNumber || null,             // contractor PO
+    
+    // Customer
+    customerName: body.customerName,
+    customerPhone: body.customerPhone || '',
+    customerEmail: body.customerEmail || '',
+    customerId: body.customerId || null,         // customers._id (utils/customers.js)
+    
+    // Delivery address
+    deliveryAddress: body.deliveryAddress || '',
+    deliveryCity: body.deliveryCity || '',
+    deliveryState: body.deliveryState || 'TX',
+    deliveryZip: body.deliveryZip || '',
+    deliveryLat: body.deliveryLat || null,
+    deliveryLng: body.deliveryLng || null,
+    
+    // Material
+    productId: body.productId || null,
+    materialName: body.materialName,
+    quantity: parseFloat(body.quantity) || 0,     // tons
+    unit: body.unit || 'tons',
+
+    // Pricing inputs (specialty item, material price, delivery rate, tax exemption)
+    ...pickPricingInputs(body),
+    
+    // Scheduling
+    deliveryDate: body.deliveryDate,              // "2026-02-13" (requested or selected)
+    timeWindow: body.timeWindow || null,          // "10:00 AM - 12:00 PM" (set by dispatcher)
+    hour: body.hour || null,                      // 10 (numeric hour, for calendar slot)
+    windowStart: null,                            // "10:00" (America/Chicago — utils/timewindows.js)
+    windowEnd: null,                              // "12:00"
+    ...window,
+    
+    // Assignment (set by dispatcher)
+    truckId: body.truckId || null,
+    truckNumber: body.truckNumber || null,
+    driverId: body.driverId || null,
+    driverName: body.driverName || null,
+    stopOrder: body.stopOrder || null,            // 1, 2, 3... (position in truck route)
+    
+    // Status lifecycle
+    status: body.truckId ? 'SCHEDULED' : 'UNASSIGNED',
+    
+    // Timestamps
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    scheduledAt: body.truckId ? new Date() : null,
+    enRouteAt: null,
+    deliveredAt: null,
+    cancelledAt: null,
+    
+    // Pickup source (driver's starting point for this delivery)
+    sourceName: body.sourceName || null,
+    sourceAddress: body.sourceAddress || null,
+
+    // Multi-load fulfillment (null on single-load orders)
+    fulfillmentGroupId: body.fulfillmentGroupId || null,
+    loadNumber: body.loadNumber || 1,
+    totalLoads: body.totalLoads || 1,
+    totalTons: body.totalTons || (parseFloat(body.quantity) || 0),
+    scheduledStartTime: body.scheduledStartTime || null,
+    estimatedRoundTripMin: body.estimatedRoundTripMin || null,
+
+    // Load ticket (set when the driver marks LOADED at the pickup source)
+    loadedAt: null,
+    loadedFrom: null,
+    scaleTicketNumber: null,
+    actualTons: null,                             // net tons off the scale ticket
+    ticketPhoto: null,
+
+    // Proof of delivery
+    deliveryPhoto: null,
+    proofPhotos: [],
+    deliveryNotes: body.deliveryNotes || '',
+    
+    // Notifications
+    scheduleSmsSent: false,
+    scheduleEmailSent: false,
+    enRouteSmsSent: false,
+    enRouteEmailSent: false,
+    deliveredSmsSent: false,
+    deliveredEmailSent: false,
+    
+    // Audit trail
+    statusHistory: [{
+      status: body.truckId ? 'SCHEDULED' : 'UNASSIGNED',
+      timestamp: new Date(),
+      updatedBy: body.createdBy || 'system',
+      notes: options.historyNote || 'Order created'
+    }],
+    paid: body.paid != null ? body.paid : null,
+    revision: 1,                                  // bumped on every edit (optimistic concurrency)
+    createdBy: body.createdBy || 'system'
+  };
+
+  delivery.pricing = await computePricing(db, delivery);
+  delivery.inventoryReservation = await reservationFor(db, delivery);
+  delivery.searchKeys = searchKeysFor(delivery);
+  return delivery;
+}
+
+module.exports = { ORDER_SOURCES, buildDelivery };
@@ -0,0 +1,226 @@
+/**
+ * groups.js — Multi-load fulfillment groups
+ *
+ * Loads created by POST /dispatch {action:"multi_load"} share a
+ * fulfillmentGroupId. loadNumber / totalLoads / totalTons are derived from
+ * the group's live loads and rewritten by renumberGroup() whenever loads are
+ * added, removed or cancelled.
+ *
+ * Live = not cancelled, and not a FAILED load that already has a follow-up
+ * (the follow-up carries its load number instead).
+ *
+ * splitToCapacity() turns one load that is too heavy for its truck into
+ * truck-sized loads of a group (utils/trucks.js, dispatch.js, rocky-apply.js).
+ */
+
+const { randomUUID } = require('crypto');
+const { deliveredTons, reservationFor } = require('./inventory');
+const { PRICING_INPUT_FIELDS, computePricing } = require('./pricing');
+const { buildDelivery } = require('./delivery');
+const { currentRevision, revisionFilter } = require('./revision');
+const { emitWebhookEvent } = require('./webhooks');
+const { fireDriverNotify } = require('./notifications');
+const { recordAudit } = require('./audit');
+const { DEFAULT_ROUND_TRIP_MIN, DAY_START } = require('./timewindows');
+const { chiTimeToDate } = require('./dates');
+const { calculateLoads } = require('../calculate-loads');
+
+// Fields a new load inherits from the order
+const GROUP_TEMPLATE_FIELDS = [
+  'source', 'orderId', 'customerId', 'customerName', 'customerPhone', 'customerEmail',
+  'deliveryAddress', 'deliveryCity', 'deliveryState', 'deliveryZip', 'deliveryLat', 'deliveryLng',
+  'productId', 'materialName', 'unit', 'timeWindow', 'hour', 'windowStart', 'windowEnd', 'sourceName', 'sourceAddress',
+  'poNumber', 'deliveryNotes', 'estimatedRoundTripMin', 'paid',
+  'truckId', 'truckNumber', 'driverId', 'driverName'
+];
+
+const round = n => Math.round(n * 100) / 100;
+
+function isLive(load) {
+  if (load.status === 'CANCELLED') return false;
+  if (load.status === 'FAILED' && load.failure?.followUpDeliveryId) return false;
+  return true;
+}
+
+// Existing load order first, then date / start time for ties and new loads
+function sortLoads(loads) {
+  return [...loads].sort((a, b) =>
+    (a.loadNumber || 999) - (b.loadNumber || 999) ||
+    (a.deliveryDate || '').localeCompare(b.deliveryDate || '') ||
+    String(a.scheduledStartTime || '').localeCompare(String(b.scheduledStartTime || '')) ||
+    new Date(a.createdAt || 0) - new Date(b.createdAt || 0)
+  );
+}
+
+async function groupLoads(db, groupId) {
+  const loads = await db.collection('delivery_schedule').find({ fulfillmentGroupId: groupId }).toArray();
+  return sortLoads(loads);
+}
+
+/**
+ * Progress for a group — delivered tons are scale-ticket tons where the
+ * driver captured them, so the customer sees what actually arrived.
+ */
+function summarizeGroup(groupId, loads) {
+  const live = loads.filter(isLive);
+  const delivered = live.filter(l => l.status === 'DELIVERED');
+  const totalTons = round(live.reduce((s, l) => s + (parseFloat(l.quantity) || 0), 0));
+  const doneTons = round(delivered.reduce((s, l) => s + deliveredTons(l), 0));
+  const remainingTons = round(live.filter(l => l.status !== 'DELIVERED').reduce((s, l) => s + (parseFloat(l.quantity) || 0), 0));
+  const first = loads[0] || {};
+
+  return {
+    fulfillmentGroupId: groupId,
+    customerName: first.customerName || null,
+    materialName: first.materialName || null,
+    totalLoads: live.length,
+    deliveredLoads: delivered.length,
+    openLoads: live.length - delivered.length,
+    cancelledLoads: loads.filter(l => l.status === 'CANCELLED').length,
+    totalTons,
+    deliveredTons: doneTons,
+    remainingTons,
+    percentComplete: totalTons ? Math.min(100, Math.round((doneTons / totalTons) * 100)) : 0,
+    dates: [...new Set(live.map(l => l.deliveryDate).filter(Boolean))].sort(),
+    loads: loads.map(l => ({
+      _id: l._id,
+      loadNumber: l.loadNumber,
+      status: l.status,
+      deliveryDate: l.deliveryDate,
+      quantity: l.quantity,
+      actualTons: l.actualTons || null,
+      truckNumber: l.truckNumber || null,
+      driverName: l.driverName || null,
+      scheduledStartTime: l.scheduledStartTime || null,
+      live: isLive(l)
+    }))
+  };
+}
+
+/**
+ * Rewrite loadNumber / totalLoads / totalTons across the live loads.
+ * Only documents whose numbers actually change are touched (and revision-bumped).
+ * Returns the fresh summary.
+ */
+async function renumberGroup(db, groupId) {
+  const deliveries = db.collection('delivery_schedule');
+  const loads = await groupLoads(db, groupId);
+  const live = loads.filter(isLive);
+  const totalTons = round(live.reduce((s, l) => s + (parseFloat(l.quantity) || 0), 0));
+
+  const ops = [];
+  live.forEach((l, i) => {
+    const next = { loadNumber: i + 1, totalLoads: live.length, totalTons };
+    if (l.loadNumber === next.loadNumber && l.totalLoads === next.totalLoads && l.totalTons === next.totalTons) return;
+    Object.assign(l, next);
+    ops.push({
+      updateOne: {
+        filter: { _id: l._id },
+        update: { $set: { ...next, updatedAt: new Date() }, $inc: { revision: 1 } }
+      }
+    });
+  });
+  if (ops.length) await deliveries.bulkWrite(ops, { ordered: false });
+
+  return summarizeGroup(groupId, loads);
+}
+
+/**
+ * Split an open load into capacityTons-sized loads on the same truck and
+ * date. The load itself keeps the first share (re-priced, hold retaken);
+ * the rest are new loads placed right after it in the truck's stop order,
+ * each starting one round trip after the last. Joins the load's existing
+ * group or starts one, then renumbers it.
+ * audit: { actor, app } for the delivery_audit rows.
+ * Returns { fulfillmentGroupId, loads: [{ deliveryId, quantity, stopOrder, scheduledStartTime }], group }
+ * or { error } when the load changed underneath us.
+ */
+async function splitToCapacity(db, delivery, capacityTons, { updatedBy = 'system', audit = {} } = {}) {
+  const deliveries = db.collection('delivery_schedule');
+  const { loads } = calculateLoads(parseFloat(delivery.quantity) || 0, capacityTons);
+  const groupId = delivery.fulfillmentGroupId || randomUUID();
+  const roundTripMin = delivery.estimatedRoundTripMin || DEFAULT_ROUND_TRIP_MIN;
+  const firstStart = delivery.scheduledStartTime
+    ? new Date(delivery.scheduledStartTime)
+    : chiTimeToDate(delivery.deliveryDate, delivery.windowStart || DAY_START);
+  const startAt = i => new Date(firstStart.getTime() + i * roundTripMin * 60000).toISOString();
+  const now = new Date();
+
+  const first = { ...delivery, quantity: loads[0].quantity, fulfillmentGroupId: groupId, scheduledStartTime: startAt(0) };
+  const set = {
+    quantity: first.quantity,
+    fulfillmentGroupId: groupId,
+    loadNumber: delivery.loadNumber || 1,
+    scheduledStartTime: first.scheduledStartTime,
+    estimatedRoundTripMin: roundTripMin,
+    pricing: await computePricing(db, first),
+    inventoryReservation: await reservationFor(db, first),
+    updatedAt: now
+  };
+  const note = `Split into ${loads.length} loads of up to ${capacityTons}t for truck ${delivery.truckNumber || delivery.truckId}`;
+  const result = await deliveries.updateOne(
+    { _id: delivery._id, revision: revisionFilter(currentRevision(delivery)) },
+    {
+      $set: set,
+      $inc: { revision: 1 },
+      $push: { statusHistory: { status: 'SPLIT', timestamp: now, updatedBy, notes: note } }
+    }
+  );
+  if (result.matchedCount === 0) return { error: 'Delivery changed during split — reload and try again' };
+  await recordAudit(db, {
+    deliveryId: delivery._id,
+    revision: currentRevision(delivery) + 1,
+    changes: [
+      { field: 'quantity', before: delivery.quantity, after: set.quantity },
+      { field: 'fulfillmentGroupId', before: delivery.fulfillmentGroupId || null, after: groupId }
+    ],
+    at: now,
+    ...audit
+  });
+
+  // Make room in the truck's stop order right after this load
+  const extra = loads.length - 1;
+  if (delivery.truckId && delivery.stopOrder) {
+    await deliveries.updateMany(
+      { truckId: delivery.truckId, deliveryDate: delivery.deliveryDate, stopOrder: { $gt: delivery.stopOrder }, _id: { $ne: delivery._id } },
+      { $inc: { stopOrder: extra, revision: 1 }, $set: { updatedAt: now } }
+    );
+  }
+
+  const template = {};
+  [...GROUP_TEMPLATE_FIELDS, ...PRICING_INPUT_FIELDS].forEach(f => { if (delivery[f] !== undefined) template[f] = delivery[f]; });
+  const docs = [];
+  for (const [i, load] of loads.slice(1).entries()) {
+    docs.push(await buildDelivery(db, {
+      ...template,
+      quantity: load.quantity,
+      deliveryDate: delivery.deliveryDate,
+      scheduledStartTime: startAt(i + 1),
+      estimatedRoundTripMin: roundTripMin,
+      stopOrder: delivery.stopOrder ? delivery.stopOrder + i + 1 : null,
+      fulfillmentGroupId: groupId,
+      loadNumber: set.loadNumber,    // ties sort by start time, so they follow the original
+      createdBy: updatedBy
+    }, { historyNote: note }));
+  }
+  await deliveries.insertMany(docs);
+  for (const doc of docs) {
+    await recordAudit(db, { deliveryId: doc._id, action: 'create', revision: doc.revision, at: now, ...audit });
+    if (doc.truckId) fireDriverNotify(doc.truckId, doc._id.toString(), doc.customerName, doc.deliveryDate, 'LOAD_ADDED');
+  }
+  await emitWebhookEvent(db, 'created', docs, { splitFromId: delivery._id.toString() });
+
+  const group = await renumberGroup(db, groupId);
+  return {
+    fulfillmentGroupId: groupId,
+    loads: [{ ...first, _id: delivery._id }, ...docs].map(d => ({
+      deliveryId: d._id.toString(),
+      quantity: d.quantity,
+      stopOrder: d.stopOrder || null,
+      scheduledStartTime: d.scheduledStartTime
+    })),
+    group
+  };
+}
+
+module.exports = { GROUP_TEMPLATE_FIELDS, isLive, groupLoads, summarizeGroup, renumberGroup, splitToCapacity };
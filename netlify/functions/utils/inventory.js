@@ -0,0 +1,306 @@
+/**
+ * inventory.js — Stock movements driven by delivery status
+ *
+ * Deduction happens exactly once per delivery: the first DELIVERED write
+ * claims `inventoryDeduction` on the delivery document (atomic filter on
+ * `inventoryDeduction: null`), so retried PUTs from the driver app are no-ops.
+ * Reverting, cancelling or correcting the quantity of a delivered load
+ * reads that record back, restores / adjusts stock, and writes a
+ * compensating inventory_audit entry.
+ *
+ * TGR inventory is deducted at payment (square-webhook.js), so TGR loads
+ * never claim a deduction here.
+ *
+ * Reservations: an open (not yet delivered) load holds its tons against the
+ * product via `inventoryReservation` on the delivery. Reserved stock is the
+ * sum of holds on deliveries still in RESERVING_STATUSES, so a hold stops
+ * counting the moment its load is delivered, failed or cancelled — clearing
+ * the field is bookkeeping, not what releases the stock.
+ *   free = on hand − reserved
+ * INVENTORY_OVERSELL_POLICY = "warn" (default) | "reject" decides whether a
+ * create / edit that would push free stock negative is saved with a warning
+ * or refused with 409.
+ */
+
+const { ObjectId } = require('mongodb');
+
+const RESERVING_STATUSES = ['UNASSIGNED', 'SCHEDULED', 'LOADED', 'EN_ROUTE'];
+
+// Legacy fix: delivery.productId was stored as a MongoDB ObjectId string instead of
+// the slug-style product ID (e.g. "5-8-black-star"). Detect and resolve via products collection,
+// then fall back to materialName in inventory.
+async function resolveInventoryProductId(db, delivery) {
+  let resolvedProductId = delivery.productId;
+
+  if (resolvedProductId && /^[0-9a-f]{24}$/i.test(resolvedProductId)) {
+    const productDoc = await db.collection('products').findOne({ _id: new ObjectId(resolvedProductId) });
+    if (productDoc?.id) {
+      resolvedProductId = productDoc.id;
+    } else {
+      console.warn(`[inventory] ${delivery._id}: ObjectId productId ${resolvedProductId} not found in products — falling back to materialName`);
+      resolvedProductId = null;
+    }
+  }
+
+  if (!resolvedProductId && delivery.materialName) {
+    const invRecord = await db.collection('inventory').findOne({
+      $or: [
+        { productName: delivery.materialName },
+        { name: delivery.materialName }
+      ]
+    });
+    if (invRecord) resolvedProductId = invRecord.productId;
+  }
+
+  return resolvedProductId || null;
+}
+
+// Tons actually hauled — scale-ticket net tons when captured, else the ordered quantity
+function deliveredTons(delivery) {
+  const actual = parseFloat(delivery.actualTons);
+  return actual > 0 ? actual : (parseFloat(delivery.quantity) || 0);
+}
+
+// Tons to take out of stock for this load (scale ticket beats ordered quantity)
+function deductionQuantity(delivery) {
+  return deliveredTons(delivery);
+}
+
+// Map source to a distinct audit action type
+function auditActionFor(source) {
+  return source === 'T&C Materials' ? 'tc_delivery' : 'yard_delivery';
+}
+
+// Deduct both fields for cross-system compatibility (TGR + YTP)
+async function incStock(db, productId, delta) {
+  await db.collection('inventory').updateOne(
+    { productId },
+    {
+      $inc: { quantity: delta, currentStock: delta },
+      $set: { updatedAt: new Date() }
+    }
+  );
+}
+
+// Write to inventory_audit — shows in Command Center transaction history
+function writeAudit(db, entry) {
+  db.collection('inventory_audit').insertOne({
+    recordedBy: 'rockrunner',
+    timestamp:  new Date(),
+    ...entry
+  }).catch(err => console.error('[inventory] Audit write failed:', err));
+}
+
+/**
+ * Deduct stock for a delivered load — once. Returns the deduction record,
+ * or null when nothing was (or needed to be) deducted.
+ */
+async function depleteForDelivery(db, deliveryId) {
+  const deliveries = db.collection('delivery_schedule');
+  const delivery = await deliveries.findOne({ _id: new ObjectId(deliveryId) });
+  if (!delivery || delivery.inventoryDeduction) return null;
+
+  const deliverySource = delivery.source || 'Yard Sale';
+  if (deliverySource === 'Texas Got Rocks') return null;
+
+  const productId = await resolveInventoryProductId(db, delivery);
+  if (!productId) {
+    console.error(`[inventory] DELIVERED ${deliveryId}: could not resolve productId for "${delivery.materialName}". Inventory NOT deducted.`);
+    return null;
+  }
+
+  const deduction = {
+    productId,
+    productName: delivery.materialName || productId,
+    quantity:    deductionQuantity(delivery),
+    source:      deliverySource,
+    auditAction: auditActionFor(deliverySource),
+    deductedAt:  new Date()
+  };
+
+  // Claim the deduction atomically — a concurrent / retried DELIVERED loses here
+  const claim = await deliveries.updateOne(
+    { _id: delivery._id, inventoryDeduction: null },
+    { $set: { inventoryDeduction: deduction } }
+  );
+  if (claim.modifiedCount === 0) return null;
+
+  await incStock(db, productId, -deduction.quantity);
+
+  writeAudit(db, {
+    productId,
+    productName:  deduction.productName,
+    action:       deduction.auditAction,
+    qty:          -deduction.quantity,
+    source:       deliverySource,
+    reference:    delivery.orderNumber || null,
+    deliveryId:   delivery._id.toString(),
+    customerName: delivery.customerName || null,
+    notes:        `${deliverySource} delivery — ${delivery.customerName || 'Customer'}`
+  });
+
+  return deduction;
+}
+
+/**
+ * Put stock back for a delivered load that was reverted or cancelled.
+ * Returns the restored deduction record, or null if none was held.
+ */
+async function restoreForDelivery(db, deliveryId, reason) {
+  const deliveries = db.collection('delivery_schedule');
+
+  // Release the claim first so two reverts can't both restore
+  const before = await deliveries.findOneAndUpdate(
+    { _id: new ObjectId(deliveryId), inventoryDeduction: { $ne: null } },
+    { $set: { inventoryDeduction: null } },
+    { returnDocument: 'before' }
+  );
+  if (!before) return null;
+
+  const deduction = before.inventoryDeduction;
+  await incStock(db, deduction.productId, deduction.quantity);
+
+  writeAudit(db, {
+    productId:    deduction.productId,
+    productName:  deduction.productName,
+    action:       `${deduction.auditAction}_reversal`,
+    qty:          deduction.quantity,
+    source:       deduction.source,
+    reference:    before.orderNumber || null,
+    deliveryId:   before._id.toString(),
+    customerName: before.customerName || null,
+    notes:        `${deduction.source} delivery reversed — ${reason || 'status changed'}`
+  });
+
+  return deduction;
+}
+
+/**
+ * Quantity or scale-ticket tons corrected on a load that is already deducted —
+ * move stock by the difference. Returns the tons adjusted (negative = more
+ * taken out), or 0.
+ */
+async function adjustForDelivery(db, deliveryId, newQuantity, updatedBy) {
+  const deliveries = db.collection('delivery_schedule');
+  const delivery = await deliveries.findOne({ _id: new ObjectId(deliveryId) });
+  const deduction = delivery?.inventoryDeduction;
+  if (!deduction) return 0;
+
+  const qty = parseFloat(newQuantity) || 0;
+  const delta = parseFloat((qty - deduction.quantity).toFixed(2));
+  if (!delta) return 0;
+
+  const claim = await deliveries.updateOne(
+    { _id: delivery._id, 'inventoryDeduction.quantity': deduction.quantity },
+    { $set: { 'inventoryDeduction.quantity': qty, 'inventoryDeduction.correctedAt': new Date() } }
+  );
+  if (claim.modifiedCount === 0) return 0;
+
+  await incStock(db, deduction.productId, -delta);
+
+  writeAudit(db, {
+    productId:    deduction.productId,
+    productName:  deduction.productName,
+    action:       `${deduction.auditAction}_correction`,
+    qty:          -delta,
+    source:       deduction.source,
+    reference:    delivery.orderNumber || null,
+    deliveryId:   delivery._id.toString(),
+    customerName: delivery.customerName || null,
+    notes:        `Quantity corrected ${deduction.quantity} → ${qty} tons by ${updatedBy || 'system'}`
+  });
+
+  return -delta;
+}
+
+// ─── Reservations ────────────────────────────────────────────
+
+function oversellPolicy() {
+  return process.env.INVENTORY_OVERSELL_POLICY === 'reject' ? 'reject' : 'warn';
+}
+
+/**
+ * The hold an open delivery should carry, or null when the load isn't
+ * tracked here (TGR, unknown product, nothing ordered).
+ */
+async function reservationFor(db, delivery) {
+  if ((delivery.source || 'Yard Sale') === 'Texas Got Rocks') return null;
+  const quantity = parseFloat(delivery.quantity) || 0;
+  if (quantity <= 0) return null;
+  const productId = await resolveInventoryProductId(db, delivery);
+  if (!productId) return null;
+  return {
+    productId,
+    productName: delivery.materialName || productId,
+    quantity,
+    reservedAt: new Date()
+  };
+}
+
+// Tons held per product by open deliveries — { productId: { reserved, openDeliveries } }
+async function reservedByProduct(db, match = {}) {
+  const rows = await db.collection('delivery_schedule').aggregate([
+    { $match: { ...match, status: { $in: RESERVING_STATUSES }, inventoryReservation: { $ne: null } } },
+    { $group: {
+      _id: '$inventoryReservation.productId',
+      reserved: { $sum: '$inventoryReservation.quantity' },
+      openDeliveries: { $sum: 1 }
+    } }
+  ]).toArray();
+  const out = {};
+  rows.forEach(r => { out[r._id] = { reserved: r.reserved, openDeliveries: r.openDeliveries }; });
+  return out;
+}
+
+function onHandOf(invRecord) {
+  if (!invRecord) return 0;
+  return parseFloat(invRecord.currentStock != null ? invRecord.currentStock : invRecord.quantity) || 0;
+}
+
+/**
+ * Would `reservation` push the product's free stock negative? Holds already
+ * on `excludeDeliveryId` (the delivery being edited) don't count against it.
+ * Returns { productId, productName, onHand, reserved, free, requested, shortfall }.
+ */
+async function checkReservation(db, reservation, excludeDeliveryId = null) {
+  const match = { 'inventoryReservation.productId': reservation.productId };
+  if (excludeDeliveryId) match._id = { $ne: new ObjectId(excludeDeliveryId) };
+  const [invRecord, held] = await Promise.all([
+    db.collection('inventory').findOne({ productId: reservation.productId }),
+    reservedByProduct(db, match)
+  ]);
+  const onHand = onHandOf(invRecord);
+  const reserved = held[reservation.productId]?.reserved || 0;
+  const free = parseFloat((onHand - reserved).toFixed(2));
+  return {
+    productId: reservation.productId,
+    productName: invRecord?.productName || invRecord?.name || reservation.productName,
+    onHand,
+    reserved: parseFloat(reserved.toFixed(2)),
+    free,
+    requested: reservation.quantity,
+    shortfall: Math.max(0, parseFloat((reservation.quantity - free).toFixed(2)))
+  };
+}
+
+// Human-readable shortfall for warnings / 409s
+function shortfallMessage(check) {
+  return `${check.productName}: ${check.requested} tons requested but only ${Math.max(0, check.free)} free ` +
+    `(${check.onHand} on hand, ${check.reserved} reserved)`;
+}
+
+module.exports = {
+  RESERVING_STATUSES,
+  resolveInventoryProductId,
+  deliveredTons,
+  deductionQuantity,
+  depleteForDelivery,
+  restoreForDelivery,
+  adjustForDelivery,
+  oversellPolicy,
+  reservationFor,
+  reservedByProduct,
+  onHandOf,
+  checkReservation,
+  shortfallMessage
+};
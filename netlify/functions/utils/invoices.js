@@ -0,0 +1,406 @@
+/**
+ * invoices.js — Invoice numbering, lines, payment status and rendering
+ *
+ * Collection: invoices
+ *   { invoiceNumber, brand: { key, name, phone, email, tagline, headerColor, accentColor },
+ *     customerId, customerName, customerEmail, customerPhone, billTo: [lines],
+ *     issueDate, dueDate, terms, deliveryIds: [], lines: [], subtotal, taxAmount,
+ *     total, amountPaid, balance, status, payments: [], notes,
+ *     sentAt, sentTo, voidedAt, voidReason, createdAt, updatedAt, createdBy }
+ *
+ * Collection: counters — { _id: "invoice:<prefix>", seq } — one gap-free
+ * sequence per brand prefix (TGR-00001, TC-00001).
+ *
+ * Lines are priced on delivered tons (scale ticket when captured) with the
+ * same rules as the delivery's own pricing block (utils/pricing.js).
+ *
+ * Status: open → partially_paid → paid, or void. Each delivery on the
+ * invoice carries `invoiceId`; its `paid` flag follows the invoice — true
+ * once the invoice is paid, false while it is open / partially paid, and
+ * back to what it was before invoicing when the invoice is voided.
+ *
+ * While a delivery carries `invoiceId` its status and everything its line
+ * is priced from (INVOICED_FIELDS) are locked — invoicedConflict() is the
+ * 409 writers return until the invoice is voided.
+ */
+
+const { ObjectId } = require('mongodb');
+const { PRICING_INPUT_FIELDS, computePricing } = require('./pricing');
+const { deliveredTons } = require('./inventory');
+const { createPdf } = require('./pdf');
+const { getChiDate, shiftDate } = require('./dates');
+
+const INVOICE_STATUSES = ['open', 'partially_paid', 'paid', 'void'];
+const INVOICE_DUE_DAYS = parseInt(process.env.INVOICE_DUE_DAYS, 10) || 30;
+
+const toMoney = n => Math.round((Number(n) || 0) * 100) / 100;
+const fmtMoney = n => `$${toMoney(n).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+function escapeHtml(s) {
+  return String(s ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function fmtDate(dateStr) {
+  if (!dateStr) return '';
+  const d = new Date(dateStr + 'T12:00:00Z');
+  return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+}
+
+// ─── Numbering ───────────────────────────────────────────────
+async function nextInvoiceNumber(db, prefix) {
+  const counter = await db.collection('counters').findOneAndUpdate(
+    { _id: `invoice:${prefix}` },
+    { $inc: { seq: 1 } },
+    { upsert: true, returnDocument: 'after' }
+  );
+  return `${prefix}-${String(counter.seq).padStart(5, '0')}`;
+}
+
+// ─── Lines & totals ──────────────────────────────────────────
+async function invoiceLine(db, d) {
+  // Specialty items are priced per unit ordered; material on scale-ticket tons
+  const tons = d.isSpecialty ? (parseFloat(d.quantity) || 0) : deliveredTons(d);
+  const pricing = await computePricing(db, { ...d, quantity: tons });
+  const address = [d.deliveryAddress, d.deliveryCity].filter(Boolean).join(', ');
+  return {
+    deliveryId: d._id.toString(),
+    deliveryDate: d.deliveryDate,
+    materialName: d.materialName || '',
+    description: `${d.materialName || 'Material'} — ${tons} ${pricing.materialUnit === 'ton' || !pricing.materialUnit ? 'tons' : pricing.materialUnit}`,
+    address,
+    poNumber: d.poNumber || null,
+    scaleTicketNumber: d.scaleTicketNumber || null,
+    tons,
+    unitPrice: pricing.materialUnitPrice,
+    materialSubtotal: pricing.materialSubtotal || 0,
+    deliveryCharge: pricing.deliveryCharge || 0,
+    taxAmount: pricing.taxAmount,
+    amount: pricing.total,
+    priced: pricing.complete,
+    paidBefore: d.paid ?? null
+  };
+}
+
+function invoiceTotals(lines) {
+  const subtotal = toMoney(lines.reduce((s, l) => s + l.materialSubtotal + l.deliveryCharge, 0));
+  const taxAmount = toMoney(lines.reduce((s, l) => s + l.taxAmount, 0));
+  return { subtotal, taxAmount, total: toMoney(subtotal + taxAmount) };
+}
+
+function dueDateFor(issueDate, dueDays) {
+  const days = Number.isInteger(dueDays) && dueDays >= 0 ? dueDays : INVOICE_DUE_DAYS;
+  return { dueDate: shiftDate(issueDate, days), terms: days === 0 ? 'Due on receipt' : `Net ${days}` };
+}
+
+function statusFor(total, amountPaid) {
+  if (amountPaid > 0 && amountPaid >= total - 0.005) return 'paid';
+  if (amountPaid > 0) return 'partially_paid';
+  return 'open';
+}
+
+// ─── Invoiced deliveries ─────────────────────────────────────
+// Delivery fields an invoice line is built from, plus the paid flag the invoice owns
+const INVOICED_FIELDS = ['quantity', 'actualTons', 'productId', 'materialName', 'source', 'paid', ...PRICING_INPUT_FIELDS];
+
+/**
+ * 409 body for a change to an invoiced delivery, or null when it isn't on
+ * an invoice. changes: the $set about to be written — omit it for writes
+ * that always touch the status (cancel, fail); otherwise only a status move
+ * or an INVOICED_FIELDS value that differs counts.
+ */
+function invoicedConflict(delivery, changes = null) {
+  if (!delivery || !delivery.invoiceId) return null;
+  if (changes) {
+    const differs = f => changes[f] !== undefined && String(changes[f] ?? '') !== String(delivery[f] ?? '');
+    const moves = changes.status !== undefined && changes.status !== (delivery.status || 'UNASSIGNED');
+    if (!moves && !INVOICED_FIELDS.some(differs)) return null;
+  }
+  const ref = delivery.invoiceNumber || delivery.invoiceId;
+  return {
+    error: `Delivery is on invoice ${ref} — void invoice ${ref} first`,
+    conflict: 'invoiced',
+    invoiceId: delivery.invoiceId,
+    invoiceNumber: delivery.invoiceNumber || null
+  };
+}
+
+// ─── Delivery sync ───────────────────────────────────────────
+/**
+ * Push the invoice status onto its deliveries' `paid` flag. Void releases the
+ * deliveries (invoiceId cleared) and restores the flag they had before.
+ */
+async function syncDeliveriesPaid(db, invoice) {
+  const col = db.collection('delivery_schedule');
+  const ids = invoice.deliveryIds.map(id => new ObjectId(id));
+  const invoiceId = invoice._id.toString();
+
+  if (invoice.status === 'void') {
+    const ops = invoice.lines.map(l => ({
+      updateOne: {
+        filter: { _id: new ObjectId(l.deliveryId), invoiceId },
+        update: {
+          $set: { paid: l.paidBefore, invoiceId: null, invoiceNumber: null, updatedAt: new Date() },
+          $inc: { revision: 1 }
+        }
+      }
+    }));
+    if (ops.length) await col.bulkWrite(ops, { ordered: false });
+    return;
+  }
+
+  const paid = invoice.status === 'paid';
+  await col.updateMany(
+    { _id: { $in: ids }, invoiceId, paid: { $ne: paid } },
+    { $set: { paid, updatedAt: new Date() }, $inc: { revision: 1 } }
+  );
+}
+
+/**
+ * Apply a payment (negative amount = refund / correction) to a non-void
+ * invoice, recompute balance + status and sync the deliveries.
+ * Returns the updated invoice, or null if it doesn't exist / is void.
+ */
+async function applyPayment(db, invoiceId, payment) {
+  const col = db.collection('invoices');
+  const _id = new ObjectId(String(invoiceId));
+  const entry = {
+    paymentId: payment.paymentId || new ObjectId().toString(),
+    amount: toMoney(payment.amount),
+    method: payment.method || null,
+    reference: payment.reference || null,
+    receivedAt: payment.receivedAt || getChiDate(),
+    recordedBy: payment.recordedBy || 'system',
+    recordedAt: new Date()
+  };
+
+  // One pipeline update so concurrent payments can't overwrite each other's totals
+  const updated = await col.findOneAndUpdate(
+    { _id, status: { $ne: 'void' } },
+    [
+      { $set: {
+        amountPaid: { $round: [{ $add: [{ $ifNull: ['$amountPaid', 0] }, entry.amount] }, 2] },
+        payments: { $concatArrays: [{ $ifNull: ['$payments', []] }, [{ $literal: entry }]] },
+        updatedAt: '$$NOW'
+      } },
+      { $set: { balance: { $round: [{ $subtract: ['$total', '$amountPaid'] }, 2] } } },
+      { $set: { status: { $switch: {
+        branches: [
+          { case: { $and: [{ $gt: ['$amountPaid', 0] }, { $gte: ['$amountPaid', { $subtract: ['$total', 0.005] }] }] }, then: 'paid' },
+          { case: { $gt: ['$amountPaid', 0] }, then: 'partially_paid' }
+        ],
+        default: 'open'
+      } } } },
+      { $set: { paidAt: { $cond: [{ $eq: ['$status', 'paid'] }, { $ifNull: ['$paidAt', '$$NOW'] }, null] } } }
+    ],
+    { returnDocument: 'after' }
+  );
+  if (!updated) return null;
+
+  await syncDeliveriesPaid(db, updated);
+  return updated;
+}
+
+// ─── HTML ────────────────────────────────────────────────────
+function renderInvoiceHtml(inv) {
+  const b = inv.brand;
+  const rows = inv.lines.map(l => `
+          <tr>
+            <td style="padding:8px 6px;border-bottom:1px solid #eee;font-size:13px;color:#333;">${escapeHtml(fmtDate(l.deliveryDate))}</td>
+            <td style="padding:8px 6px;border-bottom:1px solid #eee;font-size:13px;color:#333;">
+              ${escapeHtml(l.description)}
+              <div style="font-size:11px;color:#888;">${escapeHtml(l.address)}${l.poNumber ? ` &middot; PO ${escapeHtml(l.poNumber)}` : ''}${l.scaleTicketNumber ? ` &middot; Ticket ${escapeHtml(l.scaleTicketNumber)}` : ''}</div>
+            </td>
+            <td style="padding:8px 6px;border-bottom:1px solid #eee;font-size:13px;text-align:right;">${fmtMoney(l.materialSubtotal)}</td>
+            <td style="padding:8px 6px;border-bottom:1px solid #eee;font-size:13px;text-align:right;">${fmtMoney(l.deliveryCharge)}</td>
+            <td style="padding:8px 6px;border-bottom:1px solid #eee;font-size:13px;text-align:right;font-weight:600;">${fmtMoney(l.amount)}</td>
+          </tr>`).join('');
+  const statusLabel = { open: 'Open', partially_paid: 'Partially Paid', paid: 'Paid', void: 'VOID' }[inv.status];
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Invoice ${escapeHtml(inv.invoiceNumber)}</title></head>
+<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;background:#f5f5f5;">
+  <div style="max-width:700px;margin:20px auto;background:#fff;border-radius:12px;overflow:hidden;border:1px solid #e0e0e0;">
+    <div style="background:${b.headerColor};padding:24px 28px;">
+      <div style="color:${b.accentColor};font-size:22px;font-weight:700;">${escapeHtml(b.name)}</div>
+      <div style="color:#8891a0;font-size:13px;margin-top:4px;">${escapeHtml(b.phone)} &middot; ${escapeHtml(b.email)}</div>
+    </div>
+    <div style="padding:28px;">
+      <table style="width:100%;border-collapse:collapse;margin-bottom:24px;">
+        <tr>
+          <td style="vertical-align:top;font-size:13px;color:#333;line-height:1.5;">
+            <div style="color:#888;font-size:11px;text-transform:uppercase;letter-spacing:1px;">Bill To</div>
+            ${inv.billTo.map(escapeHtml).join('<br>')}
+          </td>
+          <td style="vertical-align:top;text-align:right;font-size:13px;color:#333;line-height:1.6;">
+            <div style="font-size:20px;font-weight:700;color:${b.headerColor};">INVOICE ${escapeHtml(inv.invoiceNumber)}</div>
+            Issued ${escapeHtml(fmtDate(inv.issueDate))}<br>
+            Due ${escapeHtml(fmtDate(inv.dueDate))} (${escapeHtml(inv.terms)})<br>
+            <strong>${statusLabel}</strong>
+          </td>
+        </tr>
+      </table>
+      <table style="width:100%;border-collapse:collapse;">
+        <tr style="background:#f8f9fa;">
+          <th style="padding:8px 6px;font-size:11px;color:#666;text-align:left;">Date</th>
+          <th style="padding:8px 6px;font-size:11px;color:#666;text-align:left;">Description</th>
+          <th style="padding:8px 6px;font-size:11px;color:#666;text-align:right;">Material</th>
+          <th style="padding:8px 6px;font-size:11px;color:#666;text-align:right;">Delivery</th>
+          <th style="padding:8px 6px;font-size:11px;color:#666;text-align:right;">Amount</th>
+        </tr>${rows}
+      </table>
+      <table style="width:260px;margin:18px 0 0 auto;border-collapse:collapse;font-size:13px;">
+        <tr><td style="padding:4px 0;color:#666;">Subtotal</td><td style="padding:4px 0;text-align:right;">${fmtMoney(inv.subtotal)}</td></tr>
+        <tr><td style="padding:4px 0;color:#666;">Sales tax</td><td style="padding:4px 0;text-align:right;">${fmtMoney(inv.taxAmount)}</td></tr>
+        <tr><td style="padding:6px 0;font-weight:700;border-top:1px solid #ddd;">Total</td><td style="padding:6px 0;text-align:right;font-weight:700;border-top:1px solid #ddd;">${fmtMoney(inv.total)}</td></tr>
+        <tr><td style="padding:4px 0;color:#666;">Paid</td><td style="padding:4px 0;text-align:right;">${fmtMoney(inv.amountPaid)}</td></tr>
+        <tr><td style="padding:6px 0;font-weight:700;color:${b.accentColor};">Balance due</td><td style="padding:6px 0;text-align:right;font-weight:700;color:${b.accentColor};">${fmtMoney(inv.status === 'void' ? 0 : inv.balance)}</td></tr>
+      </table>
+      ${inv.notes ? `<p style="font-size:13px;color:#666;margin:20px 0 0;line-height:1.5;">${escapeHtml(inv.notes)}</p>` : ''}
+    </div>
+    <div style="padding:16px 28px;background:#f8f9fa;border-top:1px solid #e0e0e0;text-align:center;">
+      <p style="margin:0;font-size:12px;color:#999;">${escapeHtml(b.name)} &middot; ${escapeHtml(b.tagline)} &middot; ${escapeHtml(b.phone)}</p>
+      <p style="margin:4px 0 0;font-size:11px;color:#bbb;">Questions about this invoice? Reply to this email or call us.</p>
+    </div>
+  </div>
+</body></html>`;
+}
+
+// ─── PDF ─────────────────────────────────────────────────────
+function renderInvoicePdf(inv) {
+  const b = inv.brand;
+  const pdf = createPdf();
+  const L = 40;
+  const R = pdf.width - 40;
+  const grey = '#666666';
+
+  const header = () => {
+    pdf.rect(0, 0, pdf.width, 70, b.headerColor);
+    pdf.text(L, 38, b.name, { size: 20, bold: true, color: b.accentColor });
+    pdf.text(L, 56, `${b.phone}  -  ${b.email}`, { size: 9, color: '#c8cdd6' });
+    pdf.text(R, 42, `INVOICE ${inv.invoiceNumber}`, { size: 14, bold: true, color: '#ffffff', align: 'right' });
+  };
+  const tableHeader = y => {
+    pdf.rect(L, y - 12, R - L, 18, '#f1f3f5');
+    pdf.text(L + 4, y, 'Date', { size: 8, bold: true, color: grey });
+    pdf.text(L + 70, y, 'Description', { size: 8, bold: true, color: grey });
+    pdf.text(R - 150, y, 'Material', { size: 8, bold: true, color: grey, align: 'right' });
+    pdf.text(R - 75, y, 'Delivery', { size: 8, bold: true, color: grey, align: 'right' });
+    pdf.text(R - 4, y, 'Amount', { size: 8, bold: true, color: grey, align: 'right' });
+    return y + 20;
+  };
+
+  header();
+  let y = 100;
+  pdf.text(L, y, 'BILL TO', { size: 8, bold: true, color: grey });
+  inv.billTo.forEach((line, i) => pdf.text(L, y + 14 + i * 13, line, { size: 10 }));
+  pdf.text(R, y, `Issued ${fmtDate(inv.issueDate)}`, { size: 10, align: 'right' });
+  pdf.text(R, y + 14, `Due ${fmtDate(inv.dueDate)} (${inv.terms})`, { size: 10, align: 'right' });
+  pdf.text(R, y + 28, { open: 'OPEN', partially_paid: 'PARTIALLY PAID', paid: 'PAID', void: 'VOID' }[inv.status], { size: 10, bold: true, align: 'right', color: inv.status === 'void' ? '#c0392b' : '#333333' });
+
+  y = Math.max(y + 28, y + 14 + inv.billTo.length * 13) + 30;
+  y = tableHeader(y);
+
+  inv.lines.forEach(l => {
+    const descLines = pdf.wrapText(l.description, 250, 9, false);
+    const detail = [l.address, l.poNumber ? `PO ${l.poNumber}` : '', l.scaleTicketNumber ? `Ticket ${l.scaleTicketNumber}` : ''].filter(Boolean).join('  -  ');
+    const detailLines = detail ? pdf.wrapText(detail, 250, 7.5, false) : [];
+    const height = descLines.length * 11 + detailLines.length * 9 + 8;
+    if (y + height > pdf.height - 140) {
+      pdf.addPage();
+      header();
+      y = tableHeader(100);
+    }
+    pdf.text(L + 4, y, fmtDate(l.deliveryDate), { size: 9 });
+    descLines.forEach((t, i) => pdf.text(L + 70, y + i * 11, t, { size: 9 }));
+    detailLines.forEach((t, i) => pdf.text(L + 70, y + descLines.length * 11 + i * 9 - 2, t, { size: 7.5, color: '#888888' }));
+    pdf.text(R - 150, y, fmtMoney(l.materialSubtotal), { size: 9, align: 'right' });
+    pdf.text(R - 75, y, fmtMoney(l.deliveryCharge), { size: 9, align: 'right' });
+    pdf.text(R - 4, y, fmtMoney(l.amount), { size: 9, bold: true, align: 'right' });
+    y += height;
+    pdf.line(L, y - 8, R, y - 8, '#eeeeee');
+  });
+
+  const totals = [
+    ['Subtotal', inv.subtotal],
+    ['Sales tax', inv.taxAmount],
+    ['Total', inv.total, true],
+    ['Paid', inv.amountPaid],
+    ['Balance due', inv.status === 'void' ? 0 : inv.balance, true]
+  ];
+  y += 8;
+  totals.forEach(([label, value, bold]) => {
+    pdf.text(R - 150, y, label, { size: 10, bold, color: bold ? '#222222' : grey });
+    pdf.text(R - 4, y, fmtMoney(value), { size: 10, bold, align: 'right' });
+    y += 16;
+  });
+
+  if (inv.notes) {
+    y += 10;
+    pdf.wrapText(inv.notes, R - L, 9, false).forEach(t => { pdf.text(L, y, t, { size: 9, color: grey }); y += 12; });
+  }
+  pdf.text(pdf.width / 2, pdf.height - 30, `${b.name}  -  ${b.tagline}  -  ${b.phone}`, { size: 8, color: '#999999', align: 'center' });
+  return pdf.toBuffer();
+}
+
+// ─── Statement ───────────────────────────────────────────────
+function renderStatementHtml(customer, invoices, brand, asOf) {
+  const open = invoices.filter(i => i.status !== 'void' && i.balance > 0.005);
+  const due = toMoney(open.reduce((s, i) => s + i.balance, 0));
+  const rows = invoices.map(i => `
+        <tr>
+          <td style="padding:7px 6px;border-bottom:1px solid #eee;font-size:13px;">${escapeHtml(i.invoiceNumber)}</td>
+          <td style="padding:7px 6px;border-bottom:1px solid #eee;font-size:13px;">${escapeHtml(fmtDate(i.issueDate))}</td>
+          <td style="padding:7px 6px;border-bottom:1px solid #eee;font-size:13px;">${escapeHtml(fmtDate(i.dueDate))}</td>
+          <td style="padding:7px 6px;border-bottom:1px solid #eee;font-size:13px;text-align:right;">${fmtMoney(i.total)}</td>
+          <td style="padding:7px 6px;border-bottom:1px solid #eee;font-size:13px;text-align:right;">${fmtMoney(i.amountPaid)}</td>
+          <td style="padding:7px 6px;border-bottom:1px solid #eee;font-size:13px;text-align:right;font-weight:600;">${fmtMoney(i.status === 'void' ? 0 : i.balance)}</td>
+          <td style="padding:7px 6px;border-bottom:1px solid #eee;font-size:12px;color:${i.dueDate < asOf && i.balance > 0.005 && i.status !== 'void' ? '#c0392b' : '#666'};">${i.status === 'void' ? 'Void' : i.balance <= 0.005 ? 'Paid' : i.dueDate < asOf ? 'Past due' : 'Open'}</td>
+        </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Statement — ${escapeHtml(customer.name)}</title></head>
+<body style="margin:0;padding:0;font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;background:#f5f5f5;">
+  <div style="max-width:700px;margin:20px auto;background:#fff;border-radius:12px;overflow:hidden;border:1px solid #e0e0e0;">
+    <div style="background:${brand.headerColor};padding:24px 28px;">
+      <div style="color:${brand.accentColor};font-size:22px;font-weight:700;">${escapeHtml(brand.name)}</div>
+      <div style="color:#8891a0;font-size:13px;margin-top:4px;">Statement of Account &middot; as of ${escapeHtml(fmtDate(asOf))}</div>
+    </div>
+    <div style="padding:28px;">
+      <p style="font-size:15px;color:#333;margin:0 0 18px;"><strong>${escapeHtml(customer.name)}</strong><br><span style="color:#666;font-size:13px;">${escapeHtml([customer.phone, customer.email].filter(Boolean).join(' · '))}</span></p>
+      <table style="width:100%;border-collapse:collapse;">
+        <tr style="background:#f8f9fa;">
+          <th style="padding:7px 6px;font-size:11px;color:#666;text-align:left;">Invoice</th>
+          <th style="padding:7px 6px;font-size:11px;color:#666;text-align:left;">Issued</th>
+          <th style="padding:7px 6px;font-size:11px;color:#666;text-align:left;">Due</th>
+          <th style="padding:7px 6px;font-size:11px;color:#666;text-align:right;">Total</th>
+          <th style="padding:7px 6px;font-size:11px;color:#666;text-align:right;">Paid</th>
+          <th style="padding:7px 6px;font-size:11px;color:#666;text-align:right;">Balance</th>
+          <th style="padding:7px 6px;font-size:11px;color:#666;text-align:left;">Status</th>
+        </tr>${rows || '<tr><td colspan="7" style="padding:14px;text-align:center;color:#999;font-size:13px;">No invoices</td></tr>'}
+      </table>
+      <p style="text-align:right;font-size:16px;font-weight:700;color:${brand.accentColor};margin:20px 0 0;">Total due: ${fmtMoney(due)}</p>
+    </div>
+    <div style="padding:16px 28px;background:#f8f9fa;border-top:1px solid #e0e0e0;text-align:center;">
+      <p style="margin:0;font-size:12px;color:#999;">${escapeHtml(brand.name)} &middot; ${escapeHtml(brand.tagline)} &middot; ${escapeHtml(brand.phone)}</p>
+    </div>
+  </div>
+</body></html>`;
+}
+
+module.exports = {
+  INVOICE_STATUSES,
+  INVOICED_FIELDS,
+  toMoney,
+  fmtMoney,
+  nextInvoiceNumber,
+  invoiceLine,
+  invoiceTotals,
+  dueDateFor,
+  statusFor,
+  invoicedConflict,
+  syncDeliveriesPaid,
+  applyPayment,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  renderStatementHtml
+};
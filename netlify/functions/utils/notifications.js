@@ -0,0 +1,38 @@
+/**
+ * notifications.js — Fire-and-forget calls to the notification functions
+ *
+ * Server-side writers (dispatch.js, recurring orders, ...) call these after a
+ * schedule change. They never block or fail the caller.
+ */
+
+// ─── Fire-and-forget driver notification ─────────────────────
+function fireDriverNotify(truckId, deliveryId, customerName, deliveryDate, type, extraDetail = null) {
+  if (!truckId || !process.env.URL) return;
+  fetch(`${process.env.URL}/.netlify/functions/driver-notify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ truckId, deliveryId, customerName, deliveryDate, type, extraDetail })
+  }).catch(err => console.error('[notifications] Driver notify error:', err));
+}
+
+// ─── Fire-and-forget POST to notify.js ───────────────────────
+function postNotify(payload, label) {
+  if (!process.env.URL) return;
+  fetch(`${process.env.URL}/.netlify/functions/notify`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload)
+  }).catch(err => console.error(`[notifications] ${label} error:`, err));
+}
+
+// Customer-facing SMS / email (rescheduled, ...)
+function fireCustomerNotify(payload) {
+  postNotify(payload, 'Customer notify');
+}
+
+// Office alert (failed delivery, ...)
+function fireDispatcherAlert(payload) {
+  postNotify(payload, 'Dispatcher alert');
+}
+
+module.exports = { fireDriverNotify, fireCustomerNotify, fireDispatcherAlert };
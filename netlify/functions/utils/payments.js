@@ -0,0 +1,130 @@
+/**
+ * payments.js — Payment ledger for invoices and un-invoiced loads
+ *
+ * Collection: payments
+ *   { invoiceId, invoiceNumber, deliveryId, customerId, customerName, brand,
+ *     source, amount, method, reference, receivedAt (YYYY-MM-DD),
+ *     recordedBy, createdAt }
+ *
+ * Every payment lands here. A payment against an invoice also goes through
+ * applyPayment (utils/invoices.js) under the same id, so the invoice's own
+ * payments[] and balance stay authoritative. A payment against a load that
+ * isn't invoiced yet adds to the delivery's `amountPaid` and flips `paid`
+ * once its pricing total is covered; invoicing that load later carries the
+ * amount over. A load that is already on an invoice is paid via the invoice.
+ *
+ * Negative amounts are refunds / corrections.
+ */
+
+const { ObjectId } = require('mongodb');
+const { BRANDS, getBrand } = require('./brands');
+const { toMoney, applyPayment } = require('./invoices');
+const { getChiDate } = require('./dates');
+
+const PAYMENT_METHODS = ['cash', 'check', 'card', 'ach', 'wire', 'other'];
+
+function brandKeyOf(delivery) {
+  const brand = getBrand(delivery);
+  return Object.keys(BRANDS).find(k => BRANDS[k] === brand);
+}
+
+// Atomic: concurrent payments on one load can't overwrite each other
+async function applyDeliveryPayment(db, _id, amount) {
+  return db.collection('delivery_schedule').findOneAndUpdate(
+    { _id, invoiceId: null, status: { $ne: 'CANCELLED' } },
+    [
+      { $set: {
+        amountPaid: { $round: [{ $add: [{ $ifNull: ['$amountPaid', 0] }, amount] }, 2] },
+        revision: { $add: [{ $ifNull: ['$revision', 0] }, 1] },
+        updatedAt: '$$NOW'
+      } },
+      { $set: { paid: { $cond: [
+        { $gt: [{ $ifNull: ['$pricing.total', 0] }, 0] },
+        { $gte: ['$amountPaid', { $subtract: ['$pricing.total', 0.005] }] },
+        { $ifNull: ['$paid', null] }
+      ] } } }
+    ],
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Record one payment against { invoiceId } or { deliveryId }.
+ * Returns { payment, invoice } / { payment, delivery }, or { status, error }.
+ */
+async function recordPayment(db, input) {
+  const amount = toMoney(input.amount);
+  if (!amount) return { status: 400, error: 'amount required (negative for a refund)' };
+  const method = input.method ? String(input.method).toLowerCase() : 'other';
+  if (!PAYMENT_METHODS.includes(method)) {
+    return { status: 400, error: `method must be one of: ${PAYMENT_METHODS.join(', ')}` };
+  }
+  if (!input.invoiceId === !input.deliveryId) {
+    return { status: 400, error: 'Pass exactly one of invoiceId or deliveryId' };
+  }
+  const targetId = String(input.invoiceId || input.deliveryId);
+  if (!ObjectId.isValid(targetId)) return { status: 400, error: 'Invalid id' };
+
+  const paymentId = new ObjectId();
+  const payment = {
+    _id: paymentId,
+    invoiceId: null,
+    invoiceNumber: null,
+    deliveryId: null,
+    customerId: null,
+    customerName: '',
+    brand: null,
+    source: null,
+    amount,
+    method,
+    reference: input.reference || null,
+    receivedAt: input.receivedAt || getChiDate(),
+    recordedBy: input.recordedBy || 'system',
+    createdAt: new Date()
+  };
+
+  let invoiceId = input.invoiceId ? targetId : null;
+  if (!invoiceId) {
+    const delivery = await db.collection('delivery_schedule').findOne({ _id: new ObjectId(targetId) });
+    if (!delivery) return { status: 404, error: 'Delivery not found' };
+    if (delivery.status === 'CANCELLED') return { status: 409, error: 'Delivery is cancelled' };
+    payment.deliveryId = targetId;
+    // Invoiced loads are paid through their invoice
+    if (delivery.invoiceId) invoiceId = delivery.invoiceId;
+  }
+
+  if (invoiceId) {
+    const invoice = await applyPayment(db, invoiceId, {
+      paymentId: paymentId.toString(),
+      amount,
+      method,
+      reference: payment.reference,
+      receivedAt: payment.receivedAt,
+      recordedBy: payment.recordedBy
+    });
+    if (!invoice) return { status: 409, error: 'Invoice not found or void' };
+    Object.assign(payment, {
+      invoiceId: invoice._id.toString(),
+      invoiceNumber: invoice.invoiceNumber,
+      customerId: invoice.customerId || null,
+      customerName: invoice.customerName,
+      brand: invoice.brand.key,
+      source: invoice.source || null
+    });
+    await db.collection('payments').insertOne(payment);
+    return { payment, invoice };
+  }
+
+  const delivery = await applyDeliveryPayment(db, new ObjectId(targetId), amount);
+  if (!delivery) return { status: 409, error: 'Delivery was invoiced or cancelled — reload and retry' };
+  Object.assign(payment, {
+    customerId: delivery.customerId || null,
+    customerName: delivery.customerName || '',
+    brand: brandKeyOf(delivery),
+    source: delivery.source || null
+  });
+  await db.collection('payments').insertOne(payment);
+  return { payment, delivery };
+}
+
+module.exports = { PAYMENT_METHODS, brandKeyOf, recordPayment };
@@ -0,0 +1,152 @@
+/**
+ * pdf.js — Minimal PDF writer (no dependencies)
+ *
+ * Enough for invoices and statements: US Letter pages, Helvetica /
+ * Helvetica-Bold text (left / right / center aligned), filled rectangles
+ * and lines. Coordinates are points from the TOP-left corner.
+ *
+ *   const pdf = createPdf();
+ *   pdf.text(40, 60, 'Invoice', { size: 20, bold: true, color: '#001F3F' });
+ *   pdf.text(572, 60, '$120.00', { align: 'right' });
+ *   pdf.addPage();
+ *   const buffer = pdf.toBuffer();
+ *
+ * Text is limited to the standard-font character set; other characters are
+ * replaced with close ASCII equivalents.
+ */
+
+const zlib = require('zlib');
+
+const PAGE_WIDTH = 612;
+const PAGE_HEIGHT = 792;
+
+// Standard 14 font widths (1/1000 em) for ASCII 32–126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+const REPLACEMENTS = { '—': '-', '–': '-', '·': '-', '•': '-', '’': "'", '‘': "'", '“': '"', '”': '"', '…': '...', '×': 'x', ' ': ' ' };
+
+function toAscii(str) {
+  return String(str ?? '').replace(/[^\x20-\x7e]/g, ch => REPLACEMENTS[ch] ?? (/\s/.test(ch) ? ' ' : '?'));
+}
+
+function textWidth(str, size, bold) {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let w = 0;
+  for (const ch of toAscii(str)) w += widths[ch.charCodeAt(0) - 32] || 556;
+  return (w * size) / 1000;
+}
+
+// Greedy word wrap to a width in points
+function wrapText(str, width, size, bold) {
+  const lines = [];
+  String(str ?? '').split('\n').forEach(paragraph => {
+    let line = '';
+    paragraph.split(/\s+/).filter(Boolean).forEach(word => {
+      const next = line ? `${line} ${word}` : word;
+      if (line && textWidth(next, size, bold) > width) {
+        lines.push(line);
+        line = word;
+      } else {
+        line = next;
+      }
+    });
+    lines.push(line);
+  });
+  return lines;
+}
+
+function rgb(hex) {
+  const h = String(hex || '#000000').replace('#', '');
+  const n = parseInt(h.length === 3 ? h.split('').map(c => c + c).join('') : h, 16) || 0;
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(v => (v / 255).toFixed(3)).join(' ');
+}
+
+const escapePdf = s => toAscii(s).replace(/[\\()]/g, m => `\\${m}`);
+const num = n => Number(n.toFixed(2));
+
+function createPdf() {
+  const pages = [[]];
+  const current = () => pages[pages.length - 1];
+
+  return {
+    width: PAGE_WIDTH,
+    height: PAGE_HEIGHT,
+    textWidth,
+    wrapText,
+
+    addPage() {
+      pages.push([]);
+    },
+
+    text(x, y, str, opts = {}) {
+      const size = opts.size || 10;
+      const bold = !!opts.bold;
+      let left = x;
+      if (opts.align === 'right') left = x - textWidth(str, size, bold);
+      else if (opts.align === 'center') left = x - textWidth(str, size, bold) / 2;
+      current().push(`BT /${bold ? 'F2' : 'F1'} ${size} Tf ${rgb(opts.color)} rg ${num(left)} ${num(PAGE_HEIGHT - y)} Td (${escapePdf(str)}) Tj ET`);
+    },
+
+    rect(x, y, w, h, fill) {
+      current().push(`${rgb(fill)} rg ${num(x)} ${num(PAGE_HEIGHT - y - h)} ${num(w)} ${num(h)} re f`);
+    },
+
+    line(x1, y1, x2, y2, color = '#cccccc', width = 0.75) {
+      current().push(`${rgb(color)} RG ${width} w ${num(x1)} ${num(PAGE_HEIGHT - y1)} m ${num(x2)} ${num(PAGE_HEIGHT - y2)} l S`);
+    },
+
+    toBuffer() {
+      // 1 catalog, 2 pages, 3–4 fonts, then (page, content) per page
+      const objects = [];
+      const pageIds = pages.map((_, i) => 5 + i * 2);
+      objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+      objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+      objects[3] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>';
+      objects[4] = '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>';
+      pages.forEach((ops, i) => {
+        const pageId = pageIds[i];
+        const stream = zlib.deflateSync(Buffer.from(ops.join('\n'), 'latin1'));
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = Buffer.concat([
+          Buffer.from(`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, 'latin1'),
+          stream,
+          Buffer.from('\nendstream', 'latin1')
+        ]);
+      });
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let length = chunks[0].length;
+      const offsets = [];
+      for (let id = 1; id < objects.length; id++) {
+        offsets[id] = length;
+        const body = Buffer.isBuffer(objects[id]) ? objects[id] : Buffer.from(objects[id], 'latin1');
+        const chunk = Buffer.concat([Buffer.from(`${id} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+        chunks.push(chunk);
+        length += chunk.length;
+      }
+      const xref = [`xref\n0 ${objects.length}\n0000000000 65535 f \n`];
+      for (let id = 1; id < objects.length; id++) xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+      xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+      chunks.push(Buffer.from(xref.join(''), 'latin1'));
+      return Buffer.concat(chunks);
+    }
+  };
+}
+
+module.exports = { createPdf };
@@ -0,0 +1,133 @@
+/**
+ * pricing.js — Server-side order pricing
+ *
+ * Every delivery stores the dispatcher's pricing inputs plus a computed
+ * `pricing` block. Clients read `pricing.total` instead of recalculating.
+ *
+ *   material  — specialty unit price × qty, explicit materialUnitPrice × tons,
+ *               or the catalog price on the product
+ *   delivery  — manual override, or the standard per-load rate for the source
+ *               (delivery_rates collection, TGR defaults to free delivery)
+ *   tax       — SALES_TAX_RATE (default 8.25%) on material + delivery,
+ *               0 when the delivery is marked taxExempt
+ *
+ * Collection: delivery_rates — { source, ratePerLoad, updatedAt, createdAt }
+ */
+
+const { ObjectId } = require('mongodb');
+
+const DEFAULT_TAX_RATE = 0.0825;
+
+// Used when delivery_rates has no row for the source
+const STANDARD_RATE_DEFAULTS = {
+  'Texas Got Rocks': 0 // "Always FREE Delivery"
+};
+
+// Fields on a delivery that feed the pricing calculation
+const PRICING_INPUT_FIELDS = [
+  'isSpecialty',
+  'specialtyUnitPrice',
+  'specialtyUnit',
+  'materialUnitPrice',
+  'deliveryRateType',
+  'deliveryRateManual',
+  'taxExempt'
+];
+
+function getTaxRate() {
+  const env = parseFloat(process.env.SALES_TAX_RATE);
+  return isNaN(env) ? DEFAULT_TAX_RATE : env;
+}
+
+function toMoney(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function toPrice(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const n = parseFloat(value);
+  return isNaN(n) || n < 0 ? null : n;
+}
+
+// Normalize pricing inputs from a request body (only the keys present)
+function pickPricingInputs(body) {
+  const out = {};
+  if (body.isSpecialty !== undefined) out.isSpecialty = !!body.isSpecialty;
+  if (body.specialtyUnitPrice !== undefined) out.specialtyUnitPrice = toPrice(body.specialtyUnitPrice);
+  if (body.specialtyUnit !== undefined) out.specialtyUnit = body.specialtyUnit || null;
+  if (body.materialUnitPrice !== undefined) out.materialUnitPrice = toPrice(body.materialUnitPrice);
+  if (body.deliveryRateType !== undefined) out.deliveryRateType = body.deliveryRateType === 'manual' ? 'manual' : 'standard';
+  if (body.deliveryRateManual !== undefined) out.deliveryRateManual = toPrice(body.deliveryRateManual);
+  if (body.taxExempt !== undefined) out.taxExempt = !!body.taxExempt;
+  return out;
+}
+
+async function catalogUnitPrice(db, productId) {
+  if (!productId) return null;
+  const query = /^[0-9a-f]{24}$/i.test(productId)
+    ? { $or: [{ id: productId }, { _id: new ObjectId(productId) }] }
+    : { id: productId };
+  const product = await db.collection('products').findOne(query);
+  if (!product) return null;
+  return toPrice(product.pricePerTon != null ? product.pricePerTon : product.price);
+}
+
+async function standardDeliveryRate(db, source) {
+  const src = source || 'Yard Sale';
+  const row = await db.collection('delivery_rates').findOne({ source: src });
+  if (row && row.ratePerLoad != null) return toPrice(row.ratePerLoad);
+  return STANDARD_RATE_DEFAULTS[src] !== undefined ? STANDARD_RATE_DEFAULTS[src] : null;
+}
+
+/**
+ * Compute the pricing block for one delivery document (one load).
+ * Missing prices leave their line null and mark the result incomplete
+ * rather than guessing.
+ */
+async function computePricing(db, delivery) {
+  const qty = parseFloat(delivery.quantity) || 0;
+
+  let materialUnitPrice;
+  let materialUnit = 'ton';
+  if (delivery.isSpecialty) {
+    materialUnitPrice = toPrice(delivery.specialtyUnitPrice);
+    materialUnit = delivery.specialtyUnit || 'each';
+  } else if (toPrice(delivery.materialUnitPrice) !== null) {
+    materialUnitPrice = toPrice(delivery.materialUnitPrice);
+  } else {
+    materialUnitPrice = await catalogUnitPrice(db, delivery.productId);
+  }
+  const materialSubtotal = materialUnitPrice !== null ? toMoney(materialUnitPrice * qty) : null;
+
+  const deliveryRateType = delivery.deliveryRateType === 'manual' ? 'manual' : 'standard';
+  const deliveryCharge = deliveryRateType === 'manual'
+    ? toPrice(delivery.deliveryRateManual)
+    : await standardDeliveryRate(db, delivery.source);
+
+  const subtotal = toMoney((materialSubtotal || 0) + (deliveryCharge || 0));
+  const taxRate = delivery.taxExempt ? 0 : getTaxRate();
+  const taxAmount = toMoney(subtotal * taxRate);
+
+  return {
+    materialUnitPrice,
+    materialUnit,
+    materialSubtotal,
+    deliveryRateType,
+    deliveryCharge,
+    subtotal,
+    taxRate,
+    taxAmount,
+    total: toMoney(subtotal + taxAmount),
+    complete: materialUnitPrice !== null && deliveryCharge !== null,
+    computedAt: new Date()
+  };
+}
+
+module.exports = {
+  PRICING_INPUT_FIELDS,
+  STANDARD_RATE_DEFAULTS,
+  getTaxRate,
+  toMoney,
+  pickPricingInputs,
+  computePricing
+};
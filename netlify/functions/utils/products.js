@@ -0,0 +1,19 @@
+/**
+ * products.js — Product catalog lookups
+ *
+ * productIndex() maps a product's id, _id and name (trimmed, lower-cased) to
+ * { id, name }, so imported / API orders can name a material either way
+ * (dispatch-import.js, order-intake.js).
+ */
+
+// Product lookup by id / _id / name (case-insensitive)
+function productIndex(products) {
+  const index = new Map();
+  products.forEach(p => {
+    const entry = { id: p.id || p._id.toString(), name: p.name };
+    [p.id, p._id.toString(), p.name].filter(Boolean).forEach(k => index.set(String(k).trim().toLowerCase(), entry));
+  });
+  return index;
+}
+
+module.exports = { productIndex };
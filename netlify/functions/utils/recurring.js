@@ -0,0 +1,263 @@
+/**
+ * recurring.js — Recurring order series → delivery_schedule occurrences
+ *
+ * Shared by recurring-orders.js (HTTP API) and
+ * recurring-orders-materialize.js (daily scheduled run).
+ *
+ * materializeRecurringOrders() creates the occurrences of active series
+ * through utils/delivery.js; each carries recurringOrderId + occurrenceDate
+ * so re-running is idempotent. cancelOccurrences() / reviveOccurrences()
+ * take open occurrences off the board on pause / end / skip and put the
+ * paused ones back on resume. Each raises the same webhook events as
+ * dispatch.js (created / cancelled / restored — utils/webhooks.js) and
+ * writes delivery_audit rows for the acting { actor, app } (utils/audit.js).
+ */
+
+const { ObjectId } = require('mongodb');
+const { computeCapacity } = require('./capacity');
+const { buildDelivery } = require('./delivery');
+const { pickPricingInputs } = require('./pricing');
+const { validateTransition, statusGuard } = require('./status');
+const { reservationFor } = require('./inventory');
+const { fireDriverNotify } = require('./notifications');
+const { currentRevision } = require('./revision');
+const { emitWebhookEvent } = require('./webhooks');
+const { diffChanges, recordAudit } = require('./audit');
+const { getChiDate, shiftDate, daysBetween, dayOfWeek } = require('./dates');
+
+const RECURRING_HORIZON_DAYS = 7;   // how far ahead occurrences are materialized
+const DAY_ABBR = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Order fields copied onto every generated delivery
+const ORDER_FIELDS = [
+  'source', 'orderId', 'customerId', 'customerName', 'customerPhone', 'customerEmail',
+  'deliveryAddress', 'deliveryCity', 'deliveryState', 'deliveryZip', 'deliveryLat', 'deliveryLng',
+  'productId', 'materialName', 'quantity', 'unit', 'timeWindow', 'hour', 'windowStart', 'windowEnd',
+  'sourceName', 'sourceAddress', 'poNumber', 'deliveryNotes', 'paid'
+];
+
+// ─── Pattern helpers ─────────────────────────────────────────
+function normalizePattern(pattern) {
+  const days = Array.isArray(pattern?.daysOfWeek)
+    ? [...new Set(pattern.daysOfWeek.map(Number))].filter(d => Number.isInteger(d) && d >= 1 && d <= 6).sort()
+    : [];
+  const intervalWeeks = Math.max(1, parseInt(pattern?.intervalWeeks, 10) || 1);
+  return { daysOfWeek: days, intervalWeeks };
+}
+
+function describePattern(pattern) {
+  const days = pattern.daysOfWeek.join(',') === '1,2,3,4,5' ? 'weekday' : pattern.daysOfWeek.map(d => DAY_ABBR[d]).join(', ');
+  return pattern.intervalWeeks > 1 ? `every ${pattern.intervalWeeks} weeks on ${days}` : `every ${days}`;
+}
+
+// All dates in [from, to] the series falls on (before skip / closed-day filtering)
+function occurrenceDates(order, from, to) {
+  const start = order.startDate > from ? order.startDate : from;
+  const end = order.endDate && order.endDate < to ? order.endDate : to;
+  const seriesWeekStart = shiftDate(order.startDate, -dayOfWeek(order.startDate));
+  const dates = [];
+  for (let d = start; d <= end; d = shiftDate(d, 1)) {
+    const dow = dayOfWeek(d);
+    if (dow === 0 || !order.pattern.daysOfWeek.includes(dow)) continue;
+    const weekIndex = Math.floor(daysBetween(seriesWeekStart, d) / 7);
+    if (weekIndex % order.pattern.intervalWeeks !== 0) continue;
+    dates.push(d);
+  }
+  return dates;
+}
+
+// ─── Cancel materialized occurrences that haven't started ────
+// audit is the { actor, app } from resolveActor.
+async function cancelOccurrences(db, query, updatedBy, notes, cancelReason = null, audit = {}) {
+  const deliveries = db.collection('delivery_schedule');
+  const open = await deliveries.find({ ...query, status: { $in: ['UNASSIGNED', 'SCHEDULED'] } }).toArray();
+  let cancelled = 0;
+
+  for (const d of open) {
+    if (validateTransition(d.status, 'CANCELLED')) continue;
+    const now = new Date();
+    const set = { status: 'CANCELLED', cancelledAt: now, cancelReason, inventoryReservation: null, updatedAt: now };
+    const result = await deliveries.updateOne(
+      { _id: d._id, status: statusGuard('CANCELLED') },
+      {
+        $set: set,
+        $inc: { revision: 1 },
+        $push: { statusHistory: { status: 'CANCELLED', timestamp: now, updatedBy, notes } }
+      }
+    );
+    if (result.modifiedCount) {
+      cancelled++;
+      await recordAudit(db, {
+        deliveryId: d._id,
+        action: 'recurring_cancel',
+        revision: currentRevision(d) + 1,
+        changes: diffChanges(d, set),
+        at: now,
+        ...audit
+      });
+      await emitWebhookEvent(db, 'cancelled', {
+        ...d, status: 'CANCELLED', cancelledAt: now, cancelReason, revision: currentRevision(d) + 1
+      }, { previousStatus: d.status, reason: notes });
+      if (d.truckId) fireDriverNotify(d.truckId, d._id.toString(), d.customerName, d.deliveryDate, 'LOAD_CANCELLED');
+    }
+  }
+  return cancelled;
+}
+
+// ─── Revive occurrences a pause cancelled ────────────────────
+async function reviveOccurrences(db, order, updatedBy, audit = {}) {
+  const deliveries = db.collection('delivery_schedule');
+  const skip = order.skipDates || [];
+  const paused = await deliveries.find({
+    recurringOrderId: order._id.toString(),
+    status: 'CANCELLED',
+    cancelReason: 'series_paused',
+    deliveryDate: { $gte: getChiDate(1) },
+    occurrenceDate: { $nin: skip }
+  }).toArray();
+  let revived = 0;
+
+  for (const d of paused) {
+    const status = d.truckId ? 'SCHEDULED' : 'UNASSIGNED';
+    if (validateTransition('CANCELLED', status, { restore: true })) continue;
+    const now = new Date();
+    const set = {
+      status,
+      cancelledAt: null,
+      cancelReason: null,
+      inventoryReservation: await reservationFor(db, { ...d, status }),
+      updatedAt: now
+    };
+    const result = await deliveries.updateOne(
+      { _id: d._id, status: 'CANCELLED', cancelReason: 'series_paused' },
+      {
+        $set: set,
+        $inc: { revision: 1 },
+        $push: { statusHistory: { status, timestamp: now, updatedBy, notes: 'Recurring order resumed' } }
+      }
+    );
+    if (result.modifiedCount) {
+      revived++;
+      await recordAudit(db, {
+        deliveryId: d._id,
+        action: 'recurring_resume',
+        revision: currentRevision(d) + 1,
+        changes: diffChanges(d, set),
+        at: now,
+        ...audit
+      });
+      await emitWebhookEvent(db, 'restored', {
+        ...d, status, cancelledAt: null, cancelReason: null, revision: currentRevision(d) + 1
+      }, { previousStatus: 'CANCELLED' });
+      if (d.truckId) fireDriverNotify(d.truckId, d._id.toString(), d.customerName, d.deliveryDate, 'LOAD_ADDED');
+    }
+  }
+  return revived;
+}
+
+// ─── Materialization ─────────────────────────────────────────
+/**
+ * Create delivery_schedule documents for every active series occurrence in
+ * [from, to] (default: tomorrow + RECURRING_HORIZON_DAYS). Safe to re-run.
+ * opts.audit is the { actor, app } for the create rows (default: the
+ * series' recurring:<createdBy>, app "system").
+ */
+async function materializeRecurringOrders(db, opts = {}) {
+  const from = opts.from || getChiDate(1);
+  const to = opts.to || shiftDate(from, RECURRING_HORIZON_DAYS - 1);
+  const ordersCol = db.collection('recurring_orders');
+  const deliveries = db.collection('delivery_schedule');
+
+  await deliveries.createIndex(
+    { recurringOrderId: 1, occurrenceDate: 1 },
+    { unique: true, partialFilterExpression: { recurringOrderId: { $exists: true } } }
+  );
+
+  const query = {
+    status: 'active',
+    startDate: { $lte: to },
+    $or: [{ endDate: null }, { endDate: { $gte: from } }]
+  };
+  if (opts.id) query._id = new ObjectId(opts.id);
+  const orders = await ordersCol.find(query).toArray();
+
+  const capacityDays = await computeCapacity(db, from, to);
+  const closedDates = new Set(capacityDays.filter(d => d.status === 'closed').map(d => d.date));
+
+  let created = 0;
+  const perOrder = [];
+
+  for (const order of orders) {
+    const orderId = order._id.toString();
+    const skip = new Set(order.skipDates || []);
+    const dates = occurrenceDates(order, from, to).filter(d => !closedDates.has(d) && !skip.has(d));
+
+    // Preferred truck only if still active
+    let truck = null;
+    if (order.preferredTruckId && ObjectId.isValid(order.preferredTruckId)) {
+      truck = await db.collection('trucks').findOne({ _id: new ObjectId(order.preferredTruckId), active: { $ne: false } });
+    }
+
+    let orderCreated = 0;
+    for (const date of dates) {
+      const body = {};
+      ORDER_FIELDS.forEach(f => { if (order[f] !== undefined) body[f] = order[f]; });
+      Object.assign(body, pickPricingInputs(order), {
+        deliveryDate: date,
+        createdBy: `recurring:${order.createdBy || 'system'}`
+      });
+      if (truck) {
+        Object.assign(body, {
+          truckId: truck._id.toString(),
+          truckNumber: truck.truckNumber,
+          driverId: truck.defaultDriver?.id || null,
+          driverName: truck.defaultDriver?.name || null
+        });
+      }
+
+      const doc = await buildDelivery(db, body, { historyNote: `Recurring order — ${describePattern(order.pattern)}` });
+      doc.recurringOrderId = orderId;
+      doc.occurrenceDate = date;
+
+      const result = await deliveries.updateOne(
+        { recurringOrderId: orderId, occurrenceDate: date },
+        { $setOnInsert: doc },
+        { upsert: true }
+      );
+      if (result.upsertedCount) {
+        orderCreated++;
+        await recordAudit(db, {
+          deliveryId: result.upsertedId,
+          action: 'create',
+          revision: doc.revision,
+          at: doc.createdAt,
+          actor: doc.createdBy,
+          app: 'system',
+          ...opts.audit
+        });
+        await emitWebhookEvent(db, 'created', { ...doc, _id: result.upsertedId });
+        if (doc.truckId) {
+          fireDriverNotify(doc.truckId, result.upsertedId.toString(), doc.customerName, date, 'LOAD_ADDED');
+        }
+      }
+    }
+
+    await ordersCol.updateOne(
+      { _id: order._id },
+      { $set: { lastMaterializedThrough: to, lastMaterializedAt: new Date() } }
+    );
+    created += orderCreated;
+    perOrder.push({ id: orderId, customerName: order.customerName, created: orderCreated });
+  }
+
+  return { from, to, orders: orders.length, created, perOrder };
+}
+
+module.exports = {
+  ORDER_FIELDS,
+  normalizePattern,
+  describePattern,
+  cancelOccurrences,
+  reviveOccurrences,
+  materializeRecurringOrders
+};
@@ -0,0 +1,40 @@
+/**
+ * revision.js — Optimistic concurrency for delivery_schedule
+ *
+ * Every delivery carries a numeric `revision` that is bumped ($inc) on each
+ * edit. Writers that pass the revision they last read get a 409 with the
+ * current document instead of silently overwriting someone else's change.
+ * Documents created before revisions existed have no field — treated as 0.
+ */
+
+function currentRevision(doc) {
+  return (doc && doc.revision) || 0;
+}
+
+// Parse the caller's expected revision; undefined means "don't check",
+// NaN means it was sent but isn't a whole number (answer with INVALID_REVISION)
+function parseExpectedRevision(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return /^\d+$/.test(String(value).trim()) ? parseInt(value, 10) : NaN;
+}
+
+// Body for a 400 when expectedRevision is present but unusable
+const INVALID_REVISION = { error: 'expectedRevision must be an integer' };
+
+// Filter value matching `expected`, including legacy docs with no revision field
+function revisionFilter(expected) {
+  return expected === 0 ? { $in: [0, null] } : expected;
+}
+
+// Body for a 409 stale-write response
+function staleRevision(doc, expected) {
+  return {
+    error: 'Delivery was changed by someone else — review the latest version and try again',
+    conflict: 'revision',
+    expectedRevision: expected,
+    currentRevision: currentRevision(doc),
+    current: doc ? { ...doc, revision: currentRevision(doc) } : null
+  };
+}
+
+module.exports = { INVALID_REVISION, currentRevision, parseExpectedRevision, revisionFilter, staleRevision };
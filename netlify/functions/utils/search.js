@@ -0,0 +1,148 @@
+/**
+ * search.js — Delivery search keys, indexes and cursor pagination
+ *
+ * Every delivery carries `searchKeys`: lowercased word tokens from the
+ * customer, address, PO, order and material fields, plus phone digit tokens
+ * (full 10 digits, last 7, last 4). A search term matches when it is the
+ * prefix of some token, so `^term` regexes run on the multikey index
+ * instead of scanning the collection. Keys are written by buildDelivery(),
+ * the multi-load builder and PUT /dispatch whenever a searched field changes;
+ * older documents are backfilled the first time search runs.
+ *
+ * Cursors are opaque base64url strings of { v: last sort value, id: last _id }.
+ */
+
+const { ObjectId } = require('mongodb');
+
+// Fields that feed searchKeys — PUT recomputes keys when any of them change
+const SEARCH_FIELDS = [
+  'customerName', 'customerPhone', 'customerEmail',
+  'deliveryAddress', 'deliveryCity', 'deliveryZip',
+  'poNumber', 'orderId', 'materialName'
+];
+
+// ?sort= options → [field, direction]
+const SEARCH_SORTS = {
+  date_desc: ['deliveryDate', -1],
+  date_asc: ['deliveryDate', 1],
+  created_desc: ['createdAt', -1],
+  customer_asc: ['customerName', 1]
+};
+
+const SEARCH_DEFAULT_LIMIT = 50;
+const SEARCH_MAX_LIMIT = 200;
+const BACKFILL_BATCH = 500;
+
+let backfilled = false; // once per warm function instance
+
+function escapeRegex(s) {
+  return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function tokenize(text) {
+  return String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+function searchKeysFor(doc) {
+  const keys = new Set();
+  ['customerName', 'customerEmail', 'deliveryAddress', 'deliveryCity', 'deliveryZip', 'materialName']
+    .forEach(f => tokenize(doc[f]).forEach(t => keys.add(t)));
+
+  // PO / order numbers: each part plus the whole thing squashed ("PO-1234" → po, 1234, po1234)
+  ['poNumber', 'orderId'].forEach(f => {
+    const parts = tokenize(doc[f]);
+    parts.forEach(t => keys.add(t));
+    if (parts.length > 1) keys.add(parts.join(''));
+  });
+
+  const digits = String(doc.customerPhone || '').replace(/\D/g, '').slice(-10);
+  if (digits.length >= 4) {
+    keys.add(digits);
+    keys.add(digits.slice(-7));
+    keys.add(digits.slice(-4));
+  }
+  return [...keys];
+}
+
+// Every term must prefix-match some key
+function searchFilter(q) {
+  const terms = tokenize(q);
+  if (!terms.length) return {};
+  return { $and: terms.map(t => ({ searchKeys: { $regex: `^${escapeRegex(t)}` } })) };
+}
+
+async function ensureSearchIndexes(db) {
+  const col = db.collection('delivery_schedule');
+  await Promise.all([
+    col.createIndex({ searchKeys: 1, deliveryDate: -1 }),
+    col.createIndex({ deliveryDate: -1, _id: -1 }),
+    col.createIndex({ createdAt: -1, _id: -1 }),
+    col.createIndex({ customerName: 1, _id: 1 })
+  ]);
+}
+
+// Give documents written before search existed their keys
+async function backfillSearchKeys(db) {
+  if (backfilled) return 0;
+  const col = db.collection('delivery_schedule');
+  let total = 0;
+  for (;;) {
+    const batch = await col.find({ searchKeys: { $exists: false } })
+      .project(Object.fromEntries(SEARCH_FIELDS.map(f => [f, 1])))
+      .limit(BACKFILL_BATCH)
+      .toArray();
+    if (!batch.length) break;
+    await col.bulkWrite(batch.map(d => ({
+      updateOne: { filter: { _id: d._id }, update: { $set: { searchKeys: searchKeysFor(d) } } }
+    })), { ordered: false });
+    total += batch.length;
+    if (batch.length < BACKFILL_BATCH) break;
+  }
+  backfilled = true;
+  return total;
+}
+
+// ─── Cursor pagination ───────────────────────────────────────
+function encodeCursor(doc, field) {
+  const v = doc[field] instanceof Date ? { $date: doc[field].toISOString() } : (doc[field] ?? null);
+  return Buffer.from(JSON.stringify({ v, id: doc._id.toString() })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { v, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!ObjectId.isValid(id)) return null;
+    return { v: v && v.$date ? new Date(v.$date) : v, id: new ObjectId(id) };
+  } catch {
+    return null;
+  }
+}
+
+// Filter for "after this cursor" in [field, dir] order (ties broken by _id).
+// Null / missing values sort first ascending and last descending, and
+// $gt / $lt never compare across null, so that boundary is spelled out.
+function cursorFilter(cursor, field, dir) {
+  const op = dir === 1 ? '$gt' : '$lt';
+  const branches = [{ [field]: cursor.v, _id: { [op]: cursor.id } }];
+  if (cursor.v === null) {
+    if (dir === 1) branches.push({ [field]: { $ne: null } });
+  } else {
+    branches.push({ [field]: { [op]: cursor.v } });
+    if (dir !== 1) branches.push({ [field]: null });
+  }
+  return { $or: branches };
+}
+
+module.exports = {
+  SEARCH_FIELDS,
+  SEARCH_SORTS,
+  SEARCH_DEFAULT_LIMIT,
+  SEARCH_MAX_LIMIT,
+  searchKeysFor,
+  searchFilter,
+  ensureSearchIndexes,
+  backfillSearchKeys,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter
+};
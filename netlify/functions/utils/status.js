@@ -0,0 +1,126 @@
+/**
+ * status.js — Delivery status lifecycle
+ *
+ * Single source of truth for which status changes are legal on a
+ * delivery_schedule document. Every code path that writes `status`
+ * (dispatch.js PUT/DELETE, notify.js en_route, rocky-apply.js) validates
+ * through here.
+ *
+ *   UNASSIGNED → SCHEDULED → LOADED → EN_ROUTE → DELIVERED
+ *
+ * Side exits: CANCELLED and FAILED (driver could not drop).
+ * Backward moves are limited to dispatcher corrections — e.g. a mistaken
+ * "En Route" tap goes back to SCHEDULED; a DELIVERED load can be reverted
+ * to SCHEDULED or cancelled, but never sent back to UNASSIGNED.
+ *
+ * CANCELLED is terminal for ordinary edits. The only way out is a restore
+ * (dispatch.js {action:"restore"}) within CANCEL_RESTORE_HOURS of the
+ * cancellation, back to UNASSIGNED or SCHEDULED.
+ */
+
+const DELIVERY_STATUSES = [
+  'UNASSIGNED',
+  'SCHEDULED',
+  'LOADED',
+  'EN_ROUTE',
+  'DELIVERED',
+  'FAILED',
+  'CANCELLED'
+];
+
+const STATUS_TRANSITIONS = {
+  UNASSIGNED: ['SCHEDULED', 'CANCELLED'],
+  SCHEDULED:  ['UNASSIGNED', 'LOADED', 'EN_ROUTE', 'DELIVERED', 'FAILED', 'CANCELLED'],
+  LOADED:     ['SCHEDULED', 'EN_ROUTE', 'DELIVERED', 'FAILED', 'CANCELLED'],
+  EN_ROUTE:   ['SCHEDULED', 'DELIVERED', 'FAILED'],
+  DELIVERED:  ['SCHEDULED', 'CANCELLED'],
+  FAILED:     ['UNASSIGNED', 'SCHEDULED', 'CANCELLED'],
+  CANCELLED:  []
+};
+
+// Moves only a restore may make (validateTransition(..., { restore: true }))
+const RESTORE_TRANSITIONS = {
+  CANCELLED: ['UNASSIGNED', 'SCHEDULED']
+};
+
+const DEFAULT_RESTORE_HOURS = 72;
+
+// How long after cancelling a delivery may still be restored (env CANCEL_RESTORE_HOURS)
+function restoreWindowHours() {
+  const hours = parseFloat(process.env.CANCEL_RESTORE_HOURS);
+  return hours >= 0 ? hours : DEFAULT_RESTORE_HOURS;
+}
+
+// Why a driver could not drop a load (FAILED) — code → label shown to the office
+const FAILURE_REASONS = {
+  GATE_LOCKED:      'Gate locked',
+  CUSTOMER_ABSENT:  'Customer not on site',
+  SOFT_GROUND:      'Soft / unsafe ground',
+  WRONG_ADDRESS:    'Wrong or unfindable address',
+  ACCESS_BLOCKED:   'Drop spot blocked',
+  CUSTOMER_REFUSED: 'Customer refused load',
+  OTHER:            'Other'
+};
+
+// What happened to the material on a failed load
+const FAILURE_DISPOSITIONS = ['return_to_yard', 'redirect'];
+
+// Legacy documents may have no status — treat them as never assigned
+function normalizeStatus(status) {
+  return status || 'UNASSIGNED';
+}
+
+/**
+ * Check a status change. Re-applying the current status is always allowed
+ * (driver app and notify.js both write EN_ROUTE for the same tap).
+ * `restore` also admits RESTORE_TRANSITIONS.
+ * Returns null when legal, otherwise an error payload for a 409 response.
+ */
+function validateTransition(fromStatus, toStatus, { restore = false } = {}) {
+  const from = normalizeStatus(fromStatus);
+  if (!toStatus || toStatus === from) return null;
+
+  if (!DELIVERY_STATUSES.includes(toStatus)) {
+    return {
+      error: `Unknown status "${toStatus}"`,
+      currentStatus: from,
+      requestedStatus: toStatus,
+      allowedTransitions: STATUS_TRANSITIONS[from] || []
+    };
+  }
+
+  const allowed = [...(STATUS_TRANSITIONS[from] || []), ...(restore ? RESTORE_TRANSITIONS[from] || [] : [])];
+  if (!allowed.includes(toStatus)) {
+    return {
+      error: `Cannot change status from ${from} to ${toStatus}`,
+      currentStatus: from,
+      requestedStatus: toStatus,
+      allowedTransitions: allowed
+    };
+  }
+  return null;
+}
+
+/**
+ * Query fragment matching every status that may legally move to `toStatus`
+ * (including `toStatus` itself). Used as an update filter so a concurrent
+ * status change between read and write can't slip an illegal jump through.
+ */
+function statusGuard(toStatus) {
+  const from = DELIVERY_STATUSES.filter(s => s === toStatus || STATUS_TRANSITIONS[s].includes(toStatus));
+  if (from.includes('UNASSIGNED')) {
+    return { $in: [...from, null] };
+  }
+  return { $in: from };
+}
+
+module.exports = {
+  DELIVERY_STATUSES,
+  STATUS_TRANSITIONS,
+  RESTORE_TRANSITIONS,
+  FAILURE_REASONS,
+  FAILURE_DISPOSITIONS,
+  restoreWindowHours,
+  validateTransition,
+  statusGuard
+};
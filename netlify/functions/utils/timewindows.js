@@ -0,0 +1,210 @@
+/**
+ * timewindows.js — Structured delivery time windows + truck-day feasibility
+ *
+ * A delivery's window is stored as windowStart / windowEnd ("HH:MM", 24h,
+ * America/Chicago on its deliveryDate). `timeWindow` stays as the display
+ * label ("10:00 AM - 12:00 PM") and `hour` as the calendar slot; both are
+ * derived from the structured window when one is set. "Flexible Timing" and
+ * an empty window mean no constraint.
+ *
+ * Callers may send either windowStart + windowEnd or a timeWindow label in
+ * one of the board's formats ("10:00 AM - 12:00 PM", "10:00-12:00",
+ * "Morning", "Afternoon", "Flexible Timing"). A label in any other wording
+ * (older free-text windows, storefront or Rocky labels) is kept as text with
+ * no structured window, and comes back as a warning rather than an error.
+ *
+ * checkTruckDay() walks a truck's loads in stopOrder: each trip leaves at
+ * its scheduledStartTime (or when the previous trip is back), arrives half
+ * an estimatedRoundTripMin later, waits for an early window, and is back
+ * the other half later. Arriving after windowEnd, or a scheduledStartTime
+ * before the previous trip returns, is a conflict.
+ */
+
+const { chiClock } = require('./dates');
+
+const WINDOW_PRESETS = {
+  morning: ['06:00', '12:00'],
+  afternoon: ['12:00', '17:00']
+};
+const FLEXIBLE_LABELS = ['flexible', 'flexible timing', 'anytime'];
+
+const DEFAULT_ROUND_TRIP_MIN = 60;   // board default for loads without a route estimate
+const DAY_START = '07:00';           // first departure when no start time is set
+
+// "HH:MM" (24h) → minutes past midnight, or null
+function toMinutes(hhmm) {
+  const m = /^(\d{1,2}):(\d{2})$/.exec(String(hhmm || '').trim());
+  if (!m) return null;
+  const h = parseInt(m[1], 10);
+  const min = parseInt(m[2], 10);
+  if (h > 23 || min > 59) return null;
+  return h * 60 + min;
+}
+
+function fromMinutes(total) {
+  const h = Math.floor(total / 60);
+  const m = total % 60;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
+
+// "10:00 AM" / "10 AM" / "14:30" → minutes past midnight, or null
+function parseClock(text) {
+  const m = /^(\d{1,2})(?::(\d{2}))?\s*([ap])\.?m?\.?$/i.exec(String(text).trim());
+  if (!m) return toMinutes(text);
+  let h = parseInt(m[1], 10);
+  const min = parseInt(m[2] || '0', 10);
+  if (h < 1 || h > 12 || min > 59) return null;
+  if (h === 12) h = 0;
+  if (m[3].toLowerCase() === 'p') h += 12;
+  return h * 60 + min;
+}
+
+// "10:00" → "10:00 AM"
+function clockLabel(hhmm) {
+  const total = toMinutes(hhmm);
+  const h = Math.floor(total / 60);
+  const h12 = h % 12 === 0 ? 12 : h % 12;
+  return `${h12}:${String(total % 60).padStart(2, '0')} ${h < 12 ? 'AM' : 'PM'}`;
+}
+
+function windowLabel(start, end) {
+  return `${clockLabel(start)} - ${clockLabel(end)}`;
+}
+
+/**
+ * Parse a timeWindow label. Returns { start, end } (HH:MM), null for
+ * flexible / empty, or { error }.
+ */
+function parseTimeWindow(label) {
+  if (label === null || label === undefined) return null;
+  const text = String(label).trim();
+  if (!text || FLEXIBLE_LABELS.includes(text.toLowerCase())) return null;
+  const preset = WINDOW_PRESETS[text.toLowerCase()];
+  if (preset) return { start: preset[0], end: preset[1] };
+  const parts = text.split(/\s*(?:-|–|to)\s*/i);
+  if (parts.length === 2) {
+    const a = parseClock(parts[0]);
+    const b = parseClock(parts[1]);
+    if (a !== null && b !== null) {
+      if (b <= a) return { error: `timeWindow "${text}" ends before it starts` };
+      return { start: fromMinutes(a), end: fromMinutes(b) };
+    }
+  }
+  return { error: `timeWindow "${text}" isn't a time range like "10:00 AM - 12:00 PM"` };
+}
+
+/**
+ * Window fields to write for a create / update body. Returns { fields }
+ * ({} when the body doesn't touch the window) plus `warning` when a
+ * timeWindow label couldn't be read, or { error } for a 400 on a bad
+ * windowStart / windowEnd.
+ */
+function windowFieldsFrom(body) {
+  if (body.windowStart || body.windowEnd) {
+    const start = toMinutes(body.windowStart);
+    const end = toMinutes(body.windowEnd);
+    if (start === null || end === null) {
+      return { error: 'windowStart and windowEnd must both be "HH:MM" (24h, America/Chicago)' };
+    }
+    if (end <= start) return { error: 'windowEnd must be after windowStart' };
+    const windowStart = fromMinutes(start);
+    const windowEnd = fromMinutes(end);
+    return {
+      fields: { windowStart, windowEnd, timeWindow: windowLabel(windowStart, windowEnd), hour: Math.floor(start / 60) }
+    };
+  }
+  if (body.timeWindow !== undefined) {
+    const parsed = parseTimeWindow(body.timeWindow);
+    const range = parsed && !parsed.error ? parsed : null;
+    return {
+      fields: {
+        windowStart: range ? range.start : null,
+        windowEnd: range ? range.end : null,
+        timeWindow: body.timeWindow || null,
+        hour: range ? Math.floor(toMinutes(range.start) / 60) : (body.hour || null)
+      },
+      ...(parsed && parsed.error ? { warning: `${parsed.error} — kept as a label with no time constraint` } : {})
+    };
+  }
+  // windowStart / windowEnd sent empty with no label — clear the window
+  if (body.windowStart !== undefined || body.windowEnd !== undefined) {
+    return { fields: { windowStart: null, windowEnd: null, timeWindow: null, hour: null } };
+  }
+  return { fields: {} };
+}
+
+/**
+ * Feasibility of one truck's day. loads: that truck's open loads on one
+ * date (any order). Returns { stops, conflicts }; times are "HH:MM".
+ */
+function checkTruckDay(loads) {
+  const ordered = [...loads].sort((a, b) => (a.stopOrder || 999) - (b.stopOrder || 999));
+  const stops = [];
+  const conflicts = [];
+  let clock = null;    // minutes: when the truck is back from the previous trip
+
+  ordered.forEach((d, i) => {
+    const id = d._id.toString();
+    const roundTrip = d.estimatedRoundTripMin || DEFAULT_ROUND_TRIP_MIN;
+    const startClock = chiClock(d.scheduledStartTime);
+    const planned = startClock && startClock.date === d.deliveryDate ? startClock.minutes : null;
+
+    if (planned !== null && clock !== null && planned < clock) {
+      conflicts.push({
+        type: 'overlap',
+        deliveryId: id,
+        stopOrder: d.stopOrder || i + 1,
+        customerName: d.customerName,
+        message: `Starts at ${fromMinutes(planned)} but the previous trip isn't back until ${fromMinutes(clock)}`,
+        byMin: clock - planned
+      });
+    }
+
+    const depart = Math.max(planned ?? clock ?? toMinutes(DAY_START), clock ?? 0);
+    let arrive = depart + Math.round(roundTrip / 2);
+    const start = toMinutes(d.windowStart);
+    const end = toMinutes(d.windowEnd);
+    let waitMin = 0;
+    if (start !== null && arrive < start) {
+      waitMin = start - arrive;
+      arrive = start;
+    }
+    if (end !== null && arrive > end) {
+      conflicts.push({
+        type: 'late',
+        deliveryId: id,
+        stopOrder: d.stopOrder || i + 1,
+        customerName: d.customerName,
+        message: `Arrives about ${fromMinutes(arrive)}, after the ${windowLabel(d.windowStart, d.windowEnd)} window`,
+        byMin: arrive - end
+      });
+    }
+    clock = arrive + (roundTrip - Math.round(roundTrip / 2));
+
+    stops.push({
+      deliveryId: id,
+      stopOrder: d.stopOrder || i + 1,
+      customerName: d.customerName,
+      windowStart: d.windowStart || null,
+      windowEnd: d.windowEnd || null,
+      depart: fromMinutes(depart),
+      arrive: fromMinutes(arrive),
+      back: fromMinutes(clock),
+      waitMin,
+      roundTripMin: roundTrip
+    });
+  });
+
+  return { stops, conflicts };
+}
+
+module.exports = {
+  DEFAULT_ROUND_TRIP_MIN,
+  DAY_START,
+  toMinutes,
+  fromMinutes,
+  parseTimeWindow,
+  windowFieldsFrom,
+  windowLabel,
+  checkTruckDay
+};
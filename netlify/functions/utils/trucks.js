@@ -0,0 +1,75 @@
+/**
+ * trucks.js — Truck capacity checks for assignments
+ *
+ * A truck's legal payload is its `capacity` (tons, trucks.js); trucks saved
+ * without one fall back to their type's typical payload. A load heavier
+ * than the truck it is assigned to is reported as
+ *   { truckId, truckNumber, truckType, capacityTons, loadTons, overByTons, suggestedSplit }
+ * where suggestedSplit is the calculateLoads() breakdown for that truck.
+ *
+ * TRUCK_CAPACITY_POLICY: "warn" (default) returns the report alongside the
+ * write; "reject" refuses the assignment (422) unless the caller sends
+ * allowOverCapacity:true. Either way the caller can send
+ * splitToCapacity:true to turn the load into a multi-load group instead
+ * (splitToCapacity() in utils/groups.js).
+ *
+ * Specialty items and non-ton units aren't weighed here.
+ */
+
+const { ObjectId } = require('mongodb');
+const { calculateLoads } = require('../calculate-loads');
+
+// Typical payload (tons) by truck type, for trucks saved without a capacity
+const TYPE_CAPACITY = {
+  'Tandem': 14,
+  'End Dump': 24,
+  'Semi': 25
+};
+const DEFAULT_CAPACITY = 24;
+
+function capacityPolicy() {
+  return process.env.TRUCK_CAPACITY_POLICY === 'reject' ? 'reject' : 'warn';
+}
+
+function truckCapacity(truck) {
+  return parseFloat(truck.capacity) || TYPE_CAPACITY[truck.type] || DEFAULT_CAPACITY;
+}
+
+// Tons the load puts on the truck, or null when it isn't weighed in tons
+function loadTons(delivery) {
+  if (delivery.isSpecialty || (delivery.unit || 'tons') !== 'tons') return null;
+  return parseFloat(delivery.quantity) || 0;
+}
+
+async function findTruck(db, truckId) {
+  if (!truckId || !ObjectId.isValid(String(truckId))) return null;
+  return db.collection('trucks').findOne({ _id: new ObjectId(String(truckId)) });
+}
+
+/**
+ * Compare a load with a truck. Returns null when it fits (or can't be
+ * weighed), otherwise the over-capacity report.
+ */
+function overCapacity(delivery, truck) {
+  const tons = loadTons(delivery);
+  if (!truck || tons === null) return null;
+  const capacityTons = truckCapacity(truck);
+  if (tons <= capacityTons) return null;
+  const { totalLoads, loads } = calculateLoads(tons, capacityTons);
+  return {
+    truckId: truck._id.toString(),
+    truckNumber: truck.truckNumber || null,
+    truckType: truck.type || null,
+    capacityTons,
+    loadTons: tons,
+    overByTons: Math.round((tons - capacityTons) * 100) / 100,
+    suggestedSplit: { totalLoads, loads }
+  };
+}
+
+function capacityMessage(over) {
+  return `${over.loadTons}t is over truck ${over.truckNumber || over.truckId}'s ${over.capacityTons}t capacity` +
+    ` — split into ${over.suggestedSplit.totalLoads} loads (splitToCapacity:true) or send allowOverCapacity:true`;
+}
+
+module.exports = { TYPE_CAPACITY, capacityPolicy, truckCapacity, findTruck, overCapacity, capacityMessage };
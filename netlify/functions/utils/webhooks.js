@@ -0,0 +1,294 @@
+/**
+ * webhooks.js — Outbound webhooks for delivery lifecycle events
+ *
+ * Collection: webhook_endpoints
+ *   { url, secret, events: ["delivered", ...] or ["*"], description, active,
+ *     consecutiveFailures, lastSuccessAt, lastFailureAt, createdAt, updatedAt, createdBy }
+ *
+ * Collection: webhook_outbox — one row per (event, subscribed endpoint)
+ *   { eventId, event, endpointId, payload, status: pending | sending | delivered | failed | cancelled,
+ *     attempts, nextAttemptAt, lockedUntil, lastError, lastStatusCode, createdAt, deliveredAt }
+ *
+ * Collection: webhook_log — one row per HTTP attempt (kept 30 days)
+ *   { outboxId, eventId, event, endpointId, url, attempt, ok, statusCode, durationMs,
+ *     error, responseBody, createdAt }
+ *
+ * Writers call emitWebhookEvent() after their own write succeeds; it fans the
+ * event out into the outbox and never throws. webhook-dispatcher.js (every
+ * minute) and a fire-and-forget kick deliver it.
+ *
+ * Each POST carries:
+ *   X-RockRunner-Event        — event type
+ *   X-RockRunner-Event-Id     — same id on every retry (dedupe on this)
+ *   X-RockRunner-Signature    — t=<unix seconds>,v1=<hex HMAC-SHA256(secret, "<t>.<raw body>")>
+ * Any 2xx is success. Failures retry after RETRY_DELAYS_MIN, then the row is
+ * marked failed (redeliver from webhooks.js). Order across events is not
+ * guaranteed — use the payload's occurredAt / delivery.revision.
+ */
+
+const { ObjectId } = require('mongodb');
+const { createHmac, randomBytes } = require('crypto');
+
+const WEBHOOK_EVENTS = ['created', 'scheduled', 'en_route', 'delivered', 'cancelled', 'rescheduled', 'restored'];
+const RETRY_DELAYS_MIN = [1, 5, 15, 60, 180, 720];
+const MAX_ATTEMPTS = RETRY_DELAYS_MIN.length + 1;
+const REQUEST_TIMEOUT_MS = 10000;
+const LOCK_MS = 60000;
+const LOG_TTL_DAYS = 30;
+
+// Status a delivery moved into → event it raises
+const STATUS_EVENTS = {
+  SCHEDULED: 'scheduled',
+  EN_ROUTE: 'en_route',
+  DELIVERED: 'delivered',
+  CANCELLED: 'cancelled'
+};
+
+// Delivery fields sent to subscribers
+const PAYLOAD_FIELDS = [
+  'orderId', 'poNumber', 'source', 'status', 'customerId', 'customerName', 'customerPhone', 'customerEmail',
+  'deliveryAddress', 'deliveryCity', 'deliveryState', 'deliveryZip', 'deliveryLat', 'deliveryLng',
+  'productId', 'materialName', 'quantity', 'unit', 'deliveryDate', 'timeWindow', 'windowStart', 'windowEnd', 'scheduledStartTime',
+  'truckId', 'truckNumber', 'driverId', 'driverName', 'stopOrder',
+  'fulfillmentGroupId', 'loadNumber', 'totalLoads', 'totalTons',
+  'scheduledAt', 'loadedAt', 'enRouteAt', 'deliveredAt', 'cancelledAt', 'restoredAt',
+  'scaleTicketNumber', 'actualTons', 'deliveryPhoto', 'revision'
+];
+
+function newSecret() {
+  return `whsec_${randomBytes(24).toString('hex')}`;
+}
+
+function sign(secret, timestamp, rawBody) {
+  return createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+function deliveryPayload(d) {
+  const out = { id: d._id.toString() };
+  PAYLOAD_FIELDS.forEach(f => { if (d[f] !== undefined) out[f] = d[f]; });
+  return out;
+}
+
+let indexesEnsured = false;
+async function ensureWebhookIndexes(db) {
+  if (indexesEnsured) return;
+  await Promise.all([
+    db.collection('webhook_outbox').createIndex({ status: 1, nextAttemptAt: 1 }),
+    db.collection('webhook_outbox').createIndex({ eventId: 1 }),
+    db.collection('webhook_log').createIndex({ createdAt: 1 }, { expireAfterSeconds: LOG_TTL_DAYS * 86400 }),
+    db.collection('webhook_log').createIndex({ endpointId: 1, createdAt: -1 })
+  ]);
+  indexesEnsured = true;
+}
+
+// ─── Emit ────────────────────────────────────────────────────
+/**
+ * Queue one event per delivery for every active endpoint subscribed to it.
+ * deliveries: documents as they are after the write. extra: merged into
+ * each payload's data (previousStatus, previousDate, reason, ...) — or a
+ * function of the delivery returning that object.
+ * Returns the number of outbox rows written; errors are logged, not thrown.
+ */
+async function emitWebhookEvent(db, event, deliveries, extra = {}) {
+  try {
+    const list = (Array.isArray(deliveries) ? deliveries : [deliveries]).filter(Boolean);
+    if (!list.length) return 0;
+    const endpoints = await db.collection('webhook_endpoints')
+      .find({ active: true, events: { $in: [event, '*'] } }, { projection: { _id: 1 } })
+      .toArray();
+    if (!endpoints.length) return 0;
+
+    const now = new Date();
+    const rows = [];
+    list.forEach(d => {
+      const eventId = new ObjectId().toString();
+      const payload = {
+        id: eventId,
+        type: event,
+        occurredAt: now.toISOString(),
+        data: { delivery: deliveryPayload(d), ...(typeof extra === 'function' ? extra(d) : extra) }
+      };
+      endpoints.forEach(ep => rows.push({
+        eventId,
+        event,
+        endpointId: ep._id.toString(),
+        deliveryId: d._id.toString(),
+        payload,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: now,
+        lockedUntil: null,
+        lastError: null,
+        lastStatusCode: null,
+        createdAt: now,
+        deliveredAt: null
+      }));
+    });
+    await db.collection('webhook_outbox').insertMany(rows);
+    kickWebhookDispatch();
+    return rows.length;
+  } catch (err) {
+    console.error(`[webhooks] emit ${event} error:`, err);
+    return 0;
+  }
+}
+
+// Fire-and-forget: deliver now instead of waiting for the next scheduled run
+// (webhooks.js is admin-only, so without ADMIN_API_TOKEN the schedule has to do)
+function kickWebhookDispatch() {
+  if (!process.env.URL || !process.env.ADMIN_API_TOKEN) return;
+  fetch(`${process.env.URL}/.netlify/functions/webhooks`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Admin-Token': process.env.ADMIN_API_TOKEN },
+    body: JSON.stringify({ action: 'dispatch' })
+  }).catch(err => console.error('[webhooks] Dispatch kick error:', err));
+}
+
+// ─── Deliver ─────────────────────────────────────────────────
+async function postToEndpoint(endpoint, row) {
+  const rawBody = JSON.stringify(row.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  const started = Date.now();
+  try {
+    const res = await fetch(endpoint.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'RockRunner-Webhooks/1.0',
+        'X-RockRunner-Event': row.event,
+        'X-RockRunner-Event-Id': row.eventId,
+        'X-RockRunner-Signature': `t=${timestamp},v1=${sign(endpoint.secret, timestamp, rawBody)}`
+      },
+      body: rawBody,
+      signal: controller.signal
+    });
+    const text = await res.text().catch(() => '');
+    return { ok: res.ok, statusCode: res.status, durationMs: Date.now() - started, error: res.ok ? null : `HTTP ${res.status}`, responseBody: text.slice(0, 500) };
+  } catch (err) {
+    return { ok: false, statusCode: null, durationMs: Date.now() - started, error: err.name === 'AbortError' ? 'Timed out' : err.message, responseBody: null };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Deliver due outbox rows until the batch or time budget runs out.
+ * Rows are claimed one at a time (status sending + lock) so overlapping
+ * runs never send the same attempt twice; a crashed run's lock expires.
+ */
+async function dispatchWebhooks(db, { limit = 50, budgetMs = 20000 } = {}) {
+  await ensureWebhookIndexes(db);
+  const outbox = db.collection('webhook_outbox');
+  const endpointsCol = db.collection('webhook_endpoints');
+  const started = Date.now();
+  const summary = { attempted: 0, delivered: 0, retrying: 0, failed: 0 };
+  const endpointCache = new Map();
+
+  while (summary.attempted < limit && Date.now() - started < budgetMs) {
+    const now = new Date();
+    const row = await outbox.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending', nextAttemptAt: { $lte: now } },
+          { status: 'sending', lockedUntil: { $lt: now } }
+        ]
+      },
+      { $set: { status: 'sending', lockedUntil: new Date(now.getTime() + LOCK_MS) }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+    );
+    if (!row) break;
+    summary.attempted++;
+
+    if (!endpointCache.has(row.endpointId)) {
+      endpointCache.set(row.endpointId, await endpointsCol.findOne({ _id: new ObjectId(row.endpointId) }));
+    }
+    const endpoint = endpointCache.get(row.endpointId);
+    if (!endpoint || !endpoint.active) {
+      await outbox.updateOne({ _id: row._id }, { $set: { status: 'cancelled', lockedUntil: null, lastError: 'Endpoint removed or disabled' } });
+      continue;
+    }
+
+    const result = await postToEndpoint(endpoint, row);
+    await db.collection('webhook_log').insertOne({
+      outboxId: row._id.toString(),
+      eventId: row.eventId,
+      event: row.event,
+      endpointId: row.endpointId,
+      deliveryId: row.deliveryId || null,
+      url: endpoint.url,
+      attempt: row.attempts,
+      ok: result.ok,
+      statusCode: result.statusCode,
+      durationMs: result.durationMs,
+      error: result.error,
+      responseBody: result.responseBody,
+      createdAt: new Date()
+    });
+
+    if (result.ok) {
+      summary.delivered++;
+      await outbox.updateOne({ _id: row._id }, {
+        $set: { status: 'delivered', deliveredAt: new Date(), lockedUntil: null, lastError: null, lastStatusCode: result.statusCode }
+      });
+      await endpointsCol.updateOne({ _id: endpoint._id }, { $set: { lastSuccessAt: new Date(), consecutiveFailures: 0 } });
+      continue;
+    }
+
+    const giveUp = row.attempts >= MAX_ATTEMPTS;
+    if (giveUp) summary.failed++;
+    else summary.retrying++;
+    await outbox.updateOne({ _id: row._id }, {
+      $set: {
+        status: giveUp ? 'failed' : 'pending',
+        nextAttemptAt: giveUp ? null : new Date(Date.now() + RETRY_DELAYS_MIN[row.attempts - 1] * 60000),
+        lockedUntil: null,
+        lastError: result.error,
+        lastStatusCode: result.statusCode
+      }
+    });
+    await endpointsCol.updateOne({ _id: endpoint._id }, { $set: { lastFailureAt: new Date() }, $inc: { consecutiveFailures: 1 } });
+  }
+
+  return summary;
+}
+
+// Signed "ping" straight to one endpoint (no outbox, no retries) — setup check
+async function sendTestEvent(db, endpoint) {
+  const eventId = new ObjectId().toString();
+  const row = {
+    eventId,
+    event: 'ping',
+    payload: { id: eventId, type: 'ping', occurredAt: new Date().toISOString(), data: { message: 'RockRunner webhook test' } }
+  };
+  const result = await postToEndpoint(endpoint, row);
+  await db.collection('webhook_log').insertOne({
+    outboxId: null,
+    eventId,
+    event: 'ping',
+    endpointId: endpoint._id.toString(),
+    deliveryId: null,
+    url: endpoint.url,
+    attempt: 1,
+    ok: result.ok,
+    statusCode: result.statusCode,
+    durationMs: result.durationMs,
+    error: result.error,
+    responseBody: result.responseBody,
+    createdAt: new Date()
+  });
+  return { eventId, ...result };
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  STATUS_EVENTS,
+  RETRY_DELAYS_MIN,
+  MAX_ATTEMPTS,
+  newSecret,
+  sign,
+  emitWebhookEvent,
+  dispatchWebhooks,
+  sendTestEvent
+};
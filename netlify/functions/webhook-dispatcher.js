@@ -0,0 +1,33 @@
+/**
+ * webhook-dispatcher.js — Netlify Scheduled Function
+ *
+ * Runs every minute. Delivers due webhook_outbox rows (new events and
+ * retries whose backoff has passed) — see utils/webhooks.js. New events are
+ * usually sent sooner by the kick from emitWebhookEvent(); this run picks up
+ * whatever that missed plus every retry.
+ */
+
+const { schedule } = require('@netlify/functions');
+const { connectToDatabase } = require('./utils/db');
+const { dispatchWebhooks } = require('./utils/webhooks');
+
+// Scheduled functions are killed at 30s. The budget only stops new attempts
+// starting, so leave room for one more to run its full request timeout
+// (utils/webhooks.js, 10s) plus a margin.
+const BUDGET_MS = 15000;
+
+const handler = async () => {
+  try {
+    const { db } = await connectToDatabase();
+    const summary = await dispatchWebhooks(db, { limit: 200, budgetMs: BUDGET_MS });
+    if (summary.attempted) {
+      console.log(`[Webhooks] ${summary.attempted} attempted: ${summary.delivered} delivered, ${summary.retrying} retrying, ${summary.failed} failed`);
+    }
+    return { statusCode: 200 };
+  } catch (err) {
+    console.error('[Webhooks] Error:', err);
+    return { statusCode: 500 };
+  }
+};
+
+exports.handler = schedule('* * * * *', handler);
@@ -0,0 +1,243 @@
+/**
+ * webhooks.js — Webhook Endpoints, Outbox & Delivery Log
+ *
+ * Collections: webhook_endpoints, webhook_outbox, webhook_log
+ * (shapes, signing and retry rules in utils/webhooks.js)
+ *
+ * Events: created, scheduled, en_route, delivered, cancelled, rescheduled, restored
+ * (subscribe with "*" for all). Raised by dispatch.js, notify.js,
+ * fulfillment-groups.js, dispatch-import.js, order-intake.js, rocky-apply.js
+ * and recurring orders (utils/recurring.js).
+ *
+ * GET    /webhooks                          — endpoints (secret masked) + event types
+ * GET    /webhooks?log=true                 — attempt log, newest first
+ *          filters: endpointId, eventId, deliveryId, ok=true|false, limit
+ * GET    /webhooks?outbox=pending|failed|delivered|cancelled — queued events (filter endpointId)
+ * POST   /webhooks {url, events, description?, createdBy?}
+ *                                           — register an endpoint; the signing secret is
+ *                                             returned once, here
+ * POST   /webhooks {action:"dispatch"}      — deliver due events now (kicked by emitters)
+ * PUT    /webhooks {id, url?, events?, description?, active?}
+ * PUT    /webhooks {id, action:"rotate_secret"}   — new secret (returned once)
+ * PUT    /webhooks {id, action:"test"}            — send a signed "ping" now, return the result
+ * PUT    /webhooks {action:"redeliver", outboxId} — re-queue a failed / delivered event
+ * DELETE /webhooks?id=xxx                   — remove an endpoint; its queued events are cancelled
+ *
+ * Every request needs `X-Admin-Token: <ADMIN_API_TOKEN>` (utils/apikeys.js);
+ * the endpoints carry customer details and the signing secrets, so webhook
+ * management is off when it is unset.
+ */
+
+const { connectToDatabase, headers, handleOptions } = require('./utils/db');
+const { ObjectId } = require('mongodb');
+const { WEBHOOK_EVENTS, newSecret, dispatchWebhooks, sendTestEvent } = require('./utils/webhooks');
+const { isAdmin } = require('./utils/apikeys');
+
+const LOG_DEFAULT_LIMIT = 100;
+const LOG_MAX_LIMIT = 500;
+const OUTBOX_STATUSES = ['pending', 'sending', 'delivered', 'failed', 'cancelled'];
+
+function maskSecret(endpoint) {
+  const { secret, ...rest } = endpoint;
+  return { ...rest, secretHint: secret ? `…${secret.slice(-4)}` : null };
+}
+
+// Returns an error string, or null when the URL is acceptable
+function urlError(url) {
+  let parsed;
+  try {
+    parsed = new URL(String(url || ''));
+  } catch {
+    return 'url must be a valid URL';
+  }
+  if (parsed.protocol !== 'https:') return 'url must use https';
+  return null;
+}
+
+// Returns { events } or { error }
+function parseEvents(events) {
+  const list = Array.isArray(events) ? events.map(String) : [];
+  if (!list.length) return { error: `events required — any of: ${WEBHOOK_EVENTS.join(', ')} (or "*")` };
+  const unknown = list.filter(e => e !== '*' && !WEBHOOK_EVENTS.includes(e));
+  if (unknown.length) return { error: `Unknown events: ${unknown.join(', ')}` };
+  return { events: list.includes('*') ? ['*'] : [...new Set(list)] };
+}
+
+exports.handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') return handleOptions();
+  if (!process.env.ADMIN_API_TOKEN) {
+    return { statusCode: 503, headers, body: JSON.stringify({ error: 'ADMIN_API_TOKEN is not configured' }) };
+  }
+  if (!isAdmin(event)) {
+    return { statusCode: 401, headers, body: JSON.stringify({ error: 'Admin token required' }) };
+  }
+
+  try {
+    const { db } = await connectToDatabase();
+    const endpointsCol = db.collection('webhook_endpoints');
+    const outbox = db.collection('webhook_outbox');
+
+    // ─── GET ──────────────────────────────────────────────────
+    if (event.httpMethod === 'GET') {
+      const p = event.queryStringParameters || {};
+
+      if (p.log === 'true') {
+        const query = {};
+        if (p.endpointId) query.endpointId = p.endpointId;
+        if (p.eventId) query.eventId = p.eventId;
+        if (p.deliveryId) query.deliveryId = p.deliveryId;
+        if (p.ok === 'true') query.ok = true;
+        else if (p.ok === 'false') query.ok = false;
+        const limit = Math.min(parseInt(p.limit, 10) || LOG_DEFAULT_LIMIT, LOG_MAX_LIMIT);
+        const log = await db.collection('webhook_log').find(query).sort({ createdAt: -1 }).limit(limit).toArray();
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, log }) };
+      }
+
+      if (p.outbox) {
+        if (!OUTBOX_STATUSES.includes(p.outbox)) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: `outbox must be one of: ${OUTBOX_STATUSES.join(', ')}` }) };
+        }
+        const query = { status: p.outbox };
+        if (p.endpointId) query.endpointId = p.endpointId;
+        const items = await outbox.find(query).sort({ createdAt: -1 }).limit(LOG_MAX_LIMIT).toArray();
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, outbox: items }) };
+      }
+
+      const endpoints = await endpointsCol.find({}).sort({ createdAt: 1 }).toArray();
+      const pending = await outbox.aggregate([
+        { $match: { status: { $in: ['pending', 'failed'] } } },
+        { $group: { _id: { endpointId: '$endpointId', status: '$status' }, count: { $sum: 1 } } }
+      ]).toArray();
+      const counts = {};
+      pending.forEach(r => {
+        counts[r._id.endpointId] = counts[r._id.endpointId] || { pending: 0, failed: 0 };
+        counts[r._id.endpointId][r._id.status] = r.count;
+      });
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          success: true,
+          events: WEBHOOK_EVENTS,
+          endpoints: endpoints.map(ep => ({ ...maskSecret(ep), queue: counts[ep._id.toString()] || { pending: 0, failed: 0 } }))
+        })
+      };
+    }
+
+    // ─── POST — Register endpoint / dispatch now ──────────────
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+
+      if (body.action === 'dispatch') {
+        const summary = await dispatchWebhooks(db, { limit: 50, budgetMs: 8000 });
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, ...summary }) };
+      }
+
+      const badUrl = urlError(body.url);
+      if (badUrl) return { statusCode: 400, headers, body: JSON.stringify({ error: badUrl }) };
+      const parsed = parseEvents(body.events);
+      if (parsed.error) return { statusCode: 400, headers, body: JSON.stringify({ error: parsed.error }) };
+
+      const endpoint = {
+        url: body.url,
+        secret: newSecret(),
+        events: parsed.events,
+        description: body.description || '',
+        active: true,
+        consecutiveFailures: 0,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        createdAt: new Date(),
+        updatedAt: new Date(),
+        createdBy: body.createdBy || 'system'
+      };
+      const result = await endpointsCol.insertOne(endpoint);
+      return {
+        statusCode: 201,
+        headers,
+        body: JSON.stringify({ success: true, id: result.insertedId, secret: endpoint.secret, events: endpoint.events })
+      };
+    }
+
+    // ─── PUT — Update / rotate / test / redeliver ─────────────
+    if (event.httpMethod === 'PUT') {
+      const body = JSON.parse(event.body);
+
+      if (body.action === 'redeliver') {
+        if (!body.outboxId || !ObjectId.isValid(String(body.outboxId))) {
+          return { statusCode: 400, headers, body: JSON.stringify({ error: 'outboxId required' }) };
+        }
+        const result = await outbox.updateOne(
+          { _id: new ObjectId(String(body.outboxId)), status: { $in: ['failed', 'delivered', 'cancelled'] } },
+          { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), lockedUntil: null, lastError: null } }
+        );
+        if (result.matchedCount === 0) {
+          return { statusCode: 409, headers, body: JSON.stringify({ error: 'Event not found or still queued' }) };
+        }
+        const summary = await dispatchWebhooks(db, { limit: 10, budgetMs: 8000 });
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, requeued: 1, ...summary }) };
+      }
+
+      if (!body.id || !ObjectId.isValid(String(body.id))) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
+      }
+      const _id = new ObjectId(String(body.id));
+      const endpoint = await endpointsCol.findOne({ _id });
+      if (!endpoint) return { statusCode: 404, headers, body: JSON.stringify({ error: 'Not found' }) };
+
+      if (body.action === 'rotate_secret') {
+        const secret = newSecret();
+        await endpointsCol.updateOne({ _id }, { $set: { secret, updatedAt: new Date() } });
+        return { statusCode: 200, headers, body: JSON.stringify({ success: true, secret }) };
+      }
+
+      if (body.action === 'test') {
+        const result = await sendTestEvent(db, endpoint);
+        return { statusCode: 200, headers, body: JSON.stringify({ success: result.ok, ...result }) };
+      }
+
+      if (body.action) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: `Unknown action: ${body.action}` }) };
+      }
+
+      const update = { updatedAt: new Date() };
+      if (body.url !== undefined) {
+        const badUrl = urlError(body.url);
+        if (badUrl) return { statusCode: 400, headers, body: JSON.stringify({ error: badUrl }) };
+        update.url = body.url;
+      }
+      if (body.events !== undefined) {
+        const parsed = parseEvents(body.events);
+        if (parsed.error) return { statusCode: 400, headers, body: JSON.stringify({ error: parsed.error }) };
+        update.events = parsed.events;
+      }
+      if (body.description !== undefined) update.description = body.description;
+      if (body.active !== undefined) {
+        update.active = body.active === true;
+        if (update.active) update.consecutiveFailures = 0;
+      }
+      await endpointsCol.updateOne({ _id }, { $set: update });
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true }) };
+    }
+
+    // ─── DELETE — Remove endpoint ─────────────────────────────
+    if (event.httpMethod === 'DELETE') {
+      const p = event.queryStringParameters || {};
+      if (!p.id || !ObjectId.isValid(p.id)) {
+        return { statusCode: 400, headers, body: JSON.stringify({ error: 'id required' }) };
+      }
+      const result = await endpointsCol.deleteOne({ _id: new ObjectId(p.id) });
+      const cancelled = await outbox.updateMany(
+        { endpointId: p.id, status: 'pending' },
+        { $set: { status: 'cancelled', lastError: 'Endpoint removed' } }
+      );
+      return { statusCode: 200, headers, body: JSON.stringify({ success: true, deleted: result.deletedCount, cancelled: cancelled.modifiedCount }) };
+    }
+
+    return { statusCode: 405, headers, body: JSON.stringify({ error: 'Method not allowed' }) };
+
+  } catch (err) {
+    console.error('Webhooks API error:', err);
+    return { statusCode: 500, headers, body: JSON.stringify({ error: err.message }) };
+  }
+};